@@ -2,8 +2,413 @@ const usdcAddress = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
 // const rpcFunderContractAddress = "0x291469065a4DDdE2CA9f6A53ab4Aa148B8e42f48";
 const backgroundTasksInterval = 10; //seconds
 
+// Structured logging (see utils/logger.js)
+// LOG_LEVEL and LOG_FORMAT environment variables override level and format
+const loggingConfig = {
+  level: 'info', // debug, info, warn, error or silent
+  format: 'json', // 'json' (one object per line) or 'pretty' (readable lines for local runs)
+  trustRequestId: true, // keep a well-formed incoming X-Request-Id (e.g. set by the load balancer)
+  bodySampleRate: 0.01, // share of requests whose bodies are logged - every request at level debug
+  maxBodyLength: 2048, // characters kept per logged string before truncating
+  redactKeys: ['authorization', 'cookie', 'x-api-key', 'apikey', 'api_key', 'password', 'passphrase', 'secret', 'privatekey', 'private_key', 'mnemonic'], // case-insensitive substrings of object keys
+  redactMethods: ['personal_unlockAccount', 'personal_sign', 'personal_importRawKey', 'eth_sign', 'eth_signTransaction', 'eth_signTypedData', 'eth_signTypedData_v3', 'eth_signTypedData_v4'] // params never logged
+};
+
+// Client IPs for rate limiting and the admin allowlist (see utils/trustedProxies.js)
+// Forwarded headers (CF-Connecting-IP, X-Forwarded-For, ...) are only believed on connections from
+// these IPs or CIDR ranges - the load balancer or CDN in front of the proxy. Empty uses the
+// connecting address, which is right when clients connect to the proxy directly
+// Migrating: before this setting, forwarded headers were believed from anyone. Behind Cloudflare or
+// a load balancer, list its ranges here - until then every client shares the edge's rate limit, and
+// a warning is logged at startup and (once a minute) when forwarded headers arrive from another peer.
+// IP counts in ip_table keep reading forwarded headers from any peer, as before
+const clientIPConfig = {
+  trustedProxies: []
+};
+
+// Prometheus metrics at /metrics (see utils/metrics.js)
+const metricsConfig = {
+  enabled: true,
+  maxMethods: 200, // distinct method labels kept - methods seen after that are counted as "other"
+  latencyBuckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30], // upstream request seconds
+  flushBuckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60] // database write seconds
+};
+
+// OpenTelemetry tracing (see utils/tracing.js)
+// TRACING_ENABLED overrides enabled. Spans go to endpoint over OTLP/HTTP - when it's null, the
+// standard OTEL_EXPORTER_OTLP_TRACES_ENDPOINT/OTEL_EXPORTER_OTLP_ENDPOINT variables apply, then localhost:4318
+const tracingConfig = {
+  enabled: false,
+  serviceName: 'rpc-proxy',
+  endpoint: null, // e.g. 'http://otel-collector:4318/v1/traces'
+  headers: {}, // sent with every export, e.g. an API key for a hosted collector
+  sampleRatio: 1, // share of new traces recorded - a caller's sampling decision is kept
+  trustIncomingContext: true, // continue traces from an incoming traceparent header
+  propagateToUpstreams: true, // send traceparent to upstreams so their spans join the trace
+  exportTimeout: 10000 // ms per export
+};
+
+// Authentication for the operational endpoints (see utils/adminAuth.js)
+// Tokens and an extra IP allowlist are read from tokensFile (see adminTokens.example.json) and
+// reloaded when it changes. ADMIN_TOKEN adds a token with every scope
+const adminAuthConfig = {
+  enabled: true, // false leaves the admin endpoints public - only for local development
+  tokensFile: 'adminTokens.json',
+  allowlist: [], // IPs or CIDR ranges allowed on admin endpoints - empty allows any IP (a token is still needed)
+  trustProxyHeaders: false // true checks the client IP from proxy headers like rate limiting does (only from clientIPConfig.trustedProxies)
+};
+
+// JSON analytics API at /api/v1 (see utils/analyticsApi.js) - reads ip_table and ip_history_table
+const analyticsApiConfig = {
+  enabled: true,
+  defaultWindowHours: 24, // window when a request gives no from
+  maxWindowDays: 31, // ip_history_table keeps 30 days
+  defaultLimit: 50, // rows per page
+  maxLimit: 500,
+  queryTimeout: 10000 // ms per database query
+};
+
+// Traffic dashboard at /dashboard (see DASHBOARD.md) - a static page that reads the analytics API,
+// so it needs analyticsApiConfig.enabled. Upstream history for it is kept in memory either way
+const dashboardConfig = {
+  enabled: true,
+  latencyInterval: 60, // seconds per upstream latency sample
+  historyHours: 24, // upstream latency samples kept
+  maxTransitions: 500 // circuit breaker transitions kept
+};
+
+// Traffic capture for load tests and provider evaluations (see utils/trafficCapture.js)
+// CAPTURE_ENABLED overrides enabled. Replay a capture with database_scripts/replayCapture.js
+const captureConfig = {
+  enabled: false,
+  file: 'capture/requests.jsonl',
+  sampleRate: 0.01, // share of POST requests captured
+  maxBytes: 100 * 1024 * 1024, // capture stops once the file reaches this size
+  maxEntryBytes: 64 * 1024 // requests larger than this are recorded without their params
+};
+
+// Durable spool for request counts (see utils/countSpool.js)
+// Counts wait here until Firebase/Postgres take them - survives outages and restarts
+const countSpoolConfig = {
+  enabled: true, // false keeps undelivered counts in memory only
+  file: 'spool/counts.log',
+  maxBytes: 50 * 1024 * 1024, // compact past this size; alert if compaction can't get under it
+  fsync: true // sync every write to disk
+};
+
+// Listeners (see utils/listeners.js) and TLS certificates (see utils/certificateStore.js)
+const listenerConfig = {
+  https: [{ host: null, port: 443 }], // host null listens on every interface
+  http: {
+    enabled: false,
+    host: null,
+    port: 80,
+    mode: 'redirect', // 'redirect' to HTTPS, or 'serve' the proxy over plain HTTP - bind to an internal address
+    redirectHost: null, // host to redirect to - defaults to the request's Host header
+    acmeChallengeDir: null // webroot for certbot --webroot, so renewals work while this listener holds port 80
+  },
+  certificates: {
+    key: 'server.key',
+    cert: 'server.cert',
+    sni: [], // [{ hostnames: ['rpc.example.com', '*.example.org'], key: 'certs/example.key', cert: 'certs/example.cert' }]
+    watch: true, // reload certificates when the files change
+    watchInterval: 5000, // ms between file checks
+    reloadDelay: 2000 // ms to wait after a change so both files of a renewal are written
+  }
+};
+
+// Graceful shutdown on SIGTERM/SIGINT (see utils/gracefulShutdown.js)
+// pm2 kills the process 1.6s after SIGINT by default - start it with --kill-timeout above the sum of these
+const shutdownConfig = {
+  drainTimeout: 10000, // ms for in-flight requests to finish
+  flushTimeout: 10000, // ms for the final Firebase/Postgres count flush
+  closeTimeout: 5000 // ms for closing the Postgres pool and exporting the last trace spans
+};
+
+// Response cache for immutable and per-block JSON-RPC methods
+const responseCacheConfig = {
+  enabled: true,
+  maxEntries: 10000,
+  perBlockTtl: 2000, // ms - per-block entries also expire as soon as a new head is seen
+  immutableTtl: 24 * 60 * 60 * 1000, // ms
+  finalityDepth: 64 // blocks before receipts/txs/blocks by number are cached as immutable
+};
+
+// Identical in-flight calls (same method + params) share one upstream request
+const coalescingConfig = {
+  enabled: true
+};
+
+// Per-IP token bucket rate limiting
+// Exempt IPs and per-IP overrides are read from overridesFile and reloaded when it changes
+const rateLimitConfig = {
+  enabled: true,
+  burst: 1000, // max calls in a burst - keep >= batchConfig.maxBatchSize
+  ratePerSecond: 100, // sustained calls per second
+  defaultCost: 1, // each batch member pays this
+  methodCosts: {
+    eth_getLogs: 5,
+    eth_estimateGas: 2,
+    debug_traceTransaction: 20,
+    trace_block: 20
+  },
+  overridesFile: 'rateLimits.json'
+};
+
+// Request-time funding policy for origins
+// available = requestsRemaining - requestsOutstanding (from Firestore) - requests served since the last refresh
+// Origins get the first tier whose minAvailable they reach; action is 'serve', 'throttle' or 'reject'
+// Enforcement is opt-in: set the unfunded tier's action to 'throttle' (using its burst/ratePerSecond)
+// or 'reject'. The Origin header is the caller's to set, so keep per-IP rate limiting on with it
+const fundingPolicyConfig = {
+  enabled: true,
+  refreshInterval: 30, // seconds between Firestore refreshes of the funding view
+  noOriginAction: 'serve', // requests without an Origin header
+  tiers: [
+    { name: 'funded', minAvailable: 1, action: 'serve' },
+    { name: 'unfunded', minAvailable: -Infinity, action: 'serve', burst: 50, ratePerSecond: 10 }
+  ]
+};
+
+// Which JSON-RPC methods get forwarded upstream
+// Rules are 'allow' or 'deny' by exact method name or namespace (prefix before the first "_")
+// Overrides per origin (without protocol) or API key (X-Api-Key header) take precedence
+const methodPolicyConfig = {
+  enabled: true,
+  defaultAction: 'allow',
+  namespaces: {
+    debug: 'deny',
+    trace: 'deny',
+    admin: 'deny',
+    personal: 'deny',
+    miner: 'deny',
+    clique: 'deny',
+    engine: 'deny'
+  },
+  methods: {
+    eth_sendTransaction: 'deny',
+    eth_sign: 'deny',
+    eth_signTransaction: 'deny',
+    eth_signTypedData: 'deny',
+    eth_signTypedData_v3: 'deny',
+    eth_signTypedData_v4: 'deny'
+  },
+  overrides: {
+    origins: {
+      // 'explorer.example.com': { namespaces: { debug: 'allow', trace: 'allow' } }
+    },
+    apiKeys: {
+      // 'replace-with-key': { namespaces: { debug: 'allow', trace: 'allow' } }
+    }
+  }
+};
+
+// Batch request limits
+// Batches over maxBatchSize are refused; with splitBatches, larger batches are sent upstream
+// in chunks of upstreamBatchSize, at most concurrency chunks at a time
+// maxBodySize caps HTTP request bodies and WebSocket frames alike
+const batchConfig = {
+  maxBatchSize: 1000,
+  maxBodySize: 100 * 1024, // bytes - body-parser's own default
+  splitBatches: true,
+  upstreamBatchSize: 100,
+  concurrency: 4
+};
+
+// Upstream RPC providers
+// Upstreams are read from upstreamsFile (see upstreams.example.json); without it the pool is the
+// TARGET_URL primary plus the FALLBACK_URL fallback. A strategy set in the file overrides this one
+// strategy: 'priority-failover' | 'round-robin' | 'weighted' | 'least-latency'
+const upstreamPoolConfig = {
+  upstreamsFile: 'upstreams.json',
+  strategy: 'priority-failover',
+  failureThreshold: 2, // consecutive failures before an upstream's circuit opens
+  resetTimeout: 60000, // ms before an open upstream is tried again (without health probes)
+  requestTimeout: 10000, // ms, default for upstreams without their own timeout
+  maxAttempts: 3 // upstreams tried per request before giving up
+};
+
+// Active health probes for upstreams with an open circuit
+// An open circuit closes after successThreshold consecutive successful eth_chainId + eth_blockNumber probes.
+// User traffic never tests a failed upstream. Disable to go back to HALF_OPEN after resetTimeout
+const healthProbeConfig = {
+  enabled: true,
+  interval: 10, // seconds between probes
+  timeout: 5000, // ms per probe call
+  successThreshold: 3,
+  expectedChainId: null // e.g. '0x1' - probes fail on a node serving another chain
+};
+
+// Block-height lag monitor - polls eth_blockNumber on every upstream
+// Upstreams more than maxLag blocks behind the highest head are taken out of routing until they catch up
+const lagMonitorConfig = {
+  enabled: true,
+  interval: 15, // seconds between polls
+  timeout: 5000, // ms per eth_blockNumber call
+  maxLag: 5, // blocks
+  alertLag: 20 // blocks behind before a Telegram alert (recovery alert once back within maxLag)
+};
+
+// Idempotency-aware retries on the next upstream
+// safe: retried on any failure. conditional: only when the upstream provably didn't process the call
+// (connection refused, DNS, HTTP 429/503, or an error answer). unsafe: never retried
+// Retries are also capped by upstreamPoolConfig.maxAttempts
+const retryPolicyConfig = {
+  defaultClass: 'safe',
+  retries: { safe: 2, conditional: 1, unsafe: 0 }, // retries per call after the first attempt
+  backoff: { initialDelay: 0, multiplier: 2, maxDelay: 1000 }, // ms before each retry - 0 retries immediately
+  methods: {
+    eth_sendRawTransaction: 'conditional',
+    eth_sendRawTransactionConditional: 'conditional',
+    eth_sendPrivateTransaction: 'conditional',
+    eth_sendPrivateRawTransaction: 'conditional',
+    eth_cancelPrivateTransaction: 'conditional',
+    eth_sendBundle: 'conditional',
+    eth_cancelBundle: 'conditional',
+    eth_sendTransaction: 'unsafe',
+    eth_submitWork: 'unsafe',
+    eth_submitHashrate: 'unsafe'
+  },
+  namespaces: {
+    personal: 'unsafe',
+    admin: 'unsafe',
+    miner: 'unsafe',
+    engine: 'unsafe'
+  },
+  timeouts: { // ms per upstream request - a batch gets its slowest member's timeout
+    eth_getLogs: 30000,
+    eth_call: 15000,
+    eth_estimateGas: 15000,
+    debug_traceTransaction: 60000,
+    debug_traceCall: 60000,
+    debug_traceBlockByNumber: 60000,
+    debug_traceBlockByHash: 60000,
+    trace_block: 60000,
+    trace_replayBlockTransactions: 60000
+  }
+};
+
+// Broadcast of signed transactions to every healthy upstream (see utils/txBroadcast.js)
+// Opt-in: every broadcast also goes to upstreams whose requests cost money (e.g. the fallback)
+const broadcastConfig = {
+  enabled: false,
+  methods: ['eth_sendRawTransaction'],
+  tags: [], // only broadcast to upstreams carrying all of these tags - empty means the whole pool
+  maxUpstreams: 5, // healthy upstreams to send to, by priority
+  timeout: 10000 // ms per upstream
+};
+
+// Tracking of relayed transactions (see utils/txTracker.js) - looked up on /tx/:hash
+const txTrackingConfig = {
+  enabled: true,
+  methods: ['eth_sendRawTransaction', 'eth_sendRawTransactionConditional'],
+  interval: 15, // seconds between receipt polls
+  timeout: 5000, // ms per upstream request
+  maxPollPerRound: 50, // pending transactions checked per poll
+  dropAfter: 600, // seconds unknown to the upstream before a pending transaction counts as dropped
+  retention: 86400, // seconds a transaction is kept after its last submission
+  maxTransactions: 10000,
+  maxOrigins: 1000 // origins with their own counters on /txByOrigin - later ones are counted as "other"
+};
+
+// Method-aware routing to upstream groups (upstreams tagged with the group name in upstreams.json)
+// First matching rule wins. A rule matches by method or namespace; with minBlockAge only when the
+// requested block is at least that many blocks behind the head (matchUnknownAge: block hashes etc.)
+// Rules whose group no upstream carries are disabled at startup, with a warning
+const routingConfig = {
+  enabled: true,
+  rules: [
+    { name: 'relay', methods: ['eth_sendRawTransaction'], group: 'relay' },
+    {
+      name: 'trace',
+      namespaces: ['trace'],
+      methods: ['debug_traceTransaction', 'debug_traceCall', 'debug_traceBlockByNumber', 'debug_traceBlockByHash'],
+      group: 'trace'
+    },
+    {
+      name: 'archive-state',
+      methods: ['eth_getBalance', 'eth_getCode', 'eth_getTransactionCount', 'eth_getStorageAt', 'eth_call', 'eth_getProof'],
+      minBlockAge: 128, // full nodes keep state for the last 128 blocks
+      matchUnknownAge: true,
+      group: 'archive'
+    },
+    { name: 'archive-storage', methods: ['eth_getStorageAt'], group: 'archive' }
+  ]
+};
+
+// Classification of upstream answers that arrive with HTTP 2xx
+// outcome 'upstream' counts as a circuit breaker failure, 'client' is the caller's own error.
+// Retryable upstream errors are sent to the next upstream within the same request.
+// First matching rule wins; a rule matches on codes and/or message substrings (case-insensitive)
+const responseClassificationConfig = {
+  enabled: true,
+  maxHeadLag: 5, // blocks - head answers further behind the best head seen are stale
+  defaultOutcome: 'client', // errors no rule matches
+  defaultRetryable: false,
+  rules: [
+    { name: 'execution-reverted', codes: [3], outcome: 'client' },
+    {
+      name: 'transaction-rejected',
+      messages: [
+        'execution reverted',
+        'nonce too low',
+        'nonce too high',
+        'insufficient funds',
+        'already known',
+        'replacement transaction underpriced',
+        'intrinsic gas too low',
+        'gas required exceeds',
+        'exceeds block gas limit',
+        'invalid sender'
+      ],
+      outcome: 'client'
+    },
+    { name: 'invalid-request', codes: [-32700, -32600, -32601, -32602], outcome: 'client' },
+    { name: 'rate-limited', codes: [-32005, 429], outcome: 'upstream', retryable: true },
+    {
+      name: 'missing-data',
+      messages: ['header not found', 'unknown block', 'missing trie node', 'historical state', 'pruned'],
+      outcome: 'upstream',
+      retryable: true
+    },
+    { name: 'resource-unavailable', codes: [-32002], outcome: 'upstream', retryable: true },
+    { name: 'internal-error', codes: [-32603], outcome: 'upstream', retryable: true },
+    {
+      name: 'provider-error',
+      messages: ['rate limit', 'too many requests', 'capacity', 'timeout', 'timed out', 'service unavailable', 'bad gateway'],
+      outcome: 'upstream',
+      retryable: true
+    }
+  ]
+};
+
 export {
   usdcAddress,
   // rpcFunderContractAddress,
-  backgroundTasksInterval
-};
\ No newline at end of file
+  backgroundTasksInterval,
+  loggingConfig,
+  clientIPConfig,
+  metricsConfig,
+  tracingConfig,
+  adminAuthConfig,
+  analyticsApiConfig,
+  dashboardConfig,
+  captureConfig,
+  countSpoolConfig,
+  responseCacheConfig,
+  coalescingConfig,
+  rateLimitConfig,
+  fundingPolicyConfig,
+  methodPolicyConfig,
+  batchConfig,
+  upstreamPoolConfig,
+  routingConfig,
+  responseClassificationConfig,
+  lagMonitorConfig,
+  healthProbeConfig,
+  retryPolicyConfig,
+  broadcastConfig,
+  txTrackingConfig,
+  listenerConfig,
+  shutdownConfig
+};
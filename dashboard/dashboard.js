@@ -0,0 +1,498 @@
+// Traffic dashboard - reads /api/v1 with the admin token the viewer enters (see DASHBOARD.md)
+// No libraries: charts are SVG built here, so the page needs nothing but the proxy itself
+// Everything from the API goes into the page as text nodes - origins are whatever clients sent
+
+const TOKEN_KEY = 'rpcProxyDashboardToken';
+const REFRESH_INTERVAL = 60000; // ms
+const HOUR = 3600 * 1000;
+const RANGES = {
+  '6h': { hours: 6, bucket: 'hour' },
+  '24h': { hours: 24, bucket: 'hour' },
+  '7d': { hours: 7 * 24, bucket: 'hour' },
+  '30d': { hours: 30 * 24, bucket: 'day' }
+};
+const STATES = ['CLOSED', 'HALF_OPEN', 'OPEN'];
+const SERIES_COUNT = 6; // colors in dashboard.css
+const TOP_ROWS = 10;
+
+const state = {
+  range: '24h',
+  origin: null, // origin filter for traffic and IPs
+  timer: null,
+  loading: false
+};
+
+const $ = id => document.getElementById(id);
+const numberFormat = new Intl.NumberFormat('en-US');
+const compactFormat = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+
+// The API rejected the token - back to the login form
+class AuthError extends Error {}
+
+// DOM helpers
+
+function el(tag, attributes = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value !== null && value !== undefined && value !== false) {
+      node.setAttribute(name, value);
+    }
+  });
+  [].concat(children).forEach(child => {
+    node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+  });
+  return node;
+}
+
+function svg(tag, attributes = {}, children = []) {
+  const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+  [].concat(children).forEach(child => {
+    node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+  });
+  return node;
+}
+
+function show(container, ...nodes) {
+  container.replaceChildren(...nodes);
+}
+
+function message(text, failed = false) {
+  return el('p', { class: failed ? 'message failed' : 'message' }, text);
+}
+
+// Formatting - times are UTC, like the logs and the database scripts
+
+function formatTime(ms, withDate) {
+  const iso = new Date(ms).toISOString();
+  return withDate ? `${iso.slice(5, 10)} ${iso.slice(11, 16)}` : iso.slice(11, 16);
+}
+
+function formatDateTime(ms) {
+  return `${new Date(ms).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 48 * 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+}
+
+function formatMs(value) {
+  return value === null || value === undefined ? '-' : `${numberFormat.format(value)} ms`;
+}
+
+// API
+
+function getToken() {
+  return sessionStorage.getItem(TOKEN_KEY) || localStorage.getItem(TOKEN_KEY);
+}
+
+function clearToken() {
+  sessionStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(TOKEN_KEY);
+}
+
+async function api(path, params = {}) {
+  // Relative to the page, so the dashboard also works behind a path prefix
+  const url = new URL(`../api/v1${path}`, document.baseURI);
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) {
+      url.searchParams.set(name, value);
+    }
+  });
+
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${getToken()}` },
+    cache: 'no-store',
+    credentials: 'omit'
+  });
+  const body = await response.json().catch(() => ({}));
+  if (response.status === 401 || response.status === 403) {
+    throw new AuthError(body.scope ? `This token doesn't have the ${body.scope} scope` : (body.error || 'Not allowed'));
+  }
+  if (!response.ok) {
+    throw new Error(body.error || `HTTP ${response.status}`);
+  }
+  return body;
+}
+
+// Charts
+
+const WIDTH = 900;
+const MARGIN = { top: 10, right: 12, bottom: 24, left: 52 };
+
+// Round numbers for a y axis from 0 to max
+function yTicks(max) {
+  if (max <= 0) return [0, 1];
+  const rough = max / 4;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+  const ticks = [];
+  for (let value = 0; value < max + step; value += step) {
+    ticks.push(value);
+  }
+  return ticks;
+}
+
+// Line chart over time
+// series: [{ label, className, points: [{ time, value }] }], hover: [{ from, to, text }]
+function lineChart({ from, to, series, hover = [], height = 220, format = value => compactFormat.format(value), area = false }) {
+  const max = Math.max(0, ...series.flatMap(line => line.points.map(point => point.value ?? 0)));
+  const ticks = yTicks(max);
+  const top = ticks[ticks.length - 1];
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+  const x = time => MARGIN.left + ((time - from) / (to - from)) * plotWidth;
+  const y = value => MARGIN.top + plotHeight - (value / top) * plotHeight;
+  const withDate = to - from > 24 * HOUR;
+
+  const chart = svg('svg', { viewBox: `0 0 ${WIDTH} ${height}`, role: 'img' });
+  const grid = svg('g', { class: 'grid' });
+  const axis = svg('g', { class: 'axis' });
+  ticks.forEach(tick => {
+    grid.append(svg('line', { x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: y(tick), y2: y(tick) }));
+    axis.append(svg('text', { x: MARGIN.left - 6, y: y(tick) + 4, 'text-anchor': 'end' }, format(tick)));
+  });
+  const xCount = 6;
+  for (let index = 0; index <= xCount; index++) {
+    const time = from + ((to - from) * index) / xCount;
+    const anchor = index === 0 ? 'start' : index === xCount ? 'end' : 'middle';
+    axis.append(svg('text', { x: x(time), y: height - 6, 'text-anchor': anchor }, formatTime(time, withDate)));
+  }
+  chart.append(grid, axis);
+
+  series.forEach(line => {
+    const points = line.points.filter(point => point.value !== null && point.value !== undefined);
+    if (points.length === 0) return;
+    const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+    if (area) {
+      const baseline = y(0).toFixed(1);
+      chart.append(svg('path', { class: `area ${line.className}`, d: `${path} L${x(points[points.length - 1].time).toFixed(1)},${baseline} L${x(points[0].time).toFixed(1)},${baseline} Z` }));
+    }
+    chart.append(svg('path', { class: `line ${line.className}`, d: path }));
+    if (points.length === 1) {
+      chart.append(svg('circle', { class: line.className, cx: x(points[0].time), cy: y(points[0].value), r: 3 }));
+    }
+  });
+
+  // Hover areas with the values as tooltips
+  hover.forEach(band => {
+    const left = Math.max(x(band.from), MARGIN.left);
+    const right = Math.min(x(band.to), WIDTH - MARGIN.right);
+    if (right > left) {
+      chart.append(svg('rect', { class: 'hover', x: left, y: MARGIN.top, width: right - left, height: plotHeight }, [svg('title', {}, band.text)]));
+    }
+  });
+  return chart;
+}
+
+function legend(items) {
+  return el('div', { class: 'legend' }, items.map(item => el('span', {}, item.className ? [el('span', { class: `swatch ${item.className}` }), item.label] : item.label)));
+}
+
+// Table with a bar for the main value
+// columns: [{ label, value: row => ..., number, bar }]
+function table(rows, columns, { onClick, selected } = {}) {
+  const barColumn = columns.find(column => column.bar);
+  const max = barColumn ? Math.max(1, ...rows.map(row => barColumn.value(row) || 0)) : 1;
+
+  const head = el('tr', {}, columns.map(column => el('th', { class: column.number ? 'number' : null }, column.label)));
+  if (barColumn) head.append(el('th'));
+
+  const body = rows.map(row => {
+    const cells = columns.map(column => {
+      const value = column.value(row);
+      const content = column.render ? column.render(row) : (column.number && typeof value === 'number' ? numberFormat.format(value) : (value ?? '-'));
+      return el('td', { class: column.number ? 'number' : 'name', title: column.number ? null : String(value ?? '') }, content);
+    });
+    if (barColumn) {
+      const fill = el('div', { class: 'bar-fill' });
+      fill.style.width = `${((barColumn.value(row) || 0) / max) * 100}%`;
+      cells.push(el('td', { class: 'bar' }, fill));
+    }
+    const tr = el('tr', { class: [onClick ? 'clickable' : '', selected && selected(row) ? 'selected' : ''].join(' ').trim() || null }, cells);
+    if (onClick) tr.addEventListener('click', () => onClick(row));
+    return tr;
+  });
+  return el('table', {}, [el('thead', {}, head), el('tbody', {}, body)]);
+}
+
+function stat(label, value) {
+  return el('div', { class: 'stat' }, [el('div', { class: 'value' }, value), el('div', { class: 'label' }, label)]);
+}
+
+// Panels
+
+function getView() {
+  const range = RANGES[state.range];
+  const to = Date.now();
+  return { to, from: to - range.hours * HOUR, bucket: range.bucket };
+}
+
+function renderTraffic(result, view) {
+  const bucketSize = result.bucket === 'day' ? 24 * HOUR : HOUR;
+  const points = result.data.map(row => ({ time: Date.parse(row.time) + bucketSize / 2, value: row.requests }));
+  const chart = lineChart({
+    from: Date.parse(result.window.from),
+    to: view.to,
+    series: [{ label: 'Requests', className: 'series-0', points }],
+    hover: result.data.map(row => ({
+      from: Date.parse(row.time),
+      to: Date.parse(row.time) + bucketSize,
+      text: `${formatDateTime(Date.parse(row.time))}\n${numberFormat.format(row.requests)} requests from ${numberFormat.format(row.ips)} IPs`
+    })),
+    area: true
+  });
+  show($('traffic'), chart);
+  $('traffic-note').textContent = `per ${result.bucket}, completed hours from ip_history_table`;
+
+  const total = result.data.reduce((sum, row) => sum + row.requests, 0);
+  const peak = result.data.reduce((best, row) => (row.requests > (best?.requests ?? -1) ? row : best), null);
+  return { total, peak, bucket: result.bucket };
+}
+
+function renderOrigins(result) {
+  if (result.data.length === 0) {
+    show($('origins'), message('No origins in this range'));
+    return;
+  }
+  show($('origins'), table(result.data, [
+    { label: 'Origin', value: row => row.origin },
+    { label: 'Requests', value: row => row.requests, number: true, bar: true },
+    { label: 'IPs', value: row => row.ips, number: true }
+  ], {
+    onClick: row => setOrigin(state.origin === row.origin ? null : row.origin),
+    selected: row => row.origin === state.origin
+  }));
+}
+
+function renderIPs(result) {
+  if (result.data.length === 0) {
+    show($('ips'), message('No IPs in this range'));
+    return;
+  }
+  show($('ips'), table(result.data, [
+    { label: 'IP', value: row => row.ip },
+    { label: 'Requests', value: row => row.requests, number: true, bar: true },
+    { label: 'Active hours', value: row => row.activeHours, number: true },
+    { label: 'Last seen', value: row => row.lastSeen, render: row => formatTime(Date.parse(row.lastSeen), true) }
+  ]));
+}
+
+function renderMethods(result) {
+  $('methods-note').textContent = `since ${formatDateTime(Date.parse(result.since))}, not persisted`;
+  if (result.data.length === 0) {
+    show($('methods'), message('No calls since the proxy started'));
+    return;
+  }
+  const others = result.page.total - result.data.length;
+  show($('methods'),
+    table(result.data, [
+      { label: 'Method', value: row => row.method },
+      { label: 'Calls', value: row => row.calls, number: true, bar: true },
+      { label: 'Blocked', value: row => row.blocked, number: true }
+    ]),
+    others > 0 ? message(`${others} more method${others === 1 ? '' : 's'}`) : ''
+  );
+}
+
+function renderUpstreams(result, view) {
+  const { upstreams, transitions, latency } = result.data;
+  const since = Date.parse(result.since);
+  const from = Math.max(view.from, since);
+  const note = since > view.from ? `since ${formatDateTime(since)} (kept in memory)` : 'kept in memory';
+  $('breakers-note').textContent = note;
+  $('latency-note').textContent = `${note}, per ${result.interval / 60} min`;
+
+  // Current state and the smoothed latency the pool routes on
+  show($('upstreams'), table(upstreams, [
+    { label: 'Upstream', value: row => row.name },
+    { label: 'Circuit', value: row => row.state, render: row => el('span', { class: `state ${row.state}` }, row.state) },
+    { label: 'In rotation', value: row => (row.healthy ? 'yes' : row.lagging ? 'no (lagging)' : 'no') },
+    { label: 'Latency', value: row => row.latencyMs, number: true, render: row => formatMs(row.latencyMs) }
+  ]));
+
+  // One row per upstream, colored by state
+  const rowHeight = 26;
+  const height = MARGIN.top + upstreams.length * rowHeight + MARGIN.bottom;
+  const labelWidth = 140;
+  const plotWidth = WIDTH - labelWidth - MARGIN.right;
+  const x = time => labelWidth + ((time - from) / (view.to - from)) * plotWidth;
+  const chart = svg('svg', { viewBox: `0 0 ${WIDTH} ${height}`, role: 'img' });
+  const axis = svg('g', { class: 'axis' });
+  for (let index = 0; index <= 6; index++) {
+    const time = from + ((view.to - from) * index) / 6;
+    const anchor = index === 0 ? 'start' : index === 6 ? 'end' : 'middle';
+    axis.append(svg('text', { x: x(time), y: height - 6, 'text-anchor': anchor }, formatTime(time, view.to - from > 24 * HOUR)));
+  }
+  chart.append(axis);
+  upstreams.forEach((upstream, row) => {
+    const top = MARGIN.top + row * rowHeight;
+    chart.append(svg('text', { class: 'row-label', x: 0, y: top + 16 }, upstream.name));
+    upstream.timeline.forEach(period => {
+      const start = Date.parse(period.from);
+      const end = Date.parse(period.to);
+      chart.append(svg('rect', {
+        class: `period ${period.state}`,
+        x: x(start),
+        y: top + 4,
+        width: Math.max(1, x(end) - x(start)),
+        height: rowHeight - 8
+      }, [svg('title', {}, `${upstream.name}: ${period.state}\n${formatDateTime(start)} - ${formatDateTime(end)} (${formatDuration(end - start)})`)]));
+    });
+  });
+  show($('breakers'), chart, legend(STATES.map(name => ({ label: name, className: name }))));
+
+  const recent = transitions.slice(-TOP_ROWS).reverse();
+  show($('transitions'), recent.length === 0
+    ? message('No circuit breaker changes in this range')
+    : table(recent, [
+      { label: 'Time', value: row => row.time, render: row => formatDateTime(Date.parse(row.time)) },
+      { label: 'Upstream', value: row => row.upstream },
+      { label: 'Change', value: row => `${row.from} → ${row.to}`, render: row => el('span', {}, [el('span', { class: `state ${row.from}` }, row.from), ' → ', el('span', { class: `state ${row.to}` }, row.to)]) },
+      { label: 'Error', value: row => row.error }
+    ]));
+
+  // p50 solid, p95 dashed, one color per upstream
+  const names = upstreams.map(upstream => upstream.name);
+  const intervalMs = result.interval * 1000;
+  const series = names.flatMap((name, index) => ['p50Ms', 'p95Ms'].map(key => ({
+    label: `${name} ${key.slice(0, 3)}`,
+    className: `series-${index % SERIES_COUNT} ${key.slice(0, 3)}`,
+    points: latency.filter(sample => sample.upstreams[name]).map(sample => ({ time: Date.parse(sample.time) + intervalMs / 2, value: sample.upstreams[name][key] }))
+  })));
+  if (latency.length === 0) {
+    show($('latency'), message(`No samples yet - the first one is taken ${result.interval / 60} min after startup`));
+    return;
+  }
+  show($('latency'),
+    lineChart({
+      from,
+      to: view.to,
+      series,
+      format: value => `${compactFormat.format(value)} ms`,
+      hover: latency.map(sample => ({
+        from: Date.parse(sample.time),
+        to: Date.parse(sample.time) + intervalMs,
+        text: [formatDateTime(Date.parse(sample.time)), ...Object.entries(sample.upstreams).map(([name, values]) =>
+          `${name}: p50 ${formatMs(values.p50Ms)}, p95 ${formatMs(values.p95Ms)}, max ${formatMs(values.maxMs)}, ${values.requests} requests, ${values.errors} errors`)].join('\n')
+      }))
+    }),
+    legend([
+      ...names.map((name, index) => ({ label: name, className: `series-${index % SERIES_COUNT}` })),
+      { label: 'solid p50, dashed p95', className: null }
+    ])
+  );
+}
+
+// Loading
+
+// Run one panel's request - a failure shows in that panel without blanking the others
+async function load(containerIds, request, render) {
+  try {
+    const result = await request();
+    return render(result);
+  } catch (error) {
+    if (error instanceof AuthError) throw error;
+    containerIds.forEach(id => show($(id), message(error.message, true)));
+    return null;
+  }
+}
+
+async function refresh() {
+  if (state.loading || !getToken()) return;
+  state.loading = true;
+  $('refresh').disabled = true;
+  const view = getView();
+  const from = Math.floor(view.from / 1000);
+  const origin = state.origin;
+
+  try {
+    const [traffic, ips, origins] = await Promise.all([
+      load(['traffic'], () => api('/traffic', { from, bucket: view.bucket, origin }), result => renderTraffic(result, view)),
+      load(['ips'], () => api('/ips', { from, origin, limit: TOP_ROWS }), result => { renderIPs(result); return result.page.total; }),
+      load(['origins'], () => api('/origins', { from, limit: TOP_ROWS }), result => { renderOrigins(result); return result.page.total; }),
+      load(['methods'], () => api('/methods', { limit: 15 }), renderMethods),
+      load(['upstreams', 'breakers', 'latency'], () => api('/upstreams', { from }), result => renderUpstreams(result, view))
+    ]);
+
+    show($('summary'),
+      stat(origin ? `Requests from ${origin}` : 'Requests', traffic ? numberFormat.format(traffic.total) : '-'),
+      stat(traffic?.bucket === 'day' ? 'Peak day' : 'Peak hour', traffic?.peak && traffic.peak.requests > 0 ? `${numberFormat.format(traffic.peak.requests)} at ${formatTime(Date.parse(traffic.peak.time), true)}` : '-'),
+      stat(origin ? `IPs using ${origin}` : 'IPs', ips === null ? '-' : numberFormat.format(ips)),
+      stat('Origins', origins === null ? '-' : numberFormat.format(origins))
+    );
+    $('updated').textContent = `Updated ${new Date().toISOString().slice(11, 19)} UTC`;
+  } catch (error) {
+    if (error instanceof AuthError) {
+      signOut(error.message);
+      return;
+    }
+    $('updated').textContent = `Update failed: ${error.message}`;
+  } finally {
+    state.loading = false;
+    $('refresh').disabled = false;
+  }
+}
+
+function setOrigin(origin) {
+  state.origin = origin;
+  $('filter').hidden = !origin;
+  $('filter-origin').textContent = origin || '';
+  refresh();
+}
+
+function startRefreshing() {
+  clearInterval(state.timer);
+  state.timer = setInterval(() => {
+    if (document.visibilityState === 'visible') refresh();
+  }, REFRESH_INTERVAL);
+}
+
+function showDashboard() {
+  $('login').hidden = true;
+  $('dashboard').hidden = false;
+  $('controls').hidden = false;
+  refresh();
+  startRefreshing();
+}
+
+function signOut(reason = '') {
+  clearToken();
+  clearInterval(state.timer);
+  $('dashboard').hidden = true;
+  $('controls').hidden = true;
+  $('login').hidden = false;
+  $('login-error').textContent = reason;
+  $('token').focus();
+}
+
+function init() {
+  $('login-form').addEventListener('submit', event => {
+    event.preventDefault();
+    const token = $('token').value.trim();
+    if (!token) return;
+    clearToken();
+    ($('remember').checked ? localStorage : sessionStorage).setItem(TOKEN_KEY, token);
+    $('token').value = '';
+    $('login-error').textContent = '';
+    showDashboard();
+  });
+  $('range').addEventListener('change', event => {
+    state.range = event.target.value;
+    refresh();
+  });
+  $('refresh').addEventListener('click', () => refresh());
+  $('clear-filter').addEventListener('click', () => setOrigin(null));
+  $('sign-out').addEventListener('click', () => signOut());
+
+  if (getToken()) {
+    showDashboard();
+  } else {
+    signOut();
+  }
+}
+
+init();
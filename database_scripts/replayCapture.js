@@ -0,0 +1,313 @@
+/**
+ * Replay a traffic capture against a proxy
+ *
+ * Sends the requests in a capture (see TRAFFIC_CAPTURE.md) to any proxy URL, at their original pace
+ * or scaled, and reports error rates and latency percentiles - for load tests and for comparing
+ * providers behind the proxy
+ *
+ * Usage: node database_scripts/replayCapture.js <capture.jsonl> <proxy URL> [options]
+ *
+ *   --speed <n>         Replay n times faster than captured (default 1, 0 = as fast as possible)
+ *   --concurrency <n>   Requests in flight at most (default 50)
+ *   --limit <n>         Replay the first n requests only
+ *   --timeout <ms>      Per request timeout (default 30000)
+ *   --keep-origin       Send the captured Origin header - counts against that origin's quota on the target
+ *   --include-writes    Also replay methods the retry policy doesn't class as safe - transaction and bundle
+ *                       submissions, personal_*, ... (skipped by default)
+ *   --insecure          Accept self-signed certificates
+ *   --json              Print the report as JSON
+ */
+
+import fs from 'fs';
+import https from 'https';
+import axios from 'axios';
+import { RETRY_CLASS, getRetryClass } from '../utils/retryPolicy.js';
+
+const REDACTED = '[REDACTED]';
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}\n`);
+  console.error('Usage: node database_scripts/replayCapture.js <capture.jsonl> <proxy URL> [--speed n] [--concurrency n] [--limit n] [--timeout ms] [--keep-origin] [--include-writes] [--insecure] [--json]');
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const options = { speed: 1, concurrency: 50, limit: Infinity, timeout: 30000, keepOrigin: false, includeWrites: false, insecure: false, json: false };
+  const positional = [];
+  const numberArg = (name, value) => {
+    const number = Number(value);
+    if (value === undefined || !Number.isFinite(number) || number < 0) usage(`${name} needs a number`);
+    return number;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--speed') options.speed = numberArg(arg, argv[++i]);
+    else if (arg === '--concurrency') options.concurrency = Math.max(1, numberArg(arg, argv[++i]));
+    else if (arg === '--limit') options.limit = numberArg(arg, argv[++i]);
+    else if (arg === '--timeout') options.timeout = numberArg(arg, argv[++i]);
+    else if (arg === '--keep-origin') options.keepOrigin = true;
+    else if (arg === '--include-writes') options.includeWrites = true;
+    else if (arg === '--insecure') options.insecure = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--')) usage(`Unknown option ${arg}`);
+    else positional.push(arg);
+  }
+
+  if (positional.length !== 2) usage();
+  [options.file, options.url] = positional;
+  return options;
+}
+
+// Captured entries in time order, with the reason for every entry that can't be replayed
+function loadCapture(file, options) {
+  const entries = [];
+  const skipped = {};
+  const skip = (reason) => { skipped[reason] = (skipped[reason] || 0) + 1; };
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '');
+  for (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      skip('unreadable line');
+      continue;
+    }
+
+    const time = Date.parse(entry.timestamp);
+    const calls = entry.method === 'batch' ? entry.calls : [{ method: entry.method, params: entry.params }];
+    if (!Number.isFinite(time) || !Array.isArray(calls)) {
+      skip('unreadable line');
+    } else if (calls.length === 0) {
+      skip('empty batch');
+    } else if (entry.paramsOmitted) {
+      skip('params not captured (too large)');
+    } else if (calls.some(call => call.params === REDACTED)) {
+      skip('params redacted');
+    } else if (calls.some(call => typeof call.method !== 'string')) {
+      skip('invalid call');
+    } else if (!options.includeWrites && calls.some(call => getRetryClass(call.method) !== RETRY_CLASS.SAFE)) {
+      skip('write method (use --include-writes)');
+    } else {
+      entries.push({ ...entry, time, calls });
+    }
+  }
+
+  entries.sort((a, b) => a.time - b.time);
+  return { entries: entries.slice(0, options.limit), skipped, lines: lines.length };
+}
+
+function toBody(entry) {
+  const body = entry.calls.map((call, index) => ({
+    jsonrpc: '2.0',
+    id: index + 1,
+    method: call.method,
+    ...(call.params === undefined ? {} : { params: call.params })
+  }));
+  return entry.method === 'batch' ? body : body[0];
+}
+
+function countRpcErrors(data) {
+  const answers = Array.isArray(data) ? data : [data];
+  return answers.filter(answer => answer && typeof answer === 'object' && answer.error).length;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latencySummary(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function replay(entries, options) {
+  const client = axios.create({
+    timeout: options.timeout,
+    validateStatus: () => true, // every status is a result, not an exception
+    httpsAgent: new https.Agent({ rejectUnauthorized: !options.insecure, keepAlive: true })
+  });
+
+  const results = [];
+  const inFlight = new Set();
+  const startedAt = Date.now();
+  const firstTime = entries.length > 0 ? entries[0].time : 0;
+  let late = 0;
+
+  for (const entry of entries) {
+    // Keep the captured gaps between requests, divided by speed
+    if (options.speed > 0) {
+      const due = startedAt + (entry.time - firstTime) / options.speed;
+      const wait = due - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      } else if (wait < -1000) {
+        late++; // concurrency or the client couldn't keep up with the captured pace
+      }
+    }
+    while (inFlight.size >= options.concurrency) {
+      await Promise.race(inFlight);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (entry.requestId) headers['X-Request-Id'] = `replay-${entry.requestId}`.slice(0, 128);
+    if (options.keepOrigin && entry.origin) headers.Origin = entry.origin;
+
+    const sentAt = Date.now();
+    const request = client.post(options.url, toBody(entry), { headers })
+      .then(response => ({ status: response.status, rpcErrors: countRpcErrors(response.data) }))
+      .catch(error => ({ status: null, error: error.code || error.message, rpcErrors: 0 }))
+      .then(outcome => {
+        results.push({ entry, ...outcome, latencyMs: Date.now() - sentAt });
+        inFlight.delete(request);
+      });
+    inFlight.add(request);
+  }
+
+  await Promise.all(inFlight);
+  return { results, durationMs: Date.now() - startedAt, late };
+}
+
+function buildReport(capture, { results, durationMs, late }, options) {
+  const statuses = {};
+  const errors = {};
+  const byMethod = {};
+  let failedRequests = 0;
+  let calls = 0;
+  let rpcErrors = 0;
+
+  for (const result of results) {
+    const statusKey = result.status === null ? 'no response' : String(result.status);
+    statuses[statusKey] = (statuses[statusKey] || 0) + 1;
+    if (result.error) errors[result.error] = (errors[result.error] || 0) + 1;
+
+    const failed = result.status === null || result.status >= 400;
+    if (failed) failedRequests++;
+    calls += result.entry.calls.length;
+    rpcErrors += result.rpcErrors;
+
+    const method = result.entry.method;
+    if (!byMethod[method]) byMethod[method] = { requests: 0, failed: 0, latencies: [], originalLatencies: [] };
+    byMethod[method].requests++;
+    if (failed) byMethod[method].failed++;
+    byMethod[method].latencies.push(result.latencyMs);
+    if (Number.isFinite(result.entry.latencyMs)) byMethod[method].originalLatencies.push(result.entry.latencyMs);
+  }
+
+  const methods = Object.entries(byMethod)
+    .sort(([, a], [, b]) => b.requests - a.requests)
+    .map(([method, stats]) => ({
+      method,
+      requests: stats.requests,
+      errorRate: stats.failed / stats.requests,
+      latencyMs: latencySummary(stats.latencies),
+      originalLatencyMs: latencySummary(stats.originalLatencies)
+    }));
+
+  return {
+    url: options.url,
+    speed: options.speed,
+    captured: capture.lines,
+    skipped: capture.skipped,
+    requests: results.length,
+    calls,
+    durationMs,
+    requestsPerSecond: durationMs > 0 ? results.length / (durationMs / 1000) : null,
+    lateRequests: late,
+    errorRate: results.length > 0 ? failedRequests / results.length : 0, // no response or HTTP status >= 400
+    rpcErrorRate: calls > 0 ? rpcErrors / calls : 0, // calls answered with a JSON-RPC error
+    statuses,
+    errors,
+    latencyMs: latencySummary(results.map(result => result.latencyMs)),
+    originalLatencyMs: latencySummary(results.map(result => result.entry.latencyMs).filter(Number.isFinite)),
+    methods
+  };
+}
+
+function formatMs(value) {
+  return value === null ? '-' : `${value} ms`;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function printReport(report) {
+  const latencyLine = (label, latency) => console.log(
+    `   ${label.padEnd(10)} p50 ${formatMs(latency.p50).padStart(9)}  p90 ${formatMs(latency.p90).padStart(9)}  p95 ${formatMs(latency.p95).padStart(9)}  p99 ${formatMs(latency.p99).padStart(9)}  max ${formatMs(latency.max).padStart(9)}`
+  );
+
+  console.log('='.repeat(100));
+  console.log(`📊 Replay Report - ${report.url}`);
+  console.log('='.repeat(100));
+  console.log(`\n   Captured lines:   ${report.captured}`);
+  Object.entries(report.skipped).forEach(([reason, count]) => console.log(`   Skipped:          ${count} (${reason})`));
+  console.log(`   Replayed:         ${report.requests} requests, ${report.calls} calls in ${(report.durationMs / 1000).toFixed(1)}s (${report.speed === 0 ? 'as fast as possible' : `${report.speed}x speed`})`);
+  console.log(`   Rate:             ${report.requestsPerSecond === null ? '-' : report.requestsPerSecond.toFixed(1)} requests/s`);
+  if (report.lateRequests > 0) {
+    console.log(`   ⚠️  ${report.lateRequests} request(s) sent over 1s late - raise --concurrency or lower --speed for the captured pace`);
+  }
+
+  console.log(`\n   Error rate:       ${formatPercent(report.errorRate)} (no response or HTTP status >= 400)`);
+  console.log(`   JSON-RPC errors:  ${formatPercent(report.rpcErrorRate)} of calls`);
+  console.log(`   Statuses:         ${Object.entries(report.statuses).map(([status, count]) => `${status}: ${count}`).join(', ') || '-'}`);
+  Object.entries(report.errors).forEach(([error, count]) => console.log(`   ❌ ${error}: ${count}`));
+
+  console.log('\n   Latency');
+  latencyLine('replay', report.latencyMs);
+  latencyLine('captured', report.originalLatencyMs);
+
+  console.log('\n   By method (replay latency)');
+  console.log(`   ${'Method'.padEnd(40)} ${'Requests'.padStart(9)} ${'Errors'.padStart(8)} ${'p50'.padStart(9)} ${'p95'.padStart(9)} ${'p99'.padStart(9)}`);
+  report.methods.slice(0, 20).forEach(method => {
+    console.log(`   ${method.method.padEnd(40)} ${String(method.requests).padStart(9)} ${formatPercent(method.errorRate).padStart(8)} ${formatMs(method.latencyMs.p50).padStart(9)} ${formatMs(method.latencyMs.p95).padStart(9)} ${formatMs(method.latencyMs.p99).padStart(9)}`);
+  });
+  if (report.methods.length > 20) {
+    console.log(`   ... and ${report.methods.length - 20} more (see --json)`);
+  }
+  console.log('\n' + '='.repeat(100));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let capture;
+  try {
+    capture = loadCapture(options.file, options);
+  } catch (error) {
+    usage(`Cannot read ${options.file}: ${error.message}`);
+  }
+
+  if (capture.entries.length === 0) {
+    console.error(`❌ Nothing to replay in ${options.file}`);
+    process.exit(1);
+  }
+
+  if (!options.json) {
+    console.log(`🔁 Replaying ${capture.entries.length} request(s) from ${options.file} against ${options.url}\n`);
+  }
+  const outcome = await replay(capture.entries, options);
+  const report = buildReport(capture, outcome, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+/**
+ * Test script for the response cache
+ *
+ * Checks which calls are cached, and that calls reading the pending block never are -
+ * a stale pending nonce makes wallets fail with "nonce too low"
+ *
+ * Usage: node database_scripts/testResponseCache.js
+ */
+
+import { ResponseCache, CACHE_CLASS, classifyCall } from '../utils/responseCache.js';
+import { callKey } from '../utils/jsonRpc.js';
+
+console.log('🧪 Testing Response Cache\n');
+console.log('='.repeat(100));
+
+let failures = 0;
+
+function check(description, actual, expected) {
+  const passed = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!passed) failures++;
+  console.log(`${passed ? '✅' : '❌'} ${description.padEnd(70)} ${passed ? '' : `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`}`);
+}
+
+const call = (method, params) => ({ jsonrpc: '2.0', id: 1, method, params });
+const address = '0x' + '11'.repeat(20);
+
+// [description, call, expected class]
+const classCases = {
+  'Cacheable Calls': [
+    ['eth_chainId', call('eth_chainId', []), CACHE_CLASS.IMMUTABLE],
+    ['eth_blockNumber', call('eth_blockNumber', []), CACHE_CLASS.PER_BLOCK],
+    ['eth_getTransactionCount at latest', call('eth_getTransactionCount', [address, 'latest']), CACHE_CLASS.PER_BLOCK],
+    ['eth_getBalance at a block number', call('eth_getBalance', [address, '0x10']), CACHE_CLASS.PER_BLOCK],
+    ['eth_call at a block hash (EIP-1898)', call('eth_call', [{ to: address }, { blockHash: '0x' + '22'.repeat(32) }]), CACHE_CLASS.PER_BLOCK],
+    ['eth_estimateGas at latest', call('eth_estimateGas', [{ to: address }, 'latest']), CACHE_CLASS.PER_BLOCK],
+    ['eth_getLogs over block numbers', call('eth_getLogs', [{ fromBlock: '0x1', toBlock: 'latest' }]), CACHE_CLASS.PER_BLOCK]
+  ],
+
+  'Pending State (Should NOT be cached)': [
+    ['eth_getTransactionCount at pending', call('eth_getTransactionCount', [address, 'pending']), CACHE_CLASS.UNCACHEABLE],
+    ['eth_getTransactionCount without a tag', call('eth_getTransactionCount', [address]), CACHE_CLASS.UNCACHEABLE],
+    ['eth_call at pending', call('eth_call', [{ to: address }, 'pending']), CACHE_CLASS.UNCACHEABLE],
+    ['eth_call without a tag', call('eth_call', [{ to: address }]), CACHE_CLASS.UNCACHEABLE],
+    ['eth_estimateGas at pending', call('eth_estimateGas', [{ to: address }, 'pending']), CACHE_CLASS.UNCACHEABLE],
+    ['eth_estimateGas without a tag', call('eth_estimateGas', [{ to: address }]), CACHE_CLASS.UNCACHEABLE],
+    ['eth_getBalance at pending', call('eth_getBalance', [address, 'pending']), CACHE_CLASS.UNCACHEABLE],
+    ['eth_getStorageAt at pending', call('eth_getStorageAt', [address, '0x0', 'pending']), CACHE_CLASS.UNCACHEABLE],
+    ['eth_getLogs up to pending', call('eth_getLogs', [{ fromBlock: '0x1', toBlock: 'pending' }]), CACHE_CLASS.UNCACHEABLE],
+    ['eth_getBlockByNumber at pending', call('eth_getBlockByNumber', ['pending', false]), CACHE_CLASS.UNCACHEABLE],
+    ['eth_getBlockByNumber without a tag', call('eth_getBlockByNumber', []), CACHE_CLASS.UNCACHEABLE]
+  ],
+
+  'Uncacheable Methods': [
+    ['eth_sendRawTransaction', call('eth_sendRawTransaction', ['0x00']), CACHE_CLASS.UNCACHEABLE],
+    ['unknown method', call('foo_bar', []), CACHE_CLASS.UNCACHEABLE]
+  ]
+};
+
+for (const [category, cases] of Object.entries(classCases)) {
+  console.log(`\n📋 ${category}`);
+  console.log('-'.repeat(100));
+
+  for (const [description, testCall, expected] of cases) {
+    check(description, classifyCall(testCall), expected);
+  }
+}
+
+console.log('\n📋 Lookups');
+console.log('-'.repeat(100));
+
+const cache = new ResponseCache({ perBlockTtl: 60000 });
+cache.observeBlockNumber(100);
+
+const latestNonce = call('eth_getTransactionCount', [address, 'latest']);
+cache.set(latestNonce, { jsonrpc: '2.0', id: 1, result: '0x5' });
+check('latest nonce is served from the cache', cache.get(latestNonce), { jsonrpc: '2.0', result: '0x5' });
+
+const pendingNonce = call('eth_getTransactionCount', [address, 'pending']);
+cache.set(pendingNonce, { jsonrpc: '2.0', id: 1, result: '0x5' });
+check('pending nonce is not stored', cache.get(pendingNonce), null);
+
+const untaggedEstimate = call('eth_estimateGas', [{ to: address }]);
+cache.set(untaggedEstimate, { jsonrpc: '2.0', id: 1, result: '0x5208' });
+check('untagged eth_estimateGas is not stored', cache.get(untaggedEstimate), null);
+
+const pendingBlock = call('eth_getBlockByNumber', ['pending', false]);
+cache.set(pendingBlock, { jsonrpc: '2.0', id: 1, result: { number: '0x65' } });
+check('pending block is not stored', cache.get(pendingBlock), null);
+
+// Blocks named by a tag are another block once the head moves, even when the block returned is final
+const finalizedBlock = call('eth_getBlockByNumber', ['finalized', false]);
+const safeBlock = call('eth_getBlockByNumber', ['safe', false]);
+const latestBlock = call('eth_getBlockByNumber', ['latest', false]);
+const oldBlock = call('eth_getBlockByNumber', ['0x1', false]);
+cache.set(finalizedBlock, { jsonrpc: '2.0', id: 1, result: { number: '0x1' } });
+cache.set(safeBlock, { jsonrpc: '2.0', id: 1, result: { number: '0x1' } });
+cache.set(latestBlock, { jsonrpc: '2.0', id: 1, result: { number: '0x64' } });
+cache.set(oldBlock, { jsonrpc: '2.0', id: 1, result: { number: '0x1' } });
+check('finalized block is stored per block', cache.entries.get(callKey(finalizedBlock))?.cacheClass, CACHE_CLASS.PER_BLOCK);
+check('safe block is stored per block', cache.entries.get(callKey(safeBlock))?.cacheClass, CACHE_CLASS.PER_BLOCK);
+check('latest block is stored per block', cache.entries.get(callKey(latestBlock))?.cacheClass, CACHE_CLASS.PER_BLOCK);
+check('final block asked for by number is immutable', cache.entries.get(callKey(oldBlock))?.cacheClass, CACHE_CLASS.IMMUTABLE);
+
+cache.observeBlockNumber(101);
+check('latest nonce expires when the head moves', cache.get(latestNonce), null);
+check('finalized block expires when the head moves', cache.get(finalizedBlock), null);
+check('safe block expires when the head moves', cache.get(safeBlock), null);
+check('block by number is still served', cache.get(oldBlock), { jsonrpc: '2.0', result: { number: '0x1' } });
+
+console.log('\n' + '='.repeat(100));
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log(`\n✅ All checks passed!`);
+console.log('='.repeat(100));
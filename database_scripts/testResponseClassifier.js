@@ -0,0 +1,133 @@
+/**
+ * Test script for upstream response classification
+ *
+ * Checks which JSON-RPC answers count as upstream failures, which are the caller's own errors,
+ * and which get retried on another upstream
+ *
+ * Usage: node database_scripts/testResponseClassifier.js
+ */
+
+import { OUTCOME, classifyCall, classifyResponse } from '../utils/responseClassifier.js';
+import { responseClassificationConfig } from '../config.js';
+
+console.log('🧪 Testing Response Classifier\n');
+console.log('='.repeat(100));
+
+let failures = 0;
+
+function check(description, actual, expected) {
+  const passed = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!passed) failures++;
+  console.log(`${passed ? '✅' : '❌'} ${description.padEnd(70)} ${passed ? '' : `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`}`);
+}
+
+const call = { jsonrpc: '2.0', id: 1, method: 'eth_call', params: [{ to: '0x0' }, 'latest'] };
+const errorAnswer = (code, message) => ({ jsonrpc: '2.0', id: 1, error: { code, message } });
+
+// Single answers: [description, answer, expected outcome, expected retryable]
+const callCases = {
+  'Successful Answers (Should be OK)': [
+    ['result', { jsonrpc: '2.0', id: 1, result: '0x' }, OUTCOME.OK, false],
+    ['null result', { jsonrpc: '2.0', id: 1, result: null }, OUTCOME.OK, false]
+  ],
+
+  'Client Errors (Should NOT count against the upstream)': [
+    ['execution reverted (code 3)', errorAnswer(3, 'execution reverted'), OUTCOME.CLIENT_ERROR, false],
+    ['execution reverted (-32000)', errorAnswer(-32000, 'execution reverted: not owner'), OUTCOME.CLIENT_ERROR, false],
+    ['nonce too low', errorAnswer(-32000, 'nonce too low'), OUTCOME.CLIENT_ERROR, false],
+    ['insufficient funds', errorAnswer(-32000, 'insufficient funds for gas * price + value'), OUTCOME.CLIENT_ERROR, false],
+    ['invalid params', errorAnswer(-32602, 'invalid argument 0: hex string has length 3'), OUTCOME.CLIENT_ERROR, false],
+    ['method not found', errorAnswer(-32601, 'the method foo does not exist'), OUTCOME.CLIENT_ERROR, false],
+    ['unknown error (default)', errorAnswer(-32000, 'something odd'), OUTCOME.CLIENT_ERROR, false]
+  ],
+
+  'Upstream Errors (Should count and retry)': [
+    ['rate limited (-32005)', errorAnswer(-32005, 'limit exceeded'), OUTCOME.UPSTREAM_ERROR, true],
+    ['rate limited (429)', errorAnswer(429, 'Too Many Requests'), OUTCOME.UPSTREAM_ERROR, true],
+    ['header not found', errorAnswer(-32000, 'header not found'), OUTCOME.UPSTREAM_ERROR, true],
+    ['missing trie node', errorAnswer(-32000, 'missing trie node abc (path )'), OUTCOME.UPSTREAM_ERROR, true],
+    ['internal error', errorAnswer(-32603, 'internal error'), OUTCOME.UPSTREAM_ERROR, true],
+    ['provider capacity message', errorAnswer(-32000, 'Your app has exceeded its compute units per second capacity'), OUTCOME.UPSTREAM_ERROR, true],
+    ['missing answer', undefined, OUTCOME.UPSTREAM_ERROR, true],
+    ['non-JSON body', '<html>502 Bad Gateway</html>', OUTCOME.UPSTREAM_ERROR, true]
+  ]
+};
+
+for (const [category, cases] of Object.entries(callCases)) {
+  console.log(`\n📋 ${category}`);
+  console.log('-'.repeat(100));
+
+  for (const [description, answer, outcome, retryable] of cases) {
+    const verdict = classifyCall(call, answer);
+    check(description, [verdict.outcome, verdict.retryable], [outcome, retryable]);
+  }
+}
+
+console.log('\n📋 Stale Data');
+console.log('-'.repeat(100));
+
+const blockNumberCall = { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber' };
+const latestBlockCall = { jsonrpc: '2.0', id: 1, method: 'eth_getBlockByNumber', params: ['latest', false] };
+const lag = responseClassificationConfig.maxHeadLag;
+
+check('eth_blockNumber at the best head',
+  classifyCall(blockNumberCall, { id: 1, result: '0x3e8' }, { head: 1000 }).outcome, OUTCOME.OK);
+check(`eth_blockNumber ${lag} blocks behind`,
+  classifyCall(blockNumberCall, { id: 1, result: '0x' + (1000 - lag).toString(16) }, { head: 1000 }).outcome, OUTCOME.OK);
+check(`eth_blockNumber ${lag + 1} blocks behind`,
+  classifyCall(blockNumberCall, { id: 1, result: '0x' + (1000 - lag - 1).toString(16) }, { head: 1000 }).outcome, OUTCOME.UPSTREAM_ERROR);
+check('latest block 50 blocks behind',
+  classifyCall(latestBlockCall, { id: 1, result: { number: '0x3b6' } }, { head: 1000 }).outcome, OUTCOME.UPSTREAM_ERROR);
+check('eth_blockNumber with no known head',
+  classifyCall(blockNumberCall, { id: 1, result: '0x1' }, { head: null }).outcome, OUTCOME.OK);
+
+console.log('\n📋 Batches');
+console.log('-'.repeat(100));
+
+const batch = [
+  { jsonrpc: '2.0', id: 0, method: 'eth_chainId' },
+  { jsonrpc: '2.0', id: 1, method: 'eth_getBalance', params: ['0x0', '0x10'] },
+  { jsonrpc: '2.0', id: 2, method: 'eth_call', params: [{ to: '0x0' }, 'latest'] }
+];
+
+const mixed = classifyResponse(batch, [
+  { jsonrpc: '2.0', id: 0, result: '0x1' },
+  { jsonrpc: '2.0', id: 1, error: { code: -32000, message: 'missing trie node' } },
+  { jsonrpc: '2.0', id: 2, error: { code: 3, message: 'execution reverted' } }
+]);
+check('mixed batch is an upstream failure', mixed.failure, true);
+check('only the upstream error is retried', mixed.retry.map(item => item.id), [1]);
+
+const reordered = classifyResponse(batch, [
+  { jsonrpc: '2.0', id: 2, result: '0x' },
+  { jsonrpc: '2.0', id: 0, result: '0x1' }
+]);
+check('member missing from the answer is retried', reordered.retry.map(item => item.id), [1]);
+
+const wholeBatch = classifyResponse(batch, { jsonrpc: '2.0', id: null, error: { code: -32005, message: 'rate limited' } });
+check('single error for the whole batch retries every member', wholeBatch.retry.map(item => item.id), [0, 1, 2]);
+
+const clean = classifyResponse(batch, batch.map(item => ({ jsonrpc: '2.0', id: item.id, result: '0x1' })));
+check('clean batch', [clean.failure, clean.retry.length], [false, 0]);
+
+console.log('\n📋 Configurable Rules');
+console.log('-'.repeat(100));
+
+const customConfig = {
+  ...responseClassificationConfig,
+  rules: [{ name: 'custom', codes: [-32000], messages: ['something odd'], outcome: OUTCOME.UPSTREAM_ERROR, retryable: false }]
+};
+const custom = classifyCall(call, errorAnswer(-32000, 'Something odd happened'), {}, customConfig);
+check('custom rule matches code and message', [custom.outcome, custom.retryable], [OUTCOME.UPSTREAM_ERROR, false]);
+check('custom rule needs both code and message',
+  classifyCall(call, errorAnswer(-32001, 'something odd'), {}, customConfig).outcome, OUTCOME.CLIENT_ERROR);
+check('disabled classification accepts everything',
+  classifyResponse(call, errorAnswer(-32603, 'internal error'), {}, { ...responseClassificationConfig, enabled: false }).failure, false);
+
+console.log('\n' + '='.repeat(100));
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log(`\n✅ All checks passed!`);
+console.log('='.repeat(100));
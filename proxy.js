@@ -8,41 +8,188 @@ import { fileURLToPath } from 'url';
 import ethers from "ethers";
 import sslRootCas from "ssl-root-cas";
 import dotenv from "dotenv";
-import { updateUrlCountMap, updateIpCountMap, startBackgroundTasks } from './utils/backgroundTasks.js';
-import { CircuitBreaker } from './utils/circuitBreaker.js';
+import { updateUrlCountMap, updateIpCountMap, startBackgroundTasks, stopBackgroundTasks, flushBackgroundTasks, getCountSpoolStatus, getUnflushedCounts, stopCountSpool } from './utils/backgroundTasks.js';
+import { getPool, closePool } from './utils/postgresClient.js';
+import { installShutdownHandlers, trackInFlight, isShuttingDown, getShutdownStatus } from './utils/gracefulShutdown.js';
+import { UpstreamPool, loadUpstreamDefinitions } from './utils/upstreamPool.js';
+import { ResponseCache } from './utils/responseCache.js';
+import { RequestCoalescer } from './utils/requestCoalescer.js';
+import { RateLimiter } from './utils/rateLimiter.js';
+import { attachWebSocketProxy } from './utils/websocketProxy.js';
+import { CertificateStore } from './utils/certificateStore.js';
+import { startListeners, getListenerStatus } from './utils/listeners.js';
+import { splitBatch, mapWithConcurrency } from './utils/batchSplitter.js';
+import { routeCall, disableUnmatchedRules, recordGroupUnavailable, getRoutingStats } from './utils/methodRouter.js';
+import { classifyResponse } from './utils/responseClassifier.js';
+import { planRetry, getRetryDelay, getRequestTimeout, getRetryPolicyStats } from './utils/retryPolicy.js';
+import { VERDICT, shouldBroadcast, getTransactionHash, isValidHashAnswer, describeAnswer, reconcileBroadcast, recordBroadcast, recordBroadcastSkipped, getBroadcastStats } from './utils/txBroadcast.js';
+import { TransactionTracker } from './utils/txTracker.js';
+import { LagMonitor } from './utils/lagMonitor.js';
+import { HealthProber } from './utils/healthProbe.js';
+import { checkMethod, getMethodPolicyStats } from './utils/methodPolicy.js';
+import { DECISION, evaluateRequest, recordUsage, startFundingPolicyRefresh, stopFundingPolicyRefresh, getFundingPolicyStats } from './utils/fundingPolicy.js';
+import { JSON_RPC_ERRORS, toCallList, isValidCall, jsonRpcError, errorForRequest, withId } from './utils/jsonRpc.js';
+import { responseCacheConfig, coalescingConfig, rateLimitConfig, batchConfig, upstreamPoolConfig, lagMonitorConfig, healthProbeConfig, broadcastConfig, txTrackingConfig, listenerConfig, shutdownConfig, metricsConfig, captureConfig, loggingConfig, adminAuthConfig, analyticsApiConfig, dashboardConfig, clientIPConfig } from './config.js';
+import { createLogger } from './utils/logger.js';
+import { REQUEST_ID_HEADER, requestContext, getRequestId } from './utils/requestContext.js';
+import { redactUrl } from './utils/redact.js';
+import { createAddressList, isInAddressList, getSocketIP } from './utils/trustedProxies.js';
+import { SpanKind, startTracing, stopTracing, tracingMiddleware, startSpan, runInSpan, endSpan, setSpanAttributes, injectTraceHeaders } from './utils/tracing.js';
+import { TrafficCapture } from './utils/trafficCapture.js';
+import { SCOPES, AdminAuth } from './utils/adminAuth.js';
+import { AnalyticsApi } from './utils/analyticsApi.js';
+import { UpstreamHistory } from './utils/upstreamHistory.js';
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createCounter, createHistogram, registerCollector, boundedLabel, renderMetrics } from './utils/metrics.js';
+
+const log = createLogger('proxy');
 
 var app = express();
 https.globalAgent.options.ca = sslRootCas.create();
 dotenv.config();
 process.env["NODE_TLS_REJECT_UNAUTHORIZED"] = 0;
 
-// Trust proxy - enables Express to properly read proxy headers
-// Set to true if behind a single proxy, or set to number of proxy hops
-app.set('trust proxy', true);
+// Tracing starts before anything handles requests (see TRACING.md)
+startTracing();
+
+// Load balancers and CDNs whose forwarded headers are believed (see getClientIP)
+let trustedProxies = null;
+try {
+  trustedProxies = createAddressList(clientIPConfig.trustedProxies);
+} catch (error) {
+  log.error('⚠️  Invalid clientIPConfig.trustedProxies - forwarded headers are ignored', { error: error.message });
+}
+if (!trustedProxies) {
+  log.warn('⚠️  No trusted proxies (clientIPConfig.trustedProxies) - rate limits use the connecting address. Behind a CDN or load balancer, list its addresses (see RATE_LIMITING.md)');
+}
+
+// Trust proxy - Express reads req.ip and req.protocol from proxy headers only on those connections
+app.set('trust proxy', ip => isInAddressList(trustedProxies, normalizeIP(ip)));
 
 const targetUrl = process.env.TARGET_URL;
 const fallbackUrl = process.env.FALLBACK_URL;
 
-console.log(`🔧 RPC Proxy Configuration:`);
-console.log(`   Primary URL: ${targetUrl || 'NOT SET'}`);
-console.log(`   Fallback URL: ${fallbackUrl || 'NOT SET'}`);
+log.info(`🔧 RPC Proxy Configuration`, {
+  primaryUrl: targetUrl ? redactUrl(targetUrl) : 'NOT SET',
+  fallbackUrl: fallbackUrl ? redactUrl(fallbackUrl) : 'NOT SET'
+});
 
-// Initialize circuit breaker
-const circuitBreaker = new CircuitBreaker({
+// Initialize the upstream pool - one circuit breaker per upstream
+const upstreamDefinitions = loadUpstreamDefinitions({
+  file: upstreamPoolConfig.upstreamsFile,
   primaryUrl: targetUrl,
   fallbackUrl: fallbackUrl,
-  failureThreshold: 2, // Switch to fallback after 2 consecutive failures
-  resetTimeout: 60000, // Try primary again after 60 seconds
-  requestTimeout: 10000 // 10 second timeout
+  primaryWsUrl: process.env.TARGET_WS_URL,
+  fallbackWsUrl: process.env.FALLBACK_WS_URL
+});
+const upstreamPool = new UpstreamPool({
+  ...upstreamPoolConfig,
+  strategy: upstreamDefinitions.strategy || upstreamPoolConfig.strategy,
+  upstreams: upstreamDefinitions.upstreams,
+  activeProbes: healthProbeConfig.enabled,
+  probeSuccessThreshold: healthProbeConfig.successThreshold
+});
+
+// Routing rules for groups no upstream is tagged with would only send calls the long way round
+disableUnmatchedRules(group => upstreamPool.withTags([group]).length > 0);
+
+// Probe upstreams with an open circuit instead of testing them with user requests
+const healthProber = new HealthProber({ ...healthProbeConfig, upstreamPool });
+
+// Initialize response cache for immutable and per-block methods
+const responseCache = new ResponseCache(responseCacheConfig);
+
+// Watch upstream heads - lagging upstreams are taken out of routing
+// The best head also keeps the cache and stale-answer checks current
+const lagMonitor = new LagMonitor({
+  ...lagMonitorConfig,
+  upstreamPool,
+  onHead: (head) => responseCache.observeBlockNumber(head)
+});
+
+// Track relayed transactions until they're included, replaced or dropped
+const txTracker = new TransactionTracker({ ...txTrackingConfig, upstreamPool });
+
+// Share upstream requests between identical in-flight calls
+const requestCoalescer = new RequestCoalescer(coalescingConfig);
+
+// Listeners and the WebSocket proxy - started once the routes are set up
+let listeners = null;
+let webSocketProxy = null;
+
+// Per-IP rate limiting
+const rateLimiter = new RateLimiter(rateLimitConfig);
+
+// Bearer tokens (and an optional IP allowlist) for the admin endpoints (see ADMIN_AUTH.md)
+const adminAuth = new AdminAuth({ ...adminAuthConfig, getClientIP });
+
+// Breaker transitions and latency per upstream over the last hours, for the dashboard (see DASHBOARD.md)
+const upstreamHistory = new UpstreamHistory({ ...dashboardConfig, upstreamPool });
+
+// JSON analytics over the persisted IP tables, plus the in-memory method counts (see ANALYTICS_API.md)
+const analyticsApi = new AnalyticsApi({
+  ...analyticsApiConfig,
+  getPool,
+  getMethodStats: () => ({ methods, blockedMethods, methodsByReferer }),
+  getUpstreamHistory: (from, to) => upstreamHistory.getHistory(from, to)
 });
 
-app.use(bodyParser.json());
+// Opt-in capture of sampled requests for replay (see TRAFFIC_CAPTURE.md)
+// Params of the methods whose params are never logged aren't captured either
+const trafficCapture = new TrafficCapture({
+  ...captureConfig,
+  redactMethods: loggingConfig.redactMethods,
+  getClientIP
+});
+
+// Prometheus metrics for /metrics (see METRICS.md)
+const callsTotal = createCounter({
+  name: 'rpc_proxy_calls_total',
+  help: 'JSON-RPC calls by method, origin class and the upstream that answered them (cache, blocked, rejected, invalid or failed when none did)',
+  labelNames: ['method', 'origin_class', 'upstream']
+});
+const upstreamRequestDuration = createHistogram({
+  name: 'rpc_proxy_upstream_request_duration_seconds',
+  help: 'Time taken by HTTP requests to each upstream',
+  labelNames: ['upstream', 'outcome'],
+  buckets: metricsConfig.latencyBuckets
+});
+const circuitTransitions = createCounter({
+  name: 'rpc_proxy_circuit_transitions_total',
+  help: 'Circuit breaker state changes per upstream',
+  labelNames: ['upstream', 'from', 'to']
+});
+upstreamPool.on('stateChange', ({ upstream, from, to }) => {
+  circuitTransitions.inc({ upstream: upstream.name, from, to });
+});
+registerCollector({
+  name: 'rpc_proxy_circuit_state',
+  help: 'Circuit breaker state per upstream - 1 for the current state',
+  collect: () => upstreamPool.upstreams.flatMap(upstream => ['CLOSED', 'OPEN', 'HALF_OPEN'].map(state => ({
+    labels: { upstream: upstream.name, state },
+    value: upstream.breaker.state === state ? 1 : 0
+  })))
+});
+registerCollector({
+  name: 'rpc_proxy_upstream_healthy',
+  help: 'Whether an upstream is in rotation - circuit not open and not lagging',
+  collect: () => upstreamPool.upstreams.map(upstream => ({
+    labels: { upstream: upstream.name },
+    value: upstreamPool.isHealthy(upstream) ? 1 : 0
+  }))
+});
+
+app.use(trackInFlight);
+app.use(requestContext);
+app.use(tracingMiddleware);
+app.use(bodyParser.json({ limit: batchConfig.maxBodySize }));
 app.use(cors());
+app.use(trafficCapture.middleware());
 
 var last = "";
 
 var memcache = {};
 var methods = {};
+var blockedMethods = {};
 var methodsByReferer = {};
 
 // Helper function to normalize IPv4-mapped IPv6 addresses
@@ -50,7 +197,7 @@ function normalizeIP(ip) {
   if (!ip) return 'unknown';
   // Ensure ip is a string
   if (typeof ip !== 'string') {
-    console.warn(`normalizeIP received non-string: ${typeof ip}`);
+    log.warn(`normalizeIP received non-string: ${typeof ip}`);
     return 'unknown';
   }
   // Strip IPv4-mapped IPv6 prefix (::ffff:)
@@ -72,55 +219,96 @@ function getHeaderString(req, headerName) {
   return typeof value === 'string' ? value : null;
 }
 
-// Helper function to safely extract client IP
+// Client address from the forwarded headers, or null when the request has none
+// From a trusted proxy, X-Forwarded-For is read from the right, skipping our own proxies; from anyone
+// else the first address is taken, as the proxy always did
+function getForwardedIP(req, fromTrustedProxy) {
+  // Priority order for proxy headers (most reliable first):
+
+  // 1. Cloudflare - CF-Connecting-IP (most reliable when behind Cloudflare)
+  const cfIp = getHeaderString(req, 'cf-connecting-ip');
+  if (cfIp) {
+    return normalizeIP(cfIp.trim());
+  }
+
+  // 2. Akamai - True-Client-IP
+  const trueClientIp = getHeaderString(req, 'true-client-ip');
+  if (trueClientIp) {
+    return normalizeIP(trueClientIp.trim());
+  }
+
+  // 3. AWS ELB/ALB - X-Forwarded-For (when behind AWS load balancer)
+  // Also used by many other proxies/load balancers
+  const forwarded = getHeaderString(req, 'x-forwarded-for');
+  if (forwarded) {
+    const ips = forwarded.split(',').map(ip => normalizeIP(ip.trim())).filter(ip => ip && ip !== 'unknown');
+    // X-Forwarded-For is "client, proxy1, proxy2" - but the client can send its own value, which
+    // proxies append to. The client is the last address that isn't one of our trusted proxies
+    const client = fromTrustedProxy
+      ? ips.reverse().find(ip => !isInAddressList(trustedProxies, ip))
+      : ips[0];
+    if (client) {
+      return client;
+    }
+  }
+
+  // 4. Nginx and other proxies - X-Real-IP
+  const realIp = getHeaderString(req, 'x-real-ip');
+  if (realIp) {
+    return normalizeIP(realIp.trim());
+  }
+
+  // 5. Fastly CDN - Fastly-Client-IP
+  const fastlyIp = getHeaderString(req, 'fastly-client-ip');
+  if (fastlyIp) {
+    return normalizeIP(fastlyIp.trim());
+  }
+
+  return null;
+}
+
+// Forwarded headers from peers outside clientIPConfig.trustedProxies - warned about once a minute
+const UNTRUSTED_FORWARDING_WARN_INTERVAL = 60000; // ms
+const untrustedForwarding = { requests: 0, lastWarnedAt: 0 };
+
+function noteUntrustedForwarding(socketIP) {
+  untrustedForwarding.requests++;
+  const now = Date.now();
+  if (now - untrustedForwarding.lastWarnedAt < UNTRUSTED_FORWARDING_WARN_INTERVAL) {
+    return;
+  }
+  untrustedForwarding.lastWarnedAt = now;
+  log.warn(`⚠️  Forwarded client IP headers from ${socketIP}, which isn't in clientIPConfig.trustedProxies - rate limiting uses ${socketIP}`, { peer: socketIP, requests: untrustedForwarding.requests });
+}
+
+// Client IP for rate limiting and capture
+// Forwarded headers are only read on connections from a trusted proxy - anyone else could put any
+// address there and get a fresh rate limit bucket with every request (see utils/trustedProxies.js)
 function getClientIP(req) {
   try {
-    // Priority order for proxy headers (most reliable first):
-    
-    // 1. Cloudflare - CF-Connecting-IP (most reliable when behind Cloudflare)
-    const cfIp = getHeaderString(req, 'cf-connecting-ip');
-    if (cfIp) {
-      return normalizeIP(cfIp.trim());
-    }
-    
-    // 2. Akamai - True-Client-IP
-    const trueClientIp = getHeaderString(req, 'true-client-ip');
-    if (trueClientIp) {
-      return normalizeIP(trueClientIp.trim());
+    const socketIP = getSocketIP(req);
+    if (isInAddressList(trustedProxies, socketIP)) {
+      return getForwardedIP(req, true) || socketIP;
     }
-    
-    // 3. AWS ELB/ALB - X-Forwarded-For (when behind AWS load balancer)
-    // Also used by many other proxies/load balancers
-    const forwarded = getHeaderString(req, 'x-forwarded-for');
-    if (forwarded) {
-      // X-Forwarded-For can contain multiple IPs: client, proxy1, proxy2
-      // The FIRST IP is the original client
-      const ips = forwarded.split(',').map(ip => ip.trim());
-      return normalizeIP(ips[0]);
-    }
-    
-    // 4. Nginx and other proxies - X-Real-IP
-    const realIp = getHeaderString(req, 'x-real-ip');
-    if (realIp) {
-      return normalizeIP(realIp.trim());
-    }
-    
-    // 5. Fastly CDN - Fastly-Client-IP
-    const fastlyIp = getHeaderString(req, 'fastly-client-ip');
-    if (fastlyIp) {
-      return normalizeIP(fastlyIp.trim());
+    if (getForwardedIP(req, false)) {
+      noteUntrustedForwarding(socketIP);
     }
-    
-    // 6. Fall back to direct connection IP (when not behind a proxy)
-    // With 'trust proxy' enabled, req.ip will use X-Forwarded-For automatically
-    const directIP = req.ip || 
-                     req.connection?.remoteAddress || 
-                     req.socket?.remoteAddress;
-    
-    return normalizeIP(directIP || 'unknown');
+    return socketIP;
   } catch (error) {
     // If anything goes wrong, return 'unknown' to avoid breaking the application
-    console.error('Error extracting client IP:', error);
+    log.error('Error extracting client IP', { error });
+    return 'unknown';
+  }
+}
+
+// Client IP for the IP counts in ip_table - forwarded headers are read from any peer, as they
+// always were, so tracking doesn't change before trustedProxies is set. These counts don't limit anyone
+function getTrackedIP(req) {
+  try {
+    const socketIP = getSocketIP(req);
+    return getForwardedIP(req, isInAddressList(trustedProxies, socketIP)) || socketIP;
+  } catch (error) {
+    log.error('Error extracting client IP', { error });
     return 'unknown';
   }
 }
@@ -136,166 +324,692 @@ function getOrigin(req) {
   }
 }
 
-// Helper function to make fallback requests with consistent settings
-async function makeFallbackRequest(data, headers) {
-  if (!fallbackUrl || fallbackUrl.trim() === '') {
-    throw new Error("No fallback URL configured");
+// Send a JSON-RPC payload to one upstream from the pool
+// Only upstreams marked forwardHeaders see the client's headers - third-party providers get a clean set
+async function makeUpstreamRequest(upstream, data, headers, timeout = upstream.timeout) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const requestHeaders = upstream.forwardHeaders
+      ? { "Content-Type": "application/json", ...headers }
+      : { "Content-Type": "application/json", "User-Agent": headers["user-agent"] || "RPC-Proxy" };
+
+    // Every upstream gets the request ID, so its logs can be matched with ours
+    const requestId = getRequestId();
+    if (requestId) {
+      delete requestHeaders[REQUEST_ID_HEADER.toLowerCase()];
+      requestHeaders[REQUEST_ID_HEADER] = requestId;
+    }
+    // ...and the trace context, so its spans join our trace
+    injectTraceHeaders(requestHeaders);
+
+    // The payload may differ from the client's body (cache hits removed, ids rewritten)
+    // so let axios compute the length instead of forwarding the client's
+    delete requestHeaders["content-length"];
+
+    const startedAt = Date.now();
+    try {
+      const response = await axios.post(upstream.url, data, {
+        headers: requestHeaders,
+        signal: controller.signal,
+        timeout,
+        maxRedirects: 0,
+        httpsAgent: new https.Agent({
+          rejectUnauthorized: false
+        })
+      });
+      upstreamRequestDuration.observeSince({ upstream: upstream.name, outcome: 'success' }, startedAt);
+      upstreamHistory.recordLatency(upstream.name, Date.now() - startedAt, true);
+      return response;
+    } catch (error) {
+      upstreamRequestDuration.observeSince({ upstream: upstream.name, outcome: 'error' }, startedAt);
+      upstreamHistory.recordLatency(upstream.name, Date.now() - startedAt, false);
+      throw error;
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Span for one request to an upstream, started before it's sent (see TRACING.md)
+// Attributes record the circuit breaker's view of the upstream when it was picked
+function startUpstreamSpan(upstream, calls, attributes = {}) {
+  return startSpan(`upstream ${upstream.name}`, {
+    'rpc.system': 'jsonrpc',
+    'rpc.method': calls.length === 1 ? calls[0].method : 'batch',
+    'proxy.calls': calls.length,
+    'proxy.upstream': upstream.name,
+    'proxy.upstream.fallback': !upstream.countRequests,
+    'proxy.upstream.healthy': upstreamPool.isHealthy(upstream),
+    'proxy.upstream.lagging': !!upstream.health.lagging,
+    'proxy.circuit.state': upstream.breaker.state,
+    'proxy.circuit.consecutive_failures': upstream.breaker.consecutiveFailures,
+    ...attributes
+  }, SpanKind.CLIENT);
+}
+
+// End an upstream span once the breaker has recorded the outcome
+function endUpstreamSpan(span, upstream, error, attributes = {}) {
+  endSpan(span, error, { 'proxy.circuit.state_after': upstream.breaker.state, ...attributes });
+}
+
+// Upstream pool status for /status and /proxy - URLs carry provider API keys, so they're
+// redacted unless the caller's token has the upstream-urls scope
+function getUpstreamPoolStatus(req) {
+  const status = upstreamPool.getStatus();
+  if (adminAuth.hasScope(req, SCOPES.UPSTREAM_URLS)) {
+    return status;
   }
-  
-  const cleanHeaders = {
-    "Content-Type": "application/json",
-    "User-Agent": headers["user-agent"] || "RPC-Proxy"
+  return {
+    ...status,
+    upstreams: status.upstreams.map(upstream => ({
+      ...upstream,
+      url: redactUrl(upstream.url),
+      wsUrl: upstream.wsUrl ? redactUrl(upstream.wsUrl) : upstream.wsUrl
+    }))
   };
-  
-  return axios.post(fallbackUrl, data, {
-    headers: cleanHeaders,
-    timeout: 15000,
-    maxRedirects: 0,
-    httpsAgent: new https.Agent({
-      rejectUnauthorized: false
-    })
+}
+
+// Count a request's calls for /metrics
+// servedBy is the upstream name (or cache, blocked...) for every call, or one value for all of them
+function countCalls(calls, originClass, servedBy) {
+  calls.forEach((call, index) => {
+    callsTotal.inc({
+      method: boundedLabel('method', isValidCall(call) ? call.method : null),
+      origin_class: originClass,
+      upstream: typeof servedBy === 'string' ? servedBy : servedBy[index] || 'failed'
+    });
   });
 }
 
-// Helper function to make primary requests with circuit breaker
-async function makePrimaryRequest(method, url, data, headers, timeout = 10000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  
-  try {
-    const config = {
-      method,
-      url,
-      headers: {
-        "Content-Type": "application/json",
-        ...headers,
-      },
-      signal: controller.signal,
-      timeout
-    };
-    
-    if (data && method.toLowerCase() !== 'get') {
-      config.data = data;
+// The HTML stat pages stay for now - the analytics API has their data as JSON (see ANALYTICS_API.md)
+function markSuperseded(res, successor) {
+  res.set("Deprecation", "true");
+  res.set("Link", `<${successor}>; rel="successor-version"`);
+}
+
+// Count methods for the /methods and /methodsByReferer stats
+function trackMethods(req, calls, usedFallback) {
+  calls.forEach(request => {
+    if (request && request.method) {
+      methods[request.method] = methods[request.method]
+        ? methods[request.method] + 1
+        : 1;
+      log.debug("--> METHOD", { method: request.method, referer: req.headers.referer, url: usedFallback ? "FALLBACK" : "PRIMARY", ip: getClientIP(req), origin: getOrigin(req) });
+
+      if (!methodsByReferer[req.headers.referer]) {
+        methodsByReferer[req.headers.referer] = {};
+      }
+
+      methodsByReferer[req.headers.referer] &&
+      methodsByReferer[req.headers.referer][request.method]
+        ? methodsByReferer[req.headers.referer][request.method]++
+        : (methodsByReferer[req.headers.referer][request.method] = 1);
     }
-    
-    const response = await axios(config);
-    clearTimeout(timeoutId);
-    
-    // Only count as success for POST requests (main RPC functionality)
-    if (method.toLowerCase() === 'post') {
-      circuitBreaker.onSuccess();
+  });
+}
+
+// Upstreams to try for a route group
+// The group's upstreams come first and the rest of the pool follows as failover, each in the
+// order the pool's strategy picks. When no upstream in the group is healthy the rest of the
+// pool goes first. A group no upstream carries is routed like the default pool
+function getRouteCandidates(group, callCount) {
+  const groupCandidates = group ? upstreamPool.getCandidates({ tags: [group] }) : [];
+  if (groupCandidates.length === 0) {
+    return upstreamPool.getCandidates();
+  }
+
+  const others = upstreamPool.getCandidates({ exclude: new Set(groupCandidates) });
+
+  if (!groupCandidates.some(upstream => upstreamPool.isHealthy(upstream))) {
+    recordGroupUnavailable(group, callCount);
+    return [...others, ...groupCandidates];
+  }
+  return [...groupCandidates, ...others];
+}
+
+// Fold the answer to a retry into the answer served so far
+// Retried batch members are replaced by id; a single call's answer is replaced outright
+function mergeUpstreamAnswers(served, next) {
+  if (!served) {
+    return next;
+  }
+
+  const usedFallback = served.usedFallback || next.usedFallback;
+  const previous = served.response.data;
+  const latest = next.response.data;
+
+  if (Array.isArray(previous) && Array.isArray(latest)) {
+    const retriedIds = new Set(latest.filter(item => item && typeof item === 'object').map(item => item.id));
+    const data = [...previous.filter(item => !item || !retriedIds.has(item.id)), ...latest];
+    return { response: { ...next.response, data }, upstream: next.upstream, usedFallback };
+  }
+  if (Array.isArray(previous)) {
+    // The retry failed as a whole - keep the per-member answers we already have
+    return { ...served, usedFallback };
+  }
+  return { ...next, usedFallback };
+}
+
+// Send a JSON-RPC payload upstream, trying upstreams in the order the pool's strategy picks
+// group limits the attempt to upstreams tagged for that route (see utils/methodRouter.js)
+// Answers carrying provider-side errors count as failures (see utils/responseClassifier.js).
+// Failed calls go to the next upstream only if the retry policy allows it for their method
+// (see utils/retryPolicy.js) - a batch retries just those members
+// Returns the upstream response, the upstream that served it and whether it's one we don't count
+async function forwardToUpstream(payload, req, group = null) {
+  const isBatch = Array.isArray(payload);
+  const candidates = getRouteCandidates(group, isBatch ? payload.length : 1).slice(0, upstreamPoolConfig.maxAttempts);
+  if (candidates.length === 0) {
+    throw new Error("No upstream configured");
+  }
+
+  let lastError;
+  let served = null;
+  let remaining = isBatch ? payload : [payload]; // calls still waiting for a usable answer
+  const abandoned = []; // batch members the retry policy won't send again after a failed request
+
+  for (const [attempt, upstream] of candidates.entries()) {
+    if (attempt === 0) {
+      log.info(`📡 POST Request - Using ${upstream.name}`, { upstream: upstream.name, url: redactUrl(upstream.url), calls: remaining.length });
+    } else {
+      const delay = getRetryDelay(attempt);
+      log.warn(`🔄 Retrying ${remaining.length} call(s) with ${upstream.name}${delay > 0 ? ` in ${delay}ms` : ''}`, { upstream: upstream.name, url: redactUrl(upstream.url), calls: remaining.length, attempt, delay });
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
-    
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    
-    // Only count as failure for POST requests (main RPC functionality)
-    if (method.toLowerCase() === 'post') {
-      circuitBreaker.onFailure(error);
+
+    const body = isBatch ? remaining : remaining[0];
+    const startedAt = Date.now();
+    const span = startUpstreamSpan(upstream, remaining, { 'proxy.attempt': attempt });
+    let response;
+    try {
+      response = await runInSpan(span, () => makeUpstreamRequest(upstream, body, req.headers, getRequestTimeout(remaining, upstream.timeout)));
+      // Upstream answers are only logged for sampled requests (see utils/logger.js)
+      log.body("POST RESPONSE", response.data, { upstream: upstream.name });
+    } catch (error) {
+      upstreamPool.recordFailure(upstream, error);
+      endUpstreamSpan(span, upstream, error);
+      log.warn("POST ERROR", { upstream: upstream.name, error: error.message });
+      lastError = error;
+
+      const { retry, skipped } = planRetry(remaining, attempt + 1, { error });
+      if (skipped.length > 0) {
+        log.warn(`⛔ Not retrying ${skipped.map(call => call.method).join(', ')} - the upstream may have processed it`, { upstream: upstream.name, methods: skipped.map(call => call.method) });
+        abandoned.push(...skipped);
+      }
+      remaining = retry;
+      if (remaining.length === 0) {
+        break;
+      }
+      continue;
     }
-    
-    throw error;
+
+    const verdict = classifyResponse(body, response.data, { head: responseCache.latestBlock });
+    if (verdict.failure) {
+      upstreamPool.recordFailure(upstream, new Error(verdict.reason));
+    } else {
+      upstreamPool.recordSuccess(upstream, Date.now() - startedAt);
+    }
+    endUpstreamSpan(span, upstream, null, {
+      'http.response.status_code': response.status,
+      'proxy.answer.failure': verdict.failure ? verdict.reason : '',
+      'proxy.answer.retryable_calls': verdict.retry.length
+    });
+
+    // Only upstreams marked countRequests (our own nodes) count against origin quotas
+    served = mergeUpstreamAnswers(served, { response, upstream, usedFallback: !upstream.countRequests });
+
+    // Calls answered with an error are kept as answered if the policy doesn't allow a retry
+    const { retry } = planRetry(verdict.retry, attempt + 1, { answered: true });
+    if (retry.length === 0) {
+      break;
+    }
+    remaining = retry;
+    log.warn(`🔁 ${retry.length} call(s) got retryable errors from ${upstream.name}`, { upstream: upstream.name, calls: retry.length, reason: verdict.reason });
+  }
+
+  if (!served) {
+    throw lastError;
+  }
+
+  // Batch members that failed and weren't retried get their own error,
+  // unless an earlier upstream already answered them
+  if (abandoned.length > 0 && Array.isArray(served.response.data)) {
+    const answeredIds = new Set(served.response.data.map(item => item && item.id));
+    const errors = abandoned.filter(call => !answeredIds.has(call.id)).map(call => jsonRpcError(call.id, JSON_RPC_ERRORS.INTERNAL_ERROR, `Upstream request failed: ${lastError.message}. Not retried because ${call.method} may already have been processed`));
+    served = { ...served, response: { ...served.response, data: [...served.response.data, ...errors] } };
+  }
+
+  if (served.usedFallback) {
+    log.info(`🚨 Served by ${served.upstream.name} for request from ${req.headers.origin || 'unknown'} - NOT counting in Firebase`, { upstream: served.upstream.name, origin: req.headers.origin || 'unknown' });
   }
+  return served;
 }
 
-app.post("/", async (req, res) => {
-  const isUsingFallback = circuitBreaker.isCurrentlyUsingFallback();
-  const currentUrl = circuitBreaker.getCurrentUrl();
-  
-  console.log(`📡 POST Request - Using ${isUsingFallback ? 'FALLBACK' : 'PRIMARY'}: ${currentUrl}`);
-  
-  // Track if we actually used fallback for this request (either from circuit breaker or immediate retry)
-  let actuallyUsedFallback = isUsingFallback;
-  let responseData = null;
-  
-  if (isUsingFallback) {
-    console.log(`🚨 Using fallback URL for request from ${req.headers.origin || 'unknown'} - NOT counting in Firebase`);
-  }
-
-  // Handle method counting for both single requests and batch requests
-  if (req.body) {
-    const requests = Array.isArray(req.body) ? req.body : [req.body];
-    
-    requests.forEach(request => {
-      if (request && request.method) {
-        methods[request.method] = methods[request.method]
-          ? methods[request.method] + 1
-          : 1;
-        console.log("--> METHOD", request.method, "REFERER", req.headers.referer, "URL", isUsingFallback ? "FALLBACK" : "PRIMARY", "IP", getClientIP(req), "ORIGIN", getOrigin(req));
-
-        if (!methodsByReferer[req.headers.referer]) {
-          methodsByReferer[req.headers.referer] = {};
+// Send a signed transaction to one upstream of a broadcast - never throws
+// Returns { upstream, response } or { upstream, error }
+async function sendBroadcast(upstream, call, req) {
+  const startedAt = Date.now();
+  const span = startUpstreamSpan(upstream, [call], { 'proxy.broadcast': true });
+  try {
+    const response = await runInSpan(span, () => makeUpstreamRequest(upstream, call, req.headers, broadcastConfig.timeout));
+    const verdict = classifyResponse(call, response.data, { head: responseCache.latestBlock });
+    if (verdict.failure) {
+      upstreamPool.recordFailure(upstream, new Error(verdict.reason));
+    } else {
+      upstreamPool.recordSuccess(upstream, Date.now() - startedAt);
+    }
+    endUpstreamSpan(span, upstream, null, {
+      'http.response.status_code': response.status,
+      'proxy.answer.failure': verdict.failure ? verdict.reason : ''
+    });
+    return { upstream, response };
+  } catch (error) {
+    upstreamPool.recordFailure(upstream, error);
+    endUpstreamSpan(span, upstream, error);
+    log.warn("POST ERROR", { upstream: upstream.name, broadcast: true, error: error.message });
+    return { upstream, error };
+  }
+}
+
+// Send a signed transaction to every healthy upstream in parallel (see utils/txBroadcast.js)
+// Serves the first answer carrying the transaction's hash without waiting for the rest; if none
+// does, serves the reconciled answer once every upstream has answered.
+// With fewer than two healthy upstreams the call goes through forwardToUpstream as usual
+// Returns the same shape as forwardToUpstream
+async function broadcastRawTransaction(payload, req, group = null) {
+  const isBatch = Array.isArray(payload);
+  const call = isBatch ? payload[0] : payload;
+  const targets = upstreamPool.byPriority(upstreamPool.withTags(broadcastConfig.tags))
+    .filter(upstream => upstreamPool.isHealthy(upstream))
+    .slice(0, broadcastConfig.maxUpstreams);
+
+  if (targets.length < 2) {
+    recordBroadcastSkipped();
+    return forwardToUpstream(payload, req, group);
+  }
+
+  const expectedHash = getTransactionHash(call);
+  log.info(`📢 Broadcasting ${call.method} ${expectedHash || '(unknown hash)'} to ${targets.length} upstreams`, { method: call.method, hash: expectedHash, upstreams: targets.map(upstream => upstream.name) });
+
+  // Shape an upstream answer like the payload - batch members get their answer in an array
+  const toServed = ({ upstream, response }) => ({
+    response: isBatch ? { ...response, data: [response.data] } : response,
+    upstream,
+    usedFallback: !upstream.countRequests
+  });
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const pending = targets.map(upstream => sendBroadcast(upstream, call, req).then(answer => {
+      if (!settled && answer.response && isValidHashAnswer(answer.response.data, expectedHash)) {
+        settled = true;
+        resolve(toServed(answer));
+      }
+      return answer;
+    }));
+
+    Promise.all(pending).then(answers => {
+      const { verdict, served } = reconcileBroadcast(call, answers, expectedHash);
+      recordBroadcast(verdict, expectedHash, answers);
+      if (verdict === VERDICT.CONFLICT) {
+        log.warn(`⚠️  Broadcast of ${expectedHash || call.method} got conflicting answers`, { hash: expectedHash, verdict, answers: answers.map(describeAnswer) });
+      } else {
+        log.info(`📢 Broadcast of ${expectedHash || call.method}: ${verdict}`, { hash: expectedHash, verdict });
+      }
+
+      if (!settled) {
+        settled = true;
+        if (served) {
+          resolve(toServed(served));
+        } else {
+          reject(answers[0].error);
         }
+      }
+    }).catch(error => {
+      // Never leave the request hanging on a reconciliation bug
+      log.error('⚠️  Broadcast reconciliation failed', { error: error.message });
+      if (!settled) {
+        settled = true;
+        reject(error);
+      }
+    });
+  });
+}
 
-        methodsByReferer[req.headers.referer] &&
-        methodsByReferer[req.headers.referer][request.method]
-          ? methodsByReferer[req.headers.referer][request.method]++
-          : (methodsByReferer[req.headers.referer][request.method] = 1);
+// Match upstream batch responses back to the pending calls they answer
+// Upstream calls carry their position in the original batch as id
+function matchBatchResponses(data, calls, pending, responses) {
+  const byId = new Map();
+  if (Array.isArray(data)) {
+    data.forEach(item => {
+      if (item && typeof item === 'object') {
+        byId.set(item.id, item);
       }
     });
   }
 
-  try {
-    let response;
-    
-    if (isUsingFallback) {
-      // Circuit breaker says use fallback - use consistent fallback function
-      response = await makeFallbackRequest(req.body, req.headers);
-      // Don't delete this
-      // console.log("POST RESPONSE", response.data, "(FALLBACK)");
+  pending.forEach(index => {
+    const upstream = byId.get(index);
+    if (upstream) {
+      responses[index] = withId(upstream, calls[index].id);
+    } else if (data && typeof data === 'object' && !Array.isArray(data) && data.error) {
+      // Upstream rejected the whole batch with a single error
+      responses[index] = withId(data, calls[index].id);
+    } else {
+      responses[index] = jsonRpcError(calls[index].id, JSON_RPC_ERRORS.INTERNAL_ERROR, 'No response from upstream');
+    }
+  });
+}
+
+// Resolve calls that weren't answered locally, filling in their slots in responses
+// and the name of the upstream that answered each one in servedBy
+// Identical calls already in flight are shared; the rest go upstream together
+// Returns the upstream HTTP status and whether any answer came from the fallback
+async function resolvePendingCalls(isBatch, calls, pending, responses, servedBy, req) {
+  const leaders = [];
+  const followers = [];
+
+  pending.forEach(index => {
+    const flight = requestCoalescer.join(calls[index]);
+    if (flight) {
+      followers.push({ index, flight });
     } else {
-      // Try primary first
+      leaders.push({ index, handle: requestCoalescer.lead(calls[index]) });
+    }
+  });
+
+  if (followers.length > 0) {
+    log.debug(`🔗 Coalesced ${followers.length}/${calls.length} call(s) with identical in-flight requests`, { coalesced: followers.length, calls: calls.length });
+  }
+
+  let usedFallback = false;
+  let status = 200;
+
+  if (leaders.length > 0) {
+    // Calls are grouped by the upstream group their route picks, so a mixed batch
+    // becomes one upstream batch per group
+    const head = responseCache.latestBlock;
+    const routes = new Map();
+    leaders.forEach(leader => {
+      const { group } = routeCall(calls[leader.index], head);
+      if (!routes.has(group)) {
+        routes.set(group, []);
+      }
+      routes.get(group).push(leader);
+    });
+
+    if (routes.size > 1) {
+      log.debug(`🧭 Routed ${leaders.length} call(s) to ${routes.size} upstream groups`, { calls: leaders.length, groups: [...routes.keys()].map(group => group || 'default') });
+    }
+
+    // Large batches are split into upstream-friendly chunks sent in parallel
+    // Broadcast calls (signed transactions, when enabled) go out on their own to every healthy upstream
+    const chunks = [];
+    let batchedGroups = 0;
+    for (const [group, members] of routes) {
+      const broadcast = members.filter(({ index }) => shouldBroadcast(calls[index]));
+      const batched = members.filter(member => !broadcast.includes(member));
+      broadcast.forEach(member => chunks.push({ group, members: [member], broadcast: true }));
+      if (batched.length > 0) {
+        batchedGroups++;
+        const groupChunks = isBatch ? splitBatch(batched, batchConfig) : [batched];
+        groupChunks.forEach(chunkMembers => chunks.push({ group, members: chunkMembers }));
+      }
+    }
+    const batchedChunks = chunks.filter(chunk => !chunk.broadcast).length;
+    if (batchedChunks > batchedGroups) {
+      log.debug(`✂️  Split ${leaders.length} call(s) into ${batchedChunks} upstream batches`, { calls: leaders.length, batches: batchedChunks });
+    }
+
+    const outcomes = await mapWithConcurrency(chunks, batchConfig.concurrency, async ({ group, members, broadcast }) => {
+      // Single calls go upstream untouched. Batch members carry their position as id
+      // so responses can be matched back even when callers reuse ids
+      const payload = isBatch
+        ? members.map(({ index }) => ({ ...calls[index], id: index }))
+        : calls[0];
+
       try {
-        response = await makePrimaryRequest('post', currentUrl, req.body, req.headers);
-        // Don't delete this
-        // console.log("POST RESPONSE", response.data, "(PRIMARY)");
-      } catch (primaryError) {
-        console.log("POST ERROR", primaryError.message, "(PRIMARY)");
-        
-        // Primary failed, try fallback immediately
-        console.log(`🔄 Retrying with fallback URL: ${fallbackUrl}`);
-        actuallyUsedFallback = true;
-        
-        response = await makeFallbackRequest(req.body, req.headers);
-        console.log("POST FALLBACK SUCCESS", response.data);
-        
-        // Early return - don't count in Firebase since we used fallback
-        responseData = response.data;
-        res.status(response.status).send(response.data);
-        console.log("🚨 Used immediate fallback - NOT counting in Firebase");
-        return;
+        const result = broadcast
+          ? await broadcastRawTransaction(payload, req, group)
+          : await forwardToUpstream(payload, req, group);
+
+        if (isBatch) {
+          matchBatchResponses(result.response.data, calls, members.map(({ index }) => index), responses);
+        } else {
+          responses[0] = result.response.data;
+        }
+
+        members.forEach(({ index, handle }) => {
+          servedBy[index] = result.upstream.name;
+          responseCache.set(calls[index], responses[index]);
+          handle.resolve({ response: responses[index], usedFallback: result.usedFallback, upstream: result.upstream.name });
+        });
+        return { result };
+      } catch (error) {
+        members.forEach(({ handle }) => handle.reject(error));
+        return { error };
       }
+    });
+
+    // Nothing got through - fail the whole request like a single upstream error
+    const succeeded = outcomes.filter(outcome => outcome.result);
+    if (succeeded.length === 0) {
+      throw outcomes[0].error;
+    }
+
+    // Partial failure - members of failed chunks each get an error, the rest are served
+    outcomes.forEach((outcome, chunkIndex) => {
+      if (outcome.error) {
+        log.warn(`POST ERROR (upstream batch ${chunkIndex + 1}/${chunks.length})`, { error: outcome.error.message, batch: chunkIndex + 1, batches: chunks.length });
+        chunks[chunkIndex].members.forEach(({ index }) => {
+          responses[index] = jsonRpcError(calls[index].id, JSON_RPC_ERRORS.INTERNAL_ERROR, `Upstream request failed: ${outcome.error.message}`);
+        });
+      } else {
+        usedFallback = usedFallback || outcome.result.usedFallback;
+      }
+    });
+    status = succeeded[0].result.response.status;
+  }
+
+  // Followers wait for the leader's answer and get it back with their own id
+  // A failed leader fails only its followers - the rest of the batch is still served
+  for (const { index, flight } of followers) {
+    let shared;
+    try {
+      shared = await flight;
+    } catch (error) {
+      responses[index] = jsonRpcError(calls[index].id, JSON_RPC_ERRORS.INTERNAL_ERROR, `Upstream request failed: ${error.message}`);
+      continue;
+    }
+    usedFallback = usedFallback || shared.usedFallback;
+    servedBy[index] = shared.upstream;
+    responses[index] = shared.response && typeof shared.response === 'object'
+      ? withId(shared.response, calls[index].id)
+      : jsonRpcError(calls[index].id, JSON_RPC_ERRORS.INTERNAL_ERROR, 'No response from upstream');
+  }
+
+  return { usedFallback, status };
+}
+
+app.post("/", async (req, res) => {
+  const startedAt = Date.now();
+  const { isBatch, calls } = toCallList(req.body);
+  setSpanAttributes({
+    'rpc.system': 'jsonrpc',
+    'rpc.method': !isBatch && isValidCall(calls[0]) ? calls[0].method : 'batch',
+    'proxy.batch': isBatch,
+    'proxy.calls': calls.length
+  });
+
+  if (calls.length === 0) {
+    res.status(400).send(jsonRpcError(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request'));
+    return;
+  }
+
+  // Origin class for /metrics - the funding tier once the funding policy has seen the request
+  let originClass = req.headers.origin ? 'unclassified' : 'no-origin';
+
+  // Hard cap on batch size
+  if (isBatch && calls.length > batchConfig.maxBatchSize) {
+    log.info(`🚫 Batch of ${calls.length} calls exceeds the maximum of ${batchConfig.maxBatchSize}`, { calls: calls.length, ip: getClientIP(req), origin: getOrigin(req) });
+    countCalls(calls, originClass, 'rejected');
+    setSpanAttributes({ 'proxy.rejected': 'batch_size' });
+    res.status(413).send(errorForRequest(isBatch, calls, JSON_RPC_ERRORS.LIMIT_EXCEEDED, `Batch size ${calls.length} exceeds the maximum of ${batchConfig.maxBatchSize}`));
+    return;
+  }
+
+  // Per-IP rate limiting - batches pay for every member
+  const clientIP = getClientIP(req);
+  const rateLimit = rateLimiter.consume(clientIP, rateLimiter.costOf(calls));
+
+  if (!rateLimit.exempt) {
+    res.set({
+      'X-RateLimit-Limit': String(rateLimit.limit),
+      'X-RateLimit-Remaining': String(rateLimit.remaining),
+      'X-RateLimit-Reset': String(rateLimit.resetSeconds)
+    });
+  }
+
+  if (!rateLimit.allowed) {
+    log.info(`🚫 Rate limited ${clientIP}`, { ip: clientIP, calls: calls.length, origin: getOrigin(req) });
+    countCalls(calls, originClass, 'rejected');
+    setSpanAttributes({ 'proxy.rejected': 'rate_limit' });
+    if (rateLimit.retryAfterSeconds > 0) {
+      res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+    }
+    res.status(429).send(errorForRequest(isBatch, calls, JSON_RPC_ERRORS.LIMIT_EXCEEDED, 'Rate limit exceeded'));
+    return;
+  }
+
+  // Funding policy - unfunded origins may be throttled or refused
+  const funding = evaluateRequest(req.headers.origin, calls.length);
+  originClass = funding.tier;
+  setSpanAttributes({ 'proxy.origin_class': originClass });
+
+  if (funding.action === DECISION.THROTTLE) {
+    log.info(`🐢 Throttled ${funding.origin}`, { origin: funding.origin, tier: funding.tier, calls: calls.length });
+    countCalls(calls, originClass, 'rejected');
+    setSpanAttributes({ 'proxy.rejected': 'throttled' });
+    if (funding.retryAfterSeconds > 0) {
+      res.set('Retry-After', String(funding.retryAfterSeconds));
+    }
+    res.status(429).send(errorForRequest(isBatch, calls, JSON_RPC_ERRORS.LIMIT_EXCEEDED, 'Origin request rate exceeded for unfunded tier', { tier: funding.tier }));
+    return;
+  }
+
+  if (funding.action === DECISION.REJECT) {
+    log.info(`💸 Quota exceeded for ${funding.origin}`, { origin: funding.origin, tier: funding.tier, calls: calls.length });
+    countCalls(calls, originClass, 'rejected');
+    setSpanAttributes({ 'proxy.rejected': 'quota' });
+    res.status(402).send(errorForRequest(isBatch, calls, JSON_RPC_ERRORS.LIMIT_EXCEEDED, 'Request quota exceeded for origin', { tier: funding.tier }));
+    return;
+  }
+
+  // Method policy - denied calls are answered locally, each with its own error
+  const responses = new Array(calls.length);
+  const servedBy = new Array(calls.length); // upstream name, or where the answer came from, for /metrics
+  res.locals.servedBy = servedBy; // ...and for traffic capture
+  const caller = { origin: req.headers.origin, apiKey: getHeaderString(req, 'x-api-key') };
+  let blockedCount = 0;
+
+  calls.forEach((call, index) => {
+    if (!isValidCall(call)) return;
+    const verdict = checkMethod(call.method, caller);
+    if (!verdict.allowed) {
+      responses[index] = jsonRpcError(call.id, verdict.code, verdict.message);
+      servedBy[index] = 'blocked';
+      blockedMethods[call.method] = (blockedMethods[call.method] || 0) + 1;
+      blockedCount++;
+      log.info("--> BLOCKED METHOD", { method: call.method, source: verdict.source, ip: clientIP, origin: getOrigin(req) });
+    }
+  });
+
+  const allowedCalls = calls.filter((call, index) => !responses[index]);
+
+  // Count methods for /methods and the analytics API - once per allowed call, whether or not it succeeds
+  trackMethods(req, allowedCalls, upstreamPool.isCurrentlyUsingFallback());
+
+  // Answer invalid calls locally and serve what we can from the response cache
+  const pending = [];
+  let cacheHits = 0;
+
+  calls.forEach((call, index) => {
+    if (responses[index]) return; // Already blocked
+    if (!isValidCall(call)) {
+      responses[index] = jsonRpcError(call?.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+      servedBy[index] = 'invalid';
+      return;
+    }
+    const cached = responseCache.get(call);
+    if (cached) {
+      responses[index] = withId(cached, call.id);
+      servedBy[index] = 'cache';
+      cacheHits++;
+    } else {
+      pending.push(index);
+    }
+  });
+
+  if (cacheHits > 0) {
+    log.debug(`⚡ Served ${cacheHits}/${calls.length} call(s) from response cache`, { cacheHits, calls: calls.length });
+  }
+
+  // Track if any answer came from an upstream we don't count (a fallback, either preferred or as a retry)
+  // Cache hits never touch an upstream, so they count like primary responses
+  let actuallyUsedFallback = false;
+  let status = 200;
+
+  if (pending.length > 0) {
+    try {
+      const result = await resolvePendingCalls(isBatch, calls, pending, responses, servedBy, req);
+      actuallyUsedFallback = result.usedFallback;
+      status = result.status;
+    } catch (error) {
+      log.error("POST ERROR", { error: error.message, code: error.code || null, status: error.response?.status || null, ip: clientIP, origin: getOrigin(req) });
+      countCalls(calls, originClass, servedBy);
+      setSpanAttributes({ 'error.type': error.code || error.name });
+
+      res
+        .status(error.response ? error.response.status : 500)
+        .send(error.message);
+      return; // Don't count failed requests in Firebase
     }
-    
-    responseData = response.data;
-    res.status(response.status).send(response.data);
-    
-  } catch (error) {
-    console.log("POST ERROR", error.message, isUsingFallback ? "(FALLBACK)" : "(PRIMARY)");
-    console.log(`   Error details: ${error.code || 'No code'} - ${error.response?.status || 'No status'}`);
-    
-    res
-      .status(error.response ? error.response.status : 500)
-      .send(error.message);
-    return; // Don't count failed requests in Firebase
   }
 
+  const responseData = isBatch ? responses : responses[0];
+  res.status(status).send(responseData);
+  countCalls(calls, originClass, servedBy);
+
+  // Remember relayed transactions with who sent them
+  pending.forEach(index => {
+    if (txTracker.isTracked(calls[index])) {
+      txTracker.recordSubmission(calls[index], responses[index], { origin: getOrigin(req), ip: clientIP });
+    }
+  });
+
+  // Blocked calls never reach an upstream, and calls whose upstream request failed have no
+  // servedBy - neither is counted
+  const requestCount = calls.filter((call, index) => servedBy[index] && servedBy[index] !== 'blocked').length;
+
   // Only count requests in Firebase if we successfully used primary URL (not fallback)
-  if (!actuallyUsedFallback && responseData && req.headers) {
+  if (!actuallyUsedFallback && responseData && req.headers && requestCount > 0) {
     // Count requests properly for batch requests
-    let requestCount = 1;
-    if (Array.isArray(req.body)) {
-      requestCount = req.body.length;
-      console.log(`Batch request detected with ${requestCount} requests`);
+    if (isBatch) {
+      log.debug(`Batch request detected with ${requestCount} requests`, { requestCount });
     }
     
     // Always track IP counts (even without origin)
-    updateIpCountMap(getClientIP(req), req.headers.origin, requestCount);
+    updateIpCountMap(getTrackedIP(req), req.headers.origin, requestCount);
     
     // Only track URL counts if origin is present
     if (req.headers.origin) {
       updateUrlCountMap(req.headers.origin, requestCount);
+      recordUsage(req.headers.origin, requestCount);
       
       if (last === req.connection.remoteAddress) {
         //process.stdout.write(".");
@@ -304,148 +1018,163 @@ app.post("/", async (req, res) => {
         last = req.connection.remoteAddress;
         if (!memcache[req.headers.origin]) {
           memcache[req.headers.origin] = 1;
-          process.stdout.write(
-            "NEW SITE " +
-              req.headers.origin +
-              " --> " +
-              req.connection.remoteAddress
-          );
-          process.stdout.write("🪐 " + req.connection.remoteAddress);
+          log.info("🪐 NEW SITE", { origin: req.headers.origin, remoteAddress: req.connection.remoteAddress });
         } else {
           memcache[req.headers.origin]++;
         }
       }
     }
   } else if (actuallyUsedFallback) {
-    console.log(`🚨 Used fallback for final response - NOT counting in Firebase`);
-  }
-
-  // Handle method counting for both single requests and batch requests
-  if (req.body) {
-    const requests = Array.isArray(req.body) ? req.body : [req.body];
-    
-    requests.forEach(request => {
-      if (request && request.method) {
-        methods[request.method] = methods[request.method]
-          ? methods[request.method] + 1
-          : 1;
-        console.log("--> METHOD", request.method, "REFERER", req.headers.referer, "URL", actuallyUsedFallback ? "FALLBACK" : "PRIMARY", "IP", getClientIP(req), "ORIGIN", getOrigin(req));
-
-        if (!methodsByReferer[req.headers.referer]) {
-          methodsByReferer[req.headers.referer] = {};
-        }
-
-        methodsByReferer[req.headers.referer] &&
-        methodsByReferer[req.headers.referer][request.method]
-          ? methodsByReferer[req.headers.referer][request.method]++
-          : (methodsByReferer[req.headers.referer][request.method] = 1);
-      }
-    });
+    log.info(`🚨 Used fallback for final response - NOT counting in Firebase`, { origin: getOrigin(req) });
   }
 
-  console.log("POST SERVED", req.body);
+  setSpanAttributes({
+    'proxy.blocked': blockedCount,
+    'proxy.cache_hits': cacheHits,
+    'proxy.used_fallback': actuallyUsedFallback
+  });
+  log.info("POST SERVED", {
+    status,
+    batch: isBatch,
+    calls: calls.length,
+    blocked: blockedCount,
+    cacheHits,
+    usedFallback: actuallyUsedFallback,
+    ip: clientIP,
+    origin: getOrigin(req),
+    durationMs: Date.now() - startedAt
+  });
+  log.body("POST REQUEST", req.body);
+  log.body("POST RESPONSE", responseData);
 });
 
 app.get("/", async (req, res) => {
   try {
-    // For GET requests, always try primary first (don't use circuit breaker logic)
+    // For GET requests, try upstreams in priority order (don't use circuit breaker logic)
     // GET requests to RPC endpoints often return 404 even when server is healthy
-    console.log("GET", req.headers.referer || "no referer");
-    
+    log.info("GET", { referer: req.headers.referer || "no referer" });
+
+    const [first, ...others] = upstreamPool.byPriority(upstreamPool.upstreams);
+    if (!first) {
+      res.status(500).send("No upstream configured");
+      return;
+    }
+
+    // Use a simple axios call for GET requests (no circuit breaker)
+    const getFrom = (upstream) => axios.get(upstream.url, {
+      headers: upstream.forwardHeaders
+        ? { ...req.headers, [REQUEST_ID_HEADER.toLowerCase()]: req.requestId }
+        : { [REQUEST_ID_HEADER]: req.requestId },
+      timeout: 10000,
+      httpsAgent: new https.Agent({
+        rejectUnauthorized: false
+      })
+    });
+
     try {
-      // Use a simple axios call for GET requests (no circuit breaker)
-      const response = await axios.get(targetUrl, {
-        headers: { ...req.headers },
-        timeout: 10000
-      });
-      console.log("GET RESPONSE", response.data);
+      const response = await getFrom(first);
+      log.body("GET RESPONSE", response.data, { upstream: first.name });
       res.status(response.status).send(response.data);
     } catch (error) {
-      console.log("GET ERROR", error.message, "- This is normal for RPC endpoints");
-      
-      // For GET requests, if primary fails and fallback is configured, try fallback
-      if (fallbackUrl && fallbackUrl.trim() !== '') {
+      log.info("GET ERROR - This is normal for RPC endpoints", { upstream: first.name, error: error.message });
+
+      // If the first upstream fails, try the others
+      for (const upstream of others) {
         try {
-          console.log("🔄 Trying GET with fallback URL...");
-          const fallbackResponse = await axios.get(fallbackUrl, {
-            headers: { ...req.headers },
-            timeout: 10000,
-            httpsAgent: new https.Agent({
-              rejectUnauthorized: false
-            })
-          });
-          console.log("GET FALLBACK SUCCESS", fallbackResponse.data);
-          res.status(fallbackResponse.status).send(fallbackResponse.data);
+          log.info(`🔄 Trying GET with ${upstream.name}...`, { upstream: upstream.name });
+          const otherResponse = await getFrom(upstream);
+          log.body("GET FALLBACK SUCCESS", otherResponse.data, { upstream: upstream.name });
+          res.status(otherResponse.status).send(otherResponse.data);
           return;
-        } catch (fallbackError) {
-          console.log("GET FALLBACK ALSO FAILED", fallbackError.message, "- This is also normal for RPC endpoints");
+        } catch (otherError) {
+          log.info(`GET ${upstream.name} ALSO FAILED - This is also normal for RPC endpoints`, { upstream: upstream.name, error: otherError.message });
         }
       }
-      
+
       res
         .status(error.response ? error.response.status : 500)
         .send(error.message);
     }
 
-    console.log("GET REQUEST SERVED");
+    log.info("GET REQUEST SERVED");
   } catch (err) {
-    console.error("GET / error:", err);
+    log.error("GET / error", { error: err });
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.get("/proxy", (req, res) => {
+app.get("/proxy", adminAuth.require(SCOPES.STATUS), (req, res) => {
   try {
-    const status = circuitBreaker.getStatus();
-    console.log("/PROXY", req.headers.referer);
+    const status = getUpstreamPoolStatus(req);
+    log.info("/PROXY", { referer: req.headers.referer });
+    const rows = status.upstreams.map(upstream =>
+      "<tr>" +
+      "<td>" + upstream.name + "</td>" +
+      "<td>" + upstream.url + "</td>" +
+      "<td>" + upstream.priority + "</td>" +
+      "<td>" + upstream.weight + "</td>" +
+      "<td>" + upstream.tags.join(", ") + "</td>" +
+      "<td>" + upstream.state + "</td>" +
+      "<td>" + upstream.consecutiveFailures + "</td>" +
+      "<td>" + (upstream.latencyMs === null ? "-" : upstream.latencyMs + " ms") + "</td>" +
+      "<td>" + upstream.requests + " / " + upstream.failures + "</td>" +
+      "<td>" + upstream.countRequests + "</td>" +
+      "</tr>"
+    ).join("");
     res.send(
       "<html><body><div style='padding:20px;font-size:18px'>" +
       "<H1>PROXY TO:</H1>" +
-      "<div><strong>Primary:</strong> " + targetUrl + "</div>" +
-      "<div><strong>Fallback:</strong> " + fallbackUrl + "</div>" +
-      "<div><strong>Current:</strong> " + status.currentUrl + "</div>" +
-      "<div><strong>Status:</strong> " + status.state + "</div>" +
-      "<div><strong>Using Fallback:</strong> " + status.isUsingFallback + "</div>" +
-      "<div><strong>Consecutive Failures:</strong> " + status.consecutiveFailures + "</div>" +
+      "<div><strong>Strategy:</strong> " + status.strategy + "</div>" +
+      "<div><strong>Using Fallback:</strong> " + status.usingFallback + "</div>" +
+      "<table cellpadding='8' style='margin-top:20px;border-collapse:collapse' border='1'>" +
+      "<tr><th>Name</th><th>URL</th><th>Priority</th><th>Weight</th><th>Tags</th><th>Status</th>" +
+      "<th>Consecutive Failures</th><th>Latency</th><th>Requests / Failures</th><th>Counted</th></tr>" +
+      rows +
+      "</table>" +
       "</div></body></html>"
     );
   } catch (err) {
-    console.error("/proxy error:", err);
+    log.error("/proxy error", { error: err });
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.get("/methods", (req, res) => {
+app.get("/methods", adminAuth.require(SCOPES.TRAFFIC), (req, res) => {
   try {
-    console.log("/methods", req.headers.referer);
+    log.info("/methods", { referer: req.headers.referer });
+    markSuperseded(res, "/api/v1/methods");
     res.send(
       "<html><body><div style='padding:20px;font-size:18px'><H1>methods:</H1></div><pre>" +
         JSON.stringify(methods) +
+        "</pre><div style='padding:20px;font-size:18px'><H1>blocked methods:</H1></div><pre>" +
+        JSON.stringify(blockedMethods) +
         "</pre></body></html>"
     );
   } catch (err) {
-    console.error("/methods error:", err);
+    log.error("/methods error", { error: err });
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.get("/methodsByReferer", (req, res) => {
+app.get("/methodsByReferer", adminAuth.require(SCOPES.TRAFFIC), (req, res) => {
   try {
-    console.log("/methods", req.headers.referer);
+    log.info("/methodsByReferer", { referer: req.headers.referer });
+    markSuperseded(res, "/api/v1/methods");
     res.send(
       "<html><body><div style='padding:20px;font-size:18px'><H1>methods by referer:</H1></div><pre>" +
         JSON.stringify(methodsByReferer) +
         "</pre></body></html>"
     );
   } catch (err) {
-    console.error("/methodsByReferer error:", err);
+    log.error("/methodsByReferer error", { error: err });
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.get("/letathousandscaffoldethsbloom", (req, res) => {
+app.get("/letathousandscaffoldethsbloom", adminAuth.require(SCOPES.TRAFFIC), (req, res) => {
   try {
     //if(req.headers&&req.headers.referer&&req.headers.referer.indexOf("sandbox.eth.build")>=0){
+    markSuperseded(res, "/api/v1/origins");
     var sortable = [];
     for (var item in memcache) {
       sortable.push([item, memcache[item]]);
@@ -455,7 +1184,7 @@ app.get("/letathousandscaffoldethsbloom", (req, res) => {
     });
     let finalBody = "";
     for (let s in sortable) {
-      console.log(sortable[s]);
+      log.debug('letathousandscaffoldethsbloom', { origin: sortable[s][0], count: sortable[s][1] });
       finalBody +=
         "<div style='padding:10px;font-size:18px'> <a href='" +
         sortable[s][0] +
@@ -472,58 +1201,182 @@ app.get("/letathousandscaffoldethsbloom", (req, res) => {
         "</pre></body></html>"
     );
   } catch (err) {
-    console.error("/letathousandscaffoldethsbloom error:", err);
+    log.error("/letathousandscaffoldethsbloom error", { error: err });
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
 app.get("/watchdog", (req, res) => {
   try {
+    // Fail health checks while draining so load balancers stop sending traffic
+    if (isShuttingDown()) {
+      res.status(503).json({ ok: false, shuttingDown: true });
+      return;
+    }
     res.json({ ok: true });
   } catch (err) {
-    console.error("/watchdog error:", err);
+    log.error("/watchdog error", { error: err });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Look up a transaction relayed through the proxy
+app.get("/tx/:hash", adminAuth.require(SCOPES.TRAFFIC), (req, res) => {
+  try {
+    const transaction = txTracker.getTransaction(req.params.hash);
+    if (!transaction) {
+      res.status(404).json({ error: "Transaction not tracked", hash: req.params.hash });
+      return;
+    }
+    res.json(transaction);
+  } catch (err) {
+    log.error("/tx error", { error: err });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Transaction submissions and outcomes per origin
+app.get("/txByOrigin", adminAuth.require(SCOPES.TRAFFIC), (req, res) => {
+  try {
+    res.json(txTracker.getOriginStats());
+  } catch (err) {
+    log.error("/txByOrigin error", { error: err });
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Add circuit breaker status endpoint
-app.get("/status", (req, res) => {
+// Analytics API (see ANALYTICS_API.md)
+if (analyticsApiConfig.enabled) {
+  app.use("/api/v1", adminAuth.require(SCOPES.TRAFFIC), analyticsApi.router());
+}
+
+// Traffic dashboard (see DASHBOARD.md) - only the page's own files, no data. The page asks for a
+// token and reads /api/v1 with it. The CSP keeps it to this host, so nothing loads from a CDN
+if (dashboardConfig.enabled && analyticsApiConfig.enabled) {
+  app.use("/dashboard", (req, res, next) => {
+    res.set({
+      "Content-Security-Policy": "default-src 'none'; script-src 'self'; style-src 'self'; img-src 'self' data:; connect-src 'self'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'",
+      "X-Content-Type-Options": "nosniff",
+      "Referrer-Policy": "no-referrer"
+    });
+    next();
+  }, express.static(fileURLToPath(new URL("./dashboard", import.meta.url))));
+} else if (dashboardConfig.enabled) {
+  log.warn("⚠️  Dashboard disabled - it reads the analytics API, which is disabled (analyticsApiConfig.enabled)");
+}
+
+// Prometheus metrics (see METRICS.md)
+if (metricsConfig.enabled) {
+  app.get("/metrics", adminAuth.require(SCOPES.METRICS), (req, res) => {
+    try {
+      res.set("Content-Type", METRICS_CONTENT_TYPE).send(renderMetrics());
+    } catch (err) {
+      log.error("/metrics error", { error: err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+}
+
+// Add upstream pool status endpoint
+app.get("/status", adminAuth.require(SCOPES.STATUS), (req, res) => {
   try {
-    const status = circuitBreaker.getStatus();
     res.json({
-      circuitBreaker: status,
-      urls: {
-        primary: targetUrl,
-        fallback: fallbackUrl
-      },
+      upstreamPool: getUpstreamPoolStatus(req),
+      routing: getRoutingStats(),
+      lagMonitor: lagMonitor.getStatus(),
+      healthProbes: healthProber.getStatus(),
+      retryPolicy: getRetryPolicyStats(),
+      broadcast: getBroadcastStats(),
+      txTracking: txTracker.getStatus(),
+      responseCache: responseCache.getStats(),
+      coalescing: requestCoalescer.getStats(),
+      rateLimit: rateLimiter.getStats(),
+      adminAuth: adminAuth.getStats(),
+      analyticsApi: analyticsApi.getStats(),
+      upstreamHistory: upstreamHistory.getStats(),
+      fundingPolicy: getFundingPolicyStats(),
+      methodPolicy: getMethodPolicyStats(),
+      websocket: webSocketProxy ? webSocketProxy.getStats() : null,
+      countSpool: getCountSpoolStatus(),
+      capture: trafficCapture.getStatus(),
+      shutdown: getShutdownStatus(),
+      listeners: listeners ? { ...getListenerStatus(listeners, listenerConfig), certificates: certificateStore.getStatus() } : null,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
-    console.error("/status error:", err);
+    log.error("/status error", { error: err });
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Errors thrown before a route answers (e.g. a malformed JSON body) - logged with the request ID
+// instead of Express's default stack trace on stderr
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status < 500) {
+    log.warn("Request rejected", { status, type: err.type, error: err.message, ip: getClientIP(req) });
+  } else {
+    log.error("Unhandled request error", { status, error: err });
+  }
+  if (res.headersSent) {
+    return next(err);
+  }
+  res.status(status).json({ error: err.expose ? err.message : "Internal server error" });
+});
+
 // Start background tasks
 startBackgroundTasks();
+startFundingPolicyRefresh();
+trafficCapture.start();
+upstreamHistory.start();
+lagMonitor.start();
+healthProber.start();
+txTracker.start();
 
-let key, cert;
+// TLS certificates - reloaded when le.sh renews them
+const certificateStore = new CertificateStore(listenerConfig.certificates);
 try {
-  key = fs.readFileSync("server.key");
-  cert = fs.readFileSync("server.cert");
+  certificateStore.load();
 } catch (err) {
-  console.error("Failed to read SSL certificate files:", err);
+  log.error("Failed to read SSL certificate files", { error: err });
   process.exit(1);
 }
+certificateStore.watch();
 
-https
-  .createServer(
-    {
-      key,
-      cert,
-    },
-    app
-  )
-  .listen(443, () => {
-    console.log("Listening 443...");
-  });
+listeners = startListeners(app, listenerConfig, certificateStore);
+
+// WebSocket endpoint (eth_subscribe etc.) on every listener serving the proxy
+webSocketProxy = attachWebSocketProxy(listeners.servingServers, {
+  upstreamPool,
+  getClientIP,
+  getTrackedIP,
+  rateLimiter
+});
+
+// Drain and flush pending counts on SIGTERM/SIGINT instead of dropping them
+installShutdownHandlers({
+  ...shutdownConfig,
+  servers: () => [...listeners.httpsServers, ...(listeners.httpServer ? [listeners.httpServer] : [])],
+  stopBackground: () => {
+    stopBackgroundTasks();
+    stopFundingPolicyRefresh();
+    lagMonitor.stop();
+    healthProber.stop();
+    txTracker.stop();
+    rateLimiter.stop();
+    adminAuth.stop();
+    trafficCapture.stop();
+    upstreamHistory.stop();
+    certificateStore.stop();
+    if (webSocketProxy) {
+      webSocketProxy.close();
+    }
+  },
+  flush: flushBackgroundTasks,
+  getUnflushed: getUnflushedCounts,
+  close: async () => {
+    stopCountSpool();
+    await closePool();
+    await stopTracing();
+  }
+});
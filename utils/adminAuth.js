@@ -0,0 +1,233 @@
+// Authentication for the operational endpoints (/status, /proxy, /methods, /metrics, ...)
+// Every admin route takes a bearer token with the route's scope, and optionally a client IP from
+// the allowlist. Tokens and the allowlist live in a JSON file that's reloaded when it changes;
+// ADMIN_TOKEN adds one token with every scope. With no tokens at all, admin routes are closed
+import crypto from 'crypto';
+import fs from 'fs';
+import { createAddressList, isInAddressList, getSocketIP } from './trustedProxies.js';
+import { createCounter } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('adminAuth');
+
+// What a token can be given - a route needs one scope, '*' covers them all
+const SCOPES = {
+  STATUS: 'status', // /status, /proxy
+  TRAFFIC: 'traffic', // /methods, /methodsByReferer, /letathousandscaffoldethsbloom, /tx, /txByOrigin, /api/v1
+  METRICS: 'metrics', // /metrics
+  UPSTREAM_URLS: 'upstream-urls', // upstream URLs shown unredacted
+  ALL: '*'
+};
+
+const REALM = 'rpc-proxy admin';
+
+const adminRequests = createCounter({
+  name: 'rpc_proxy_admin_requests_total',
+  help: 'Requests to admin endpoints by outcome - allowed, or why they were denied',
+  labelNames: ['outcome']
+});
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+// Token from "Authorization: Bearer <token>", or the password of "Authorization: Basic ..." so a
+// browser's login prompt works too
+function getPresentedToken(req) {
+  const header = req.headers.authorization;
+  if (typeof header !== 'string') {
+    return null;
+  }
+  const [scheme, value] = header.trim().split(/\s+/, 2);
+  if (!value) {
+    return null;
+  }
+  if (scheme.toLowerCase() === 'bearer') {
+    return value;
+  }
+  if (scheme.toLowerCase() === 'basic') {
+    const decoded = Buffer.from(value, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    return separator >= 0 ? decoded.slice(separator + 1) : null;
+  }
+  return null;
+}
+
+class AdminAuth {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.tokensFile = options.tokensFile || null;
+    this.configAllowlist = options.allowlist || [];
+    // Off by default: the allowlist then checks the connecting address, which a client can't choose
+    this.trustProxyHeaders = options.trustProxyHeaders === true;
+    this.getClientIP = options.getClientIP || getSocketIP;
+
+    this.tokens = []; // { name, hash, scopes }
+    this.allowlist = null; // net.BlockList, null allows any IP
+    this.allowlistSize = 0;
+
+    this.stats = {
+      allowed: 0,
+      denied: 0,
+      deniedByReason: {} // { reason: count }
+    };
+
+    this.loadTokens();
+    if (this.tokensFile) {
+      this.watchTokens();
+    }
+
+    if (!this.enabled) {
+      log.warn('⚠️  Admin authentication disabled - admin endpoints are public');
+    } else if (this.tokens.length === 0) {
+      log.warn('🔒 No admin tokens configured - admin endpoints are closed (set ADMIN_TOKEN or add tokens to the tokens file)');
+    }
+  }
+
+  // Tokens and allowlist from the tokens file, plus ADMIN_TOKEN and the configured allowlist
+  // An invalid file keeps the previous settings
+  loadTokens() {
+    try {
+      let data = {};
+      if (this.tokensFile && fs.existsSync(this.tokensFile)) {
+        data = JSON.parse(fs.readFileSync(this.tokensFile, 'utf8'));
+      }
+
+      const tokens = (Array.isArray(data.tokens) ? data.tokens : []).map((entry, index) => {
+        const name = entry.name || `token ${index + 1}`;
+        let hash = null;
+        if (typeof entry.sha256 === 'string' && /^[0-9a-f]{64}$/i.test(entry.sha256)) {
+          hash = Buffer.from(entry.sha256, 'hex');
+        } else if (typeof entry.token === 'string' && entry.token !== '') {
+          hash = hashToken(entry.token);
+        }
+        if (!hash) {
+          throw new Error(`${name} has neither a token nor a sha256 hash`);
+        }
+        return { name, hash, scopes: new Set(Array.isArray(entry.scopes) ? entry.scopes : []) };
+      });
+
+      // ADMIN_TOKEN may come from .env, loaded after config.js
+      if (process.env.ADMIN_TOKEN) {
+        tokens.push({ name: 'ADMIN_TOKEN', hash: hashToken(process.env.ADMIN_TOKEN), scopes: new Set([SCOPES.ALL]) });
+      }
+
+      const entries = [...this.configAllowlist, ...(Array.isArray(data.allowlist) ? data.allowlist : [])];
+      const allowlist = createAddressList(entries);
+
+      this.tokens = tokens;
+      this.allowlist = allowlist;
+      this.allowlistSize = entries.length;
+      log.info(`✅ Admin tokens loaded - ${tokens.length} token(s), ${entries.length === 0 ? 'any IP' : `${entries.length} allowlist entr${entries.length === 1 ? 'y' : 'ies'}`}`);
+    } catch (error) {
+      log.error('⚠️  Failed to load admin tokens (keeping previous settings)', { file: this.tokensFile, error: error.message });
+    }
+  }
+
+  // Reload the tokens file whenever it changes on disk
+  watchTokens() {
+    try {
+      fs.watchFile(this.tokensFile, { interval: 5000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) {
+          log.info('🔄 Admin tokens file changed - reloading');
+          this.loadTokens();
+        }
+      });
+    } catch (error) {
+      log.error('⚠️  Failed to watch admin tokens file', { error: error.message });
+    }
+  }
+
+  stop() {
+    if (this.tokensFile) {
+      fs.unwatchFile(this.tokensFile);
+    }
+  }
+
+  // IP checked against the allowlist - the socket address unless proxy headers are trusted, and
+  // even then getClientIP only reads them on connections from clientIPConfig.trustedProxies
+  getCallerIP(req) {
+    return this.trustProxyHeaders ? this.getClientIP(req) : getSocketIP(req);
+  }
+
+  isAllowedIP(ip) {
+    return !this.allowlist || isInAddressList(this.allowlist, ip);
+  }
+
+  // The token matching what the request presented, or null
+  // Every token is compared in constant time, so timing doesn't tell how close a guess was
+  findToken(presented) {
+    if (!presented) {
+      return null;
+    }
+    const hash = hashToken(presented);
+    let match = null;
+    this.tokens.forEach(token => {
+      if (crypto.timingSafeEqual(token.hash, hash) && !match) {
+        match = token;
+      }
+    });
+    return match;
+  }
+
+  // Whether the request's token has a scope - false for unauthenticated requests
+  // With auth disabled, everything is allowed
+  hasScope(req, scope) {
+    if (!this.enabled) {
+      return true;
+    }
+    const scopes = req.admin?.scopes;
+    return !!scopes && (scopes.has(SCOPES.ALL) || scopes.has(scope));
+  }
+
+  deny(req, res, status, reason, body) {
+    this.stats.denied++;
+    this.stats.deniedByReason[reason] = (this.stats.deniedByReason[reason] || 0) + 1;
+    adminRequests.inc({ outcome: reason });
+    log.warn(`🔒 Admin request denied - ${reason}`, { path: req.path, reason, ip: this.getCallerIP(req), token: req.admin?.name });
+    if (status === 401) {
+      res.set('WWW-Authenticate', [`Bearer realm="${REALM}"`, `Basic realm="${REALM}"`]);
+    }
+    res.status(status).json(body);
+  }
+
+  // Express middleware for an admin route - needs an allowed IP and a token with scope
+  require(scope) {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        return next();
+      }
+
+      if (!this.isAllowedIP(this.getCallerIP(req))) {
+        return this.deny(req, res, 403, 'ip_not_allowed', { error: 'Forbidden' });
+      }
+
+      const presented = getPresentedToken(req);
+      const token = this.findToken(presented);
+      if (!token) {
+        return this.deny(req, res, 401, presented ? 'invalid_token' : 'missing_token', { error: 'Authentication required' });
+      }
+
+      req.admin = { name: token.name, scopes: token.scopes };
+      if (!this.hasScope(req, scope)) {
+        return this.deny(req, res, 403, 'insufficient_scope', { error: 'Insufficient scope', scope });
+      }
+
+      this.stats.allowed++;
+      adminRequests.inc({ outcome: 'allowed' });
+      next();
+    };
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      tokens: this.tokens.length,
+      allowlistEntries: this.allowlistSize,
+      trustProxyHeaders: this.trustProxyHeaders,
+      ...this.stats
+    };
+  }
+}
+
+export { SCOPES, AdminAuth };
@@ -0,0 +1,532 @@
+// Versioned JSON analytics API, mounted at /api/v1
+// Traffic, IPs and origins come from Postgres: ip_history_table holds one row per IP per completed
+// hour (kept 30 days), ip_table the running totals. Method counts and upstream history aren't
+// persisted - /methods and /upstreams read in-memory state and cover the time since the proxy started
+// Every list supports a time window, filters, sorting and limit/offset pagination
+import express from 'express';
+import net from 'net';
+import { createLogger } from './logger.js';
+
+const log = createLogger('analyticsApi');
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const MAX_FILTER_VALUES = 100;
+
+// Sort fields per list -> SQL column (or the key of in-memory rows)
+const SORT_FIELDS = {
+  ips: { requests: 'requests', ip: 'ip', activeHours: 'active_hours', firstSeen: 'first_hour', lastSeen: 'last_hour' },
+  origins: { requests: 'requests', origin: 'origin', ips: 'ips', lastSeen: 'last_hour' },
+  methods: { calls: 'calls', method: 'method', blocked: 'blocked' }
+};
+
+// A bad query parameter - answered with 400
+class ParameterError extends Error {
+  constructor(parameter, message) {
+    super(message);
+    this.name = 'ParameterError';
+    this.parameter = parameter;
+  }
+}
+
+function getParam(req, name) {
+  const value = req.query[name];
+  if (Array.isArray(value)) {
+    throw new ParameterError(name, `${name} was given more than once - separate values with commas`);
+  }
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+// A time as ISO 8601, unix seconds, "now" or relative to now ("-24h", "-7d", "-30m")
+function parseTime(value, name, now) {
+  if (value === 'now') {
+    return now;
+  }
+  const relative = /^-(\d+)([mhd])$/.exec(value);
+  if (relative) {
+    const unit = { m: 60, h: HOUR, d: DAY }[relative[2]];
+    return now - Number(relative[1]) * unit;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  if (!Number.isFinite(parsed)) {
+    throw new ParameterError(name, `${name} must be an ISO 8601 time, unix seconds, "now" or relative like "-24h"`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+function parseInteger(req, name, fallback, min, max) {
+  const value = getParam(req, name);
+  if (value === null) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+    throw new ParameterError(name, `${name} must be a whole number from ${min} to ${max}`);
+  }
+  return Number(value);
+}
+
+function parseList(req, name, normalize = value => value) {
+  const value = getParam(req, name);
+  if (value === null) {
+    return null;
+  }
+  const values = [...new Set(value.split(',').map(item => normalize(item.trim())).filter(Boolean))];
+  if (values.length === 0 || values.length > MAX_FILTER_VALUES) {
+    throw new ParameterError(name, `${name} takes 1 to ${MAX_FILTER_VALUES} comma-separated values`);
+  }
+  return values;
+}
+
+function parseIPs(req) {
+  const ips = parseList(req, 'ip');
+  (ips || []).forEach(ip => {
+    if (!net.isIP(ip)) {
+      throw new ParameterError('ip', `${ip} is not an IP address`);
+    }
+  });
+  return ips;
+}
+
+// Origins are stored without protocol or trailing slash (see backgroundTasks.js) - accept either form
+function normalizeOrigin(origin) {
+  return origin.replace(/^https?:\/\//, '').replace(/\/$/, '');
+}
+
+// "requests" (ascending) or "-requests" (descending)
+function parseSort(req, list, fallback) {
+  const value = getParam(req, 'sort') || fallback;
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  const column = SORT_FIELDS[list][field];
+  if (!column) {
+    throw new ParameterError('sort', `sort must be one of ${Object.keys(SORT_FIELDS[list]).join(', ')}, with "-" for descending`);
+  }
+  return { value, field, column, descending };
+}
+
+function toISO(seconds) {
+  return seconds === null || seconds === undefined ? null : new Date(Number(seconds) * 1000).toISOString();
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+// Collects query parameters as $1, $2... for one SQL statement
+class QueryParams {
+  constructor() {
+    this.values = [];
+  }
+
+  add(value) {
+    this.values.push(value);
+    return `$${this.values.length}`;
+  }
+}
+
+class AnalyticsApi {
+  constructor(options = {}) {
+    this.getPool = options.getPool;
+    this.getMethodStats = options.getMethodStats || (() => ({ methods: {}, blockedMethods: {}, methodsByReferer: {} }));
+    this.getUpstreamHistory = options.getUpstreamHistory || (() => ({ since: this.startedAt, interval: null, upstreams: [], transitions: [], latency: [] }));
+    this.startedAt = options.startedAt || Date.now();
+    this.defaultWindowHours = options.defaultWindowHours || 24;
+    this.maxWindowDays = options.maxWindowDays || 31;
+    this.defaultLimit = options.defaultLimit || 50;
+    this.maxLimit = options.maxLimit || 500;
+    this.maxOffset = options.maxOffset || 100000;
+    this.queryTimeout = options.queryTimeout || 10000; // ms per database query
+
+    this.stats = {
+      requests: 0,
+      invalid: 0,
+      failed: 0
+    };
+  }
+
+  // The time window - from is rounded down to the hour, since history rows are per hour
+  parseWindow(req) {
+    const now = Math.floor(Date.now() / 1000);
+    const fromParam = getParam(req, 'from');
+    const toParam = getParam(req, 'to');
+    const to = toParam === null ? now : parseTime(toParam, 'to', now);
+    const from = Math.floor((fromParam === null ? to - this.defaultWindowHours * HOUR : parseTime(fromParam, 'from', now)) / HOUR) * HOUR;
+
+    if (from >= to) {
+      throw new ParameterError('from', 'from must be before to');
+    }
+    if (to - from > this.maxWindowDays * DAY) {
+      throw new ParameterError('from', `The window can be at most ${this.maxWindowDays} days`);
+    }
+    return { from, to };
+  }
+
+  parsePage(req) {
+    return {
+      limit: parseInteger(req, 'limit', this.defaultLimit, 1, this.maxLimit),
+      offset: parseInteger(req, 'offset', 0, 0, this.maxOffset)
+    };
+  }
+
+  async query(text, values) {
+    const pool = await this.getPool();
+    const result = await pool.query({ text, values, query_timeout: this.queryTimeout });
+    return result.rows;
+  }
+
+  // Requests per history row - all of them, or only those from the filtered origins
+  requestsExpression(origins, params) {
+    if (!origins) {
+      return 'h.request_count';
+    }
+    return `(SELECT COALESCE(SUM(o.value::numeric), 0) FROM jsonb_each_text(${this.originsObject()}) o WHERE o.key = ANY(${params.add(origins)}))`;
+  }
+
+  // origins as an object - anything else is treated as no origins rather than failing the query
+  originsObject() {
+    return `CASE WHEN jsonb_typeof(h.origins) = 'object' THEN h.origins ELSE '{}'::jsonb END`;
+  }
+
+  // WHERE clause for history rows in the window, for the filtered IPs
+  historyFilter(window, ips, params) {
+    const conditions = [
+      `h.hour_timestamp >= ${params.add(window.from)}`,
+      `h.hour_timestamp < ${params.add(window.to)}`
+    ];
+    if (ips) {
+      conditions.push(`h.ip = ANY(${params.add(ips)})`);
+    }
+    return conditions.join(' AND ');
+  }
+
+  page(rows, page, total) {
+    return {
+      limit: page.limit,
+      offset: page.offset,
+      total,
+      nextOffset: page.offset + rows.length < total ? page.offset + rows.length : null
+    };
+  }
+
+  // GET /traffic - requests and active IPs per hour or day, empty buckets included
+  async traffic(req) {
+    const window = this.parseWindow(req);
+    const bucketParam = getParam(req, 'bucket') || 'hour';
+    if (!['hour', 'day'].includes(bucketParam)) {
+      throw new ParameterError('bucket', 'bucket must be hour or day');
+    }
+    const bucket = bucketParam === 'day' ? DAY : HOUR;
+    const ips = parseIPs(req);
+    const origins = parseList(req, 'origin', normalizeOrigin);
+
+    const params = new QueryParams();
+    const requests = this.requestsExpression(origins, params);
+    const filter = this.historyFilter(window, ips, params);
+    const bucketSize = params.add(bucket);
+    const rows = await this.query(`
+      SELECT (t.hour_timestamp / ${bucketSize}) * ${bucketSize} AS bucket_start,
+             SUM(t.requests) AS requests,
+             COUNT(DISTINCT t.ip) AS ips
+      FROM (
+        SELECT h.hour_timestamp, h.ip, ${requests} AS requests
+        FROM ip_history_table h
+        WHERE ${filter}
+      ) t
+      WHERE t.requests > 0
+      GROUP BY bucket_start
+      ORDER BY bucket_start
+    `, params.values);
+
+    const byBucket = new Map(rows.map(row => [Number(row.bucket_start), row]));
+    const data = [];
+    for (let start = Math.floor(window.from / bucket) * bucket; start < window.to; start += bucket) {
+      const row = byBucket.get(start);
+      data.push({ time: toISO(start), requests: row ? toNumber(row.requests) : 0, ips: row ? toNumber(row.ips) : 0 });
+    }
+
+    return {
+      data,
+      window: { from: toISO(window.from), to: toISO(window.to) },
+      bucket: bucketParam,
+      filters: { ip: ips, origin: origins }
+    };
+  }
+
+  // GET /ips - requests per IP in the window
+  async ips(req) {
+    const window = this.parseWindow(req);
+    const page = this.parsePage(req);
+    const sort = parseSort(req, 'ips', '-requests');
+    const ips = parseIPs(req);
+    const origins = parseList(req, 'origin', normalizeOrigin);
+
+    const params = new QueryParams();
+    const requests = this.requestsExpression(origins, params);
+    const filter = this.historyFilter(window, ips, params);
+    const rows = await this.query(`
+      SELECT t.ip,
+             SUM(t.requests) AS requests,
+             COUNT(*) AS active_hours,
+             MIN(t.hour_timestamp) AS first_hour,
+             MAX(t.hour_timestamp) AS last_hour,
+             COUNT(*) OVER () AS total
+      FROM (
+        SELECT h.ip, h.hour_timestamp, ${requests} AS requests
+        FROM ip_history_table h
+        WHERE ${filter}
+      ) t
+      WHERE t.requests > 0
+      GROUP BY t.ip
+      ORDER BY ${sort.column} ${sort.descending ? 'DESC' : 'ASC'}, t.ip ASC
+      LIMIT ${params.add(page.limit)} OFFSET ${params.add(page.offset)}
+    `, params.values);
+
+    const total = rows.length > 0 ? toNumber(rows[0].total) : await this.countBeyondPage(page, () => this.countIPs(window, ips, origins));
+    return {
+      data: rows.map(row => ({
+        ip: row.ip,
+        requests: toNumber(row.requests),
+        activeHours: toNumber(row.active_hours),
+        firstSeen: toISO(row.first_hour),
+        lastSeen: toISO(row.last_hour)
+      })),
+      window: { from: toISO(window.from), to: toISO(window.to) },
+      page: this.page(rows, page, total),
+      sort: sort.value,
+      filters: { ip: ips, origin: origins }
+    };
+  }
+
+  async countIPs(window, ips, origins) {
+    const params = new QueryParams();
+    const requests = this.requestsExpression(origins, params);
+    const filter = this.historyFilter(window, ips, params);
+    const rows = await this.query(`
+      SELECT COUNT(DISTINCT t.ip) AS total
+      FROM (SELECT h.ip, ${requests} AS requests FROM ip_history_table h WHERE ${filter}) t
+      WHERE t.requests > 0
+    `, params.values);
+    return toNumber(rows[0].total);
+  }
+
+  // An empty page is either past the end or there's nothing at all - only the first needs a count
+  async countBeyondPage(page, count) {
+    return page.offset === 0 ? 0 : count();
+  }
+
+  // GET /ips/:ip - one IP's running totals and its hourly history in the window
+  async ip(req) {
+    const ip = req.params.ip;
+    if (!net.isIP(ip)) {
+      throw new ParameterError('ip', `${ip} is not an IP address`);
+    }
+    const window = this.parseWindow(req);
+    const limit = parseInteger(req, 'limit', this.defaultLimit, 1, this.maxLimit); // origins listed
+
+    const [current] = await this.query('SELECT * FROM ip_table WHERE ip = $1', [ip]);
+    const history = await this.query(`
+      SELECT h.hour_timestamp, h.request_count, h.origins
+      FROM ip_history_table h
+      WHERE h.ip = $1 AND h.hour_timestamp >= $2 AND h.hour_timestamp < $3
+      ORDER BY h.hour_timestamp
+    `, [ip, window.from, window.to]);
+
+    if (!current && history.length === 0) {
+      return null;
+    }
+
+    const allOrigins = Object.entries(current?.origins && typeof current.origins === 'object' ? current.origins : {})
+      .map(([origin, requests]) => ({ origin, requests: toNumber(requests) }))
+      .sort((a, b) => b.requests - a.requests || a.origin.localeCompare(b.origin));
+
+    return {
+      data: {
+        ip,
+        // Columns added by later migrations (monthly counts) are null where they don't exist yet
+        requestsTotal: toNumber(current?.requests_total),
+        requestsThisMonth: toNumber(current?.requests_this_month),
+        requestsThisHour: toNumber(current?.requests_last_hour),
+        updatedAt: current?.updated_at ? new Date(current.updated_at).toISOString() : null,
+        origins: allOrigins.slice(0, limit),
+        originCount: allOrigins.length,
+        history: history.map(row => ({
+          time: toISO(row.hour_timestamp),
+          requests: toNumber(row.request_count),
+          origins: row.origins && typeof row.origins === 'object' ? row.origins : {}
+        }))
+      },
+      window: { from: toISO(window.from), to: toISO(window.to) }
+    };
+  }
+
+  // GET /origins - requests and distinct IPs per origin in the window
+  async origins(req) {
+    const window = this.parseWindow(req);
+    const page = this.parsePage(req);
+    const sort = parseSort(req, 'origins', '-requests');
+    const ips = parseIPs(req);
+    const origins = parseList(req, 'origin', normalizeOrigin);
+
+    const params = new QueryParams();
+    const filter = this.historyFilter(window, ips, params);
+    const originFilter = origins ? `AND o.key = ANY(${params.add(origins)})` : '';
+    const rows = await this.query(`
+      SELECT o.key AS origin,
+             SUM(o.value::numeric) AS requests,
+             COUNT(DISTINCT h.ip) AS ips,
+             MAX(h.hour_timestamp) AS last_hour,
+             COUNT(*) OVER () AS total
+      FROM ip_history_table h
+      CROSS JOIN LATERAL jsonb_each_text(${this.originsObject()}) o
+      WHERE ${filter} ${originFilter}
+      GROUP BY o.key
+      HAVING SUM(o.value::numeric) > 0
+      ORDER BY ${sort.column} ${sort.descending ? 'DESC' : 'ASC'}, o.key ASC
+      LIMIT ${params.add(page.limit)} OFFSET ${params.add(page.offset)}
+    `, params.values);
+
+    const total = rows.length > 0 ? toNumber(rows[0].total) : await this.countBeyondPage(page, async () => {
+      const countParams = new QueryParams();
+      const countFilter = this.historyFilter(window, ips, countParams);
+      const countOriginFilter = origins ? `AND o.key = ANY(${countParams.add(origins)})` : '';
+      const [row] = await this.query(`
+        SELECT COUNT(*) AS total FROM (
+          SELECT o.key
+          FROM ip_history_table h
+          CROSS JOIN LATERAL jsonb_each_text(${this.originsObject()}) o
+          WHERE ${countFilter} ${countOriginFilter}
+          GROUP BY o.key
+          HAVING SUM(o.value::numeric) > 0
+        ) t
+      `, countParams.values);
+      return toNumber(row.total);
+    });
+
+    return {
+      data: rows.map(row => ({
+        origin: row.origin,
+        requests: toNumber(row.requests),
+        ips: toNumber(row.ips),
+        lastSeen: toISO(row.last_hour)
+      })),
+      window: { from: toISO(window.from), to: toISO(window.to) },
+      page: this.page(rows, page, total),
+      sort: sort.value,
+      filters: { ip: ips, origin: origins }
+    };
+  }
+
+  // GET /methods - calls per method since the proxy started (not persisted)
+  // Methods are counted per Referer header, not per origin, so that's the filter here
+  async methods(req) {
+    if (getParam(req, 'from') !== null || getParam(req, 'to') !== null) {
+      throw new ParameterError('from', 'Method counts aren\'t persisted - they cover the time since the proxy started and take no window');
+    }
+    const page = this.parsePage(req);
+    const sort = parseSort(req, 'methods', '-calls');
+    const methodFilter = parseList(req, 'method');
+    const referer = getParam(req, 'referer');
+
+    const { methods, blockedMethods, methodsByReferer } = this.getMethodStats();
+    const counts = referer === null ? methods : (methodsByReferer[referer] || {});
+    const names = new Set([...Object.keys(counts), ...(referer === null ? Object.keys(blockedMethods) : [])]);
+
+    let rows = [...names].map(method => ({
+      method,
+      calls: counts[method] || 0,
+      // Blocked calls aren't tracked per referer
+      blocked: referer === null ? (blockedMethods[method] || 0) : null
+    }));
+    if (methodFilter) {
+      rows = rows.filter(row => methodFilter.includes(row.method));
+    }
+
+    const direction = sort.descending ? -1 : 1;
+    rows.sort((a, b) => {
+      const left = a[sort.column] ?? 0;
+      const right = b[sort.column] ?? 0;
+      const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+      return order * direction || a.method.localeCompare(b.method);
+    });
+
+    const data = rows.slice(page.offset, page.offset + page.limit);
+    return {
+      data,
+      since: new Date(this.startedAt).toISOString(),
+      persisted: false,
+      page: this.page(data, page, rows.length),
+      sort: sort.value,
+      filters: { method: methodFilter, referer }
+    };
+  }
+
+  // GET /upstreams - breaker states over time and latency per interval for each upstream
+  // Kept in memory (see utils/upstreamHistory.js), so the window is cut at the proxy's start
+  async upstreams(req) {
+    const window = this.parseWindow(req);
+    const history = this.getUpstreamHistory(window.from * 1000, window.to * 1000);
+    const toTime = ms => new Date(ms).toISOString();
+
+    return {
+      data: {
+        upstreams: history.upstreams.map(upstream => ({
+          ...upstream,
+          timeline: upstream.timeline.map(period => ({ state: period.state, from: toTime(period.from), to: toTime(period.to) }))
+        })),
+        transitions: history.transitions.map(transition => ({ ...transition, time: toTime(transition.time) })),
+        latency: history.latency.map(sample => ({ ...sample, time: toTime(sample.time) }))
+      },
+      since: toTime(history.since),
+      interval: history.interval,
+      persisted: false,
+      window: { from: toISO(window.from), to: toISO(window.to) }
+    };
+  }
+
+  // Express handler for one of the endpoints above
+  handle(name) {
+    return async (req, res) => {
+      this.stats.requests++;
+      try {
+        const body = await this[name](req);
+        if (body === null) {
+          res.status(404).json({ error: 'No data for this IP' });
+          return;
+        }
+        res.json(body);
+      } catch (error) {
+        if (error instanceof ParameterError) {
+          this.stats.invalid++;
+          res.status(400).json({ error: error.message, parameter: error.parameter });
+          return;
+        }
+        this.stats.failed++;
+        log.error(`Analytics query failed: ${name}`, { endpoint: name, error });
+        res.status(503).json({ error: 'Analytics data is unavailable right now' });
+      }
+    };
+  }
+
+  router() {
+    const router = express.Router();
+    router.get('/traffic', this.handle('traffic'));
+    router.get('/ips', this.handle('ips'));
+    router.get('/ips/:ip', this.handle('ip'));
+    router.get('/origins', this.handle('origins'));
+    router.get('/methods', this.handle('methods'));
+    router.get('/upstreams', this.handle('upstreams'));
+    router.use((req, res) => {
+      res.status(404).json({ error: 'Unknown analytics endpoint', endpoints: ['/traffic', '/ips', '/ips/:ip', '/origins', '/methods', '/upstreams'] });
+    });
+    return router;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export { AnalyticsApi };
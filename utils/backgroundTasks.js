@@ -1,14 +1,21 @@
 import { updateFirebaseWithNewRequests } from './updateFirebaseWithNewRequests.js';
 import { updateRDSWithIpRequests } from './updateRDSWithIpRequests.js';
 import { transferFirebaseRequestsToFunded } from './transferFirebaseRequestsToFunded.js';
-import { backgroundTasksInterval } from '../config.js';
+import { CountSpool } from './countSpool.js';
+import { backgroundTasksInterval, countSpoolConfig, metricsConfig } from '../config.js';
+import { createLogger } from './logger.js';
+import { createCounter, createHistogram, registerCollector } from './metrics.js';
+import { startSpan, runInSpan, withSpan, markSpanFailed } from './tracing.js';
+
+const log = createLogger('backgroundTasks');
 
 // Shared state object
 const state = {
   urlCountMap: {},
   ipCountMap: {},
   isProcessing: false,
-  updateCounter: 0
+  updateCounter: 0,
+  interval: null
 };
 
 // Function to strip protocol from URL
@@ -16,7 +23,7 @@ function stripProtocol(url) {
   if (!url) return '';
   // Ensure url is a string
   if (typeof url !== 'string') {
-    console.warn(`stripProtocol received non-string: ${typeof url}`);
+    log.warn(`stripProtocol received non-string: ${typeof url}`);
     return '';
   }
   return url.replace(/^https?:\/\//, '').replace(/\/$/, '');
@@ -32,13 +39,13 @@ function updateUrlCountMap(origin, count = 1) {
     
     // Skip localhost URLs (localhost:3000, localhost:3001, etc.)
     if (cleanOrigin.includes('localhost')) {
-      console.log(`Skipping localhost URL: ${cleanOrigin}`);
+      log.debug('Skipping localhost URL', { origin: cleanOrigin });
       return;
     }
     
     // Skip buidlguidl-client origin
     if (cleanOrigin === 'buidlguidl-client') {
-      console.log(`Skipping buidlguidl-client origin: ${cleanOrigin}`);
+      log.debug('Skipping buidlguidl-client origin', { origin: cleanOrigin });
       return;
     }
     
@@ -48,10 +55,10 @@ function updateUrlCountMap(origin, count = 1) {
     state.urlCountMap[cleanOrigin] += count;
     
     if (count > 1) {
-      console.log(`Added ${count} requests for ${cleanOrigin} (batch request)`);
+      log.debug('Added requests for origin (batch request)', { origin: cleanOrigin, count });
     }
   } catch (error) {
-    console.error('Error updating urlCountMap:', error);
+    log.error('Error updating urlCountMap', { error });
   }
 }
 
@@ -62,13 +69,13 @@ function updateIpCountMap(ip, origin, count = 1) {
     
     // Ensure ip is a string
     if (typeof ip !== 'string') {
-      console.warn(`updateIpCountMap received non-string IP: ${typeof ip}`);
+      log.warn(`updateIpCountMap received non-string IP: ${typeof ip}`);
       return;
     }
     
     // Skip localhost IPs
     if (ip === '127.0.0.1' || ip === '::1' || ip.startsWith('localhost')) {
-      console.log(`Skipping localhost IP: ${ip}`);
+      log.debug('Skipping localhost IP', { ip });
       return;
     }
     
@@ -76,7 +83,7 @@ function updateIpCountMap(ip, origin, count = 1) {
     if (origin) {
       const cleanOrigin = stripProtocol(origin);
       if (cleanOrigin === 'buidlguidl-client') {
-        console.log(`Skipping IP tracking for buidlguidl-client origin: ${ip}`);
+        log.debug('Skipping IP tracking for buidlguidl-client origin', { ip });
         return;
       }
     }
@@ -104,7 +111,7 @@ function updateIpCountMap(ip, origin, count = 1) {
       
       // Skip localhost origins
       if (cleanOrigin.includes('localhost')) {
-        console.log(`Skipping localhost origin: ${cleanOrigin}`);
+        log.debug('Skipping localhost origin', { ip, origin: cleanOrigin });
         return;
       }
       
@@ -115,96 +122,225 @@ function updateIpCountMap(ip, origin, count = 1) {
     }
     
     if (count > 1) {
-      console.log(`Added ${count} requests for IP ${ip} from origin ${origin} (batch request)`);
+      log.debug('Added requests for IP (batch request)', { ip, origin, count });
     }
   } catch (error) {
-    console.error('Error updating ipCountMap:', error);
+    log.error('Error updating ipCountMap', { error });
+  }
+}
+
+// Add URL counts from source into target - returns target
+function mergeUrlCounts(target, source) {
+  for (const url in source) {
+    target[url] = (target[url] || 0) + source[url];
   }
+  return target;
+}
+
+// Add IP counts (total and per origin) from source into target - returns target
+function mergeIpCounts(target, source) {
+  for (const ip in source) {
+    if (!target[ip]) {
+      target[ip] = { count: 0, origins: {} };
+    }
+    target[ip].count += source[ip].count || 0;
+    for (const origin in source[ip].origins) {
+      target[ip].origins[origin] = (target[ip].origins[origin] || 0) + source[ip].origins[origin];
+    }
+  }
+  return target;
+}
+
+// Flush metrics (see METRICS.md)
+const flushDuration = createHistogram({
+  name: 'rpc_proxy_count_flush_duration_seconds',
+  help: 'Time taken by each database write of request counts (firebase, rds) and by transfers to funded',
+  labelNames: ['sink', 'outcome'],
+  buckets: metricsConfig.flushBuckets
+});
+const flushFailures = createCounter({
+  name: 'rpc_proxy_count_flush_failures_total',
+  help: 'Failed database writes of request counts',
+  labelNames: ['sink']
+});
+const cycleDuration = createHistogram({
+  name: 'rpc_proxy_background_cycle_duration_seconds',
+  help: 'Time taken by a whole background cycle',
+  buckets: metricsConfig.flushBuckets
+});
+
+// Time and trace a database write - failures are rethrown, the spool depends on them
+function instrumented(sink, write) {
+  return (data) => withSpan(`count flush ${sink}`, {
+    'proxy.sink': sink,
+    'proxy.count.keys': data ? Object.keys(data).length : 0
+  }, async () => {
+    const startedAt = Date.now();
+    try {
+      const result = await write(data);
+      flushDuration.observeSince({ sink, outcome: 'success' }, startedAt);
+      return result;
+    } catch (error) {
+      flushDuration.observeSince({ sink, outcome: 'failure' }, startedAt);
+      flushFailures.inc({ sink });
+      throw error;
+    }
+  });
 }
 
+// Counts go through a durable spool - a failed database update keeps them on disk
+// until that database takes them, and they survive restarts (see utils/countSpool.js)
+const countSpool = new CountSpool({
+  ...countSpoolConfig,
+  file: countSpoolConfig.enabled ? countSpoolConfig.file : null,
+  sinks: {
+    firebase: { merge: mergeUrlCounts, deliver: instrumented('firebase', updateFirebaseWithNewRequests) },
+    // Called every cycle - it runs the hourly and monthly resets even without new requests
+    rds: { merge: mergeIpCounts, deliver: instrumented('rds', updateRDSWithIpRequests), alwaysDeliver: true }
+  }
+});
+
+const transferToFunded = instrumented('transfer', transferFirebaseRequestsToFunded);
+
+// Counts waiting for the next cycle, and spooled counts waiting for a database
+registerCollector({
+  name: 'rpc_proxy_count_backlog_keys',
+  help: 'Origins (urlCountMap) and IPs (ipCountMap) counted since the last cycle',
+  collect: () => [
+    { labels: { map: 'urlCountMap' }, value: Object.keys(state.urlCountMap).length },
+    { labels: { map: 'ipCountMap' }, value: Object.keys(state.ipCountMap).length }
+  ]
+});
+registerCollector({
+  name: 'rpc_proxy_count_backlog_requests',
+  help: 'Requests counted since the last cycle',
+  collect: () => [
+    { labels: { map: 'urlCountMap' }, value: Object.values(state.urlCountMap).reduce((sum, count) => sum + count, 0) },
+    { labels: { map: 'ipCountMap' }, value: Object.values(state.ipCountMap).reduce((sum, entry) => sum + entry.count, 0) }
+  ]
+});
+registerCollector({
+  name: 'rpc_proxy_count_spool_entries',
+  help: 'Spooled count entries waiting for each database',
+  collect: () => Object.entries(countSpool.getDepth()).map(([sink, depth]) => ({ labels: { sink }, value: depth.entries }))
+});
+registerCollector({
+  name: 'rpc_proxy_count_spool_bytes',
+  help: 'Size of the count spool file',
+  collect: () => [{ value: countSpool.getSize() }]
+});
+
 // Function to process all background tasks
 async function processBackgroundTasks() {
   if (state.isProcessing) {
-    console.log('Previous background task still processing, skipping...');
+    log.warn('Previous background task still processing, skipping...');
     return;
   }
 
+  const startedAt = Date.now();
+  // One trace per cycle - each database write is a child span
+  const span = startSpan('background cycle');
   try {
     state.isProcessing = true;
     
-    // Create a copy of the current urlCountMap and ipCountMap
-    const currentUrlCountMap = { ...state.urlCountMap };
-    const currentIpCountMap = { ...state.ipCountMap };
-    
-    // Clear the original maps
+    // Move the current counts into the spool and clear the maps
+    countSpool.append({ firebase: state.urlCountMap, rds: state.ipCountMap });
     state.urlCountMap = {};
     state.ipCountMap = {};
     
-    // Process updates in parallel: Firebase for domains, RDS for IPs
-    try {
-      await Promise.all([
-        updateFirebaseWithNewRequests(currentUrlCountMap),
-        updateRDSWithIpRequests(currentIpCountMap)
-      ]);
-      
+    // Firebase for domains, RDS for IPs - each acknowledges its own counts
+    const caughtUp = await runInSpan(span, () => countSpool.deliver());
+    span.setAttribute('proxy.caught_up', caughtUp);
+    
+    if (caughtUp) {
       // Increment counter only on success
       state.updateCounter++;
       
       // Every 10th update, process transfers
       if (state.updateCounter >= 10) {
-        console.log('Running transfers after Firebase update...');
-        await transferFirebaseRequestsToFunded();
+        log.info('Running transfers after Firebase update...');
+        await runInSpan(span, () => transferToFunded());
         state.updateCounter = 0;
       }
-    } catch (dbError) {
-      console.error('❌ Database update failed, restoring data to retry next cycle:', dbError);
-      
-      // Restore data by merging back into the maps for next attempt
-      // Merge URL counts
-      for (const url in currentUrlCountMap) {
-        state.urlCountMap[url] = (state.urlCountMap[url] || 0) + currentUrlCountMap[url];
-      }
-      
-      // Merge IP counts
-      for (const ip in currentIpCountMap) {
-        if (!state.ipCountMap[ip]) {
-          state.ipCountMap[ip] = currentIpCountMap[ip];
-        } else {
-          state.ipCountMap[ip].count += currentIpCountMap[ip].count;
-          // Merge origins
-          for (const origin in currentIpCountMap[ip].origins) {
-            if (!state.ipCountMap[ip].origins[origin]) {
-              state.ipCountMap[ip].origins[origin] = 0;
-            }
-            state.ipCountMap[ip].origins[origin] += currentIpCountMap[ip].origins[origin];
-          }
-        }
-      }
-      
-      console.log('📦 Data restored. Will retry in next background task cycle.');
     }
   } catch (error) {
-    console.error('Error in background tasks:', error);
+    log.error('Error in background tasks', { error });
+    markSpanFailed(span, error);
   } finally {
     state.isProcessing = false;
+    cycleDuration.observeSince({}, startedAt);
+    span.end();
   }
 }
 
 // Start the background tasks
 function startBackgroundTasks() {
-  setInterval(() => {
+  state.interval = setInterval(() => {
     try {
       processBackgroundTasks();
     } catch (error) {
-      console.error('Critical error in background task interval:', error);
+      log.error('Critical error in background task interval', { error });
       state.isProcessing = false;
     }
   }, backgroundTasksInterval * 1000);
 }
 
+// Stop the periodic flush (the counts stay in memory for flushBackgroundTasks)
+function stopBackgroundTasks() {
+  clearInterval(state.interval);
+  state.interval = null;
+}
+
+// Flush the counts now - waits for a flush already in progress, then flushes what's left
+// Used on shutdown so the last interval's counts aren't lost
+async function flushBackgroundTasks() {
+  while (state.isProcessing) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  await processBackgroundTasks();
+}
+
+// Whether there are counts that haven't been written yet (in memory or spooled)
+function hasPendingCounts() {
+  return Object.keys(state.urlCountMap).length > 0 || Object.keys(state.ipCountMap).length > 0 || countSpool.hasPending();
+}
+
+// Spool status for monitoring
+function getCountSpoolStatus() {
+  return countSpool.getStatus();
+}
+
+// Counts still undelivered, for the shutdown log - where they're spooled, or the counts themselves
+// when the spool is memory-only. null if everything was delivered
+function getUnflushedCounts() {
+  if (!hasPendingCounts()) {
+    return null;
+  }
+  if (countSpool.file) {
+    return { spooledIn: countSpool.file, depth: countSpool.getDepth() };
+  }
+  return {
+    pending: countSpool.getPendingData(),
+    urlCountMap: state.urlCountMap,
+    ipCountMap: state.ipCountMap
+  };
+}
+
+function stopCountSpool() {
+  countSpool.stop();
+}
+
 export {
+  stripProtocol,
   updateUrlCountMap,
   updateIpCountMap,
   startBackgroundTasks,
+  stopBackgroundTasks,
+  processBackgroundTasks,
+  flushBackgroundTasks,
+  hasPendingCounts,
+  getCountSpoolStatus,
+  getUnflushedCounts,
+  stopCountSpool,
   state
 }; 
\ No newline at end of file
@@ -0,0 +1,40 @@
+// Helpers for splitting large JSON-RPC batches into upstream-friendly chunks
+
+// Split items into chunks of at most size items
+// Returns a single chunk when splitting is disabled
+function splitBatch(items, options = {}) {
+  const size = options.upstreamBatchSize;
+  if (!options.splitBatches || !size || items.length <= size) {
+    return [items];
+  }
+
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Run fn over items with at most limit calls in flight
+// Results come back in the same order as items
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit || 1, items.length)); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+export { splitBatch, mapWithConcurrency };
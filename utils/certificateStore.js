@@ -0,0 +1,182 @@
+// TLS certificates for the HTTPS listeners
+// Holds the default key/cert pair plus any SNI certificates, each matched by hostname
+// (exact, or one-level wildcard like *.example.com). Certificate files are watched and reloaded
+// in place - new connections get the new certificate, open connections are left alone.
+// A reload that fails (e.g. key and cert don't match yet halfway through a renewal) keeps the old one
+import fs from 'fs';
+import tls from 'tls';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('certificateStore');
+
+class CertificateStore {
+  constructor(options = {}) {
+    this.watchEnabled = options.watch !== false;
+    this.watchInterval = options.watchInterval || 5000; // ms between file checks
+    this.reloadDelay = options.reloadDelay ?? 2000; // ms to wait for the other file of the pair
+
+    // The default certificate serves clients without SNI and names no SNI entry matches
+    this.entries = [
+      { name: 'default', hostnames: [], keyFile: options.key || 'server.key', certFile: options.cert || 'server.cert' },
+      ...(options.sni || []).map((definition, index) => ({
+        name: definition.name || `sni-${index + 1}`,
+        hostnames: (definition.hostnames || []).map(hostname => hostname.toLowerCase()),
+        keyFile: definition.key,
+        certFile: definition.cert
+      }))
+    ];
+    this.entries.forEach(entry => {
+      entry.context = null;
+      entry.key = null;
+      entry.cert = null;
+      entry.validTo = null;
+      entry.subject = null;
+      entry.loadedAt = 0;
+      entry.reloads = 0;
+      entry.lastError = null;
+      entry.reloadTimer = null;
+    });
+
+    this.servers = []; // HTTPS servers whose default context follows reloads
+    this.watchedFiles = [];
+  }
+
+  get defaultEntry() {
+    return this.entries[0];
+  }
+
+  // Read one key/cert pair - throws if the files are missing or don't belong together
+  readEntry(entry) {
+    const key = fs.readFileSync(entry.keyFile);
+    const cert = fs.readFileSync(entry.certFile);
+    const context = tls.createSecureContext({ key, cert });
+
+    let validTo = null;
+    let subject = null;
+    try {
+      const x509 = new crypto.X509Certificate(cert);
+      validTo = new Date(x509.validTo).toISOString();
+      subject = x509.subject;
+    } catch (error) {
+      // Expiry is informational - the context above already proved the certificate loads
+    }
+
+    Object.assign(entry, { key, cert, context, validTo, subject, loadedAt: Date.now(), lastError: null });
+  }
+
+  // Load every certificate at startup
+  // The default certificate is required; a broken SNI certificate is skipped with a warning
+  load() {
+    this.readEntry(this.defaultEntry);
+    log.info(`🔐 Loaded certificate ${this.defaultEntry.certFile}${this.defaultEntry.validTo ? ` (valid until ${this.defaultEntry.validTo})` : ''}`);
+
+    this.entries.slice(1).forEach(entry => {
+      try {
+        this.readEntry(entry);
+        log.info(`🔐 Loaded SNI certificate ${entry.certFile} for ${entry.hostnames.join(', ')}`);
+      } catch (error) {
+        entry.lastError = error.message;
+        log.warn(`⚠️  Failed to load SNI certificate ${entry.certFile} - ${entry.hostnames.join(', ')} will get the default certificate`, { error: error.message });
+      }
+    });
+  }
+
+  // Certificate entry for an SNI hostname - exact name first, then a wildcard for its parent domain
+  findEntry(servername) {
+    const hostname = (servername || '').toLowerCase();
+    const wildcard = hostname.includes('.') ? `*.${hostname.slice(hostname.indexOf('.') + 1)}` : null;
+    const loaded = this.entries.slice(1).filter(entry => entry.context);
+    return loaded.find(entry => entry.hostnames.includes(hostname))
+      || (wildcard && loaded.find(entry => entry.hostnames.includes(wildcard)))
+      || this.defaultEntry;
+  }
+
+  // Options for https.createServer
+  getServerOptions() {
+    return {
+      key: this.defaultEntry.key,
+      cert: this.defaultEntry.cert,
+      SNICallback: (servername, callback) => {
+        try {
+          callback(null, this.findEntry(servername).context);
+        } catch (error) {
+          callback(error);
+        }
+      }
+    };
+  }
+
+  // Track a server so clients without SNI get the reloaded default certificate too
+  addServer(server) {
+    this.servers.push(server);
+  }
+
+  reload(entry) {
+    try {
+      this.readEntry(entry);
+      entry.reloads++;
+      if (entry === this.defaultEntry) {
+        this.servers.forEach(server => server.setSecureContext({ key: entry.key, cert: entry.cert }));
+      }
+      log.info(`🔄 Reloaded certificate ${entry.certFile}${entry.validTo ? ` (valid until ${entry.validTo})` : ''}`);
+    } catch (error) {
+      entry.lastError = error.message;
+      log.warn(`⚠️  Failed to reload certificate ${entry.certFile} - keeping the previous one`, { error: error.message });
+    }
+  }
+
+  // Reload a pair shortly after either of its files changes, so a renewal that copies
+  // the key and then the cert is picked up as one change
+  scheduleReload(entry) {
+    clearTimeout(entry.reloadTimer);
+    entry.reloadTimer = setTimeout(() => this.reload(entry), this.reloadDelay);
+    entry.reloadTimer.unref();
+  }
+
+  // Watch every certificate file for changes
+  watch() {
+    if (!this.watchEnabled) {
+      return;
+    }
+
+    this.entries.forEach(entry => {
+      [entry.keyFile, entry.certFile].forEach(file => {
+        try {
+          fs.watchFile(file, { interval: this.watchInterval }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs) {
+              log.info(`🔄 Certificate file ${file} changed - reloading`);
+              this.scheduleReload(entry);
+            }
+          });
+          this.watchedFiles.push(file);
+        } catch (error) {
+          log.warn(`⚠️  Failed to watch certificate file ${file}`, { error: error.message });
+        }
+      });
+    });
+    log.info(`Watching ${this.watchedFiles.length} certificate file(s) for renewals`);
+  }
+
+  stop() {
+    this.watchedFiles.forEach(file => fs.unwatchFile(file));
+    this.watchedFiles = [];
+    this.entries.forEach(entry => clearTimeout(entry.reloadTimer));
+  }
+
+  // Get status for monitoring
+  getStatus() {
+    return this.entries.map(entry => ({
+      name: entry.name,
+      hostnames: entry.hostnames,
+      certFile: entry.certFile,
+      subject: entry.subject,
+      validTo: entry.validTo,
+      loadedAt: entry.loadedAt,
+      reloads: entry.reloads,
+      lastError: entry.lastError
+    }));
+  }
+}
+
+export { CertificateStore };
@@ -1,42 +1,45 @@
-// Circuit breaker for managing fallback between primary and secondary RPC providers
+// Circuit breaker for a single upstream RPC provider
+// CLOSED: upstream in rotation. OPEN: upstream skipped until resetTimeout has passed.
+// HALF_OPEN: upstream takes traffic again and the next result closes or re-opens the circuit
+// With activeProbes, an open circuit never goes HALF_OPEN on user traffic - it closes only after
+// probeSuccessThreshold consecutive successful health probes (see utils/healthProbe.js)
+// Emits 'stateChange' ({ from, to }) whenever the state changes
+import { EventEmitter } from 'events';
 import { sendTelegramAlert } from './telegramUtils.js';
+import { createLogger } from './logger.js';
+import { redactUrl } from './redact.js';
 
-class CircuitBreaker {
+const log = createLogger('circuitBreaker');
+
+class CircuitBreaker extends EventEmitter {
   constructor(options = {}) {
-    this.primaryUrl = options.primaryUrl;
-    this.fallbackUrl = options.fallbackUrl;
+    super();
+    this.url = options.url;
     this.name = options.name || 'Circuit breaker'; // Name for alerts
-    
-    // Check if fallback is properly configured
-    if (!this.fallbackUrl || this.fallbackUrl.trim() === '') {
-      console.warn('⚠️  No fallback URL configured - circuit breaker will only use primary URL');
-      this.hasFallback = false;
-    } else {
-      this.hasFallback = true;
-    }
-    
+
     // Circuit breaker configuration
-    this.failureThreshold = options.failureThreshold || 2; // Switch to fallback after 2 consecutive failures
-    this.resetTimeout = options.resetTimeout || 60000; // Try primary again after 60 seconds
-    this.requestTimeout = options.requestTimeout || 10000; // 10 second timeout for requests
-    
+    this.failureThreshold = options.failureThreshold || 2; // Open after 2 consecutive failures
+    this.resetTimeout = options.resetTimeout || 60000; // Try the upstream again after 60 seconds
+    this.activeProbes = options.activeProbes === true;
+    this.probeSuccessThreshold = options.probeSuccessThreshold || 3;
+
     // State tracking
     this.consecutiveFailures = 0;
     this.lastFailureTime = 0;
+    this.lastError = null;
+    this.consecutiveProbeSuccesses = 0;
+    this.lastProbe = null; // { time, ok, latencyMs, error }
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
-    this.isUsingFallback = false;
     this.previousState = 'CLOSED'; // Track state changes for alerts
-    
-    console.log(`Circuit breaker initialized - Primary: ${this.primaryUrl}, Fallback: ${this.fallbackUrl}`);
   }
 
   // Send alert when circuit opens
   sendOpenAlert() {
     try {
-      const message = `------------------------------------------\n🔴 ALERT: Pre-Proxy ${this.name} circuit breaker is open. Using fallback url\nFallback URL: ${this.fallbackUrl}`;
+      const message = `------------------------------------------\n🔴 ALERT: Pre-Proxy ${this.name} circuit breaker is open. Routing to other upstreams\nUpstream URL: ${redactUrl(this.url)}`;
       sendTelegramAlert(message, 'CIRCUIT_OPEN');
     } catch (error) {
-      console.error('❌ Failed to send circuit open alert:', error.message);
+      log.error('❌ Failed to send circuit open alert', { error: error.message });
       // Don't throw - just log the error
     }
   }
@@ -44,58 +47,56 @@ class CircuitBreaker {
   // Send alert when circuit closes
   sendCloseAlert() {
     try {
-      const message = `------------------------------------------\n🟢 RECOVERY: Pre-Proxy ${this.name} circuit breaker is closed. Using main url\n\nPrimary URL: ${this.primaryUrl}\nRecovery time: ${new Date().toISOString()}`;
+      const message = `------------------------------------------\n🟢 RECOVERY: Pre-Proxy ${this.name} circuit breaker is closed. Back in rotation\n\nUpstream URL: ${redactUrl(this.url)}\nRecovery time: ${new Date().toISOString()}`;
       sendTelegramAlert(message, 'CIRCUIT_CLOSED');
     } catch (error) {
-      console.error('❌ Failed to send circuit close alert:', error.message);
+      log.error('❌ Failed to send circuit close alert', { error: error.message });
       // Don't throw - just log the error
     }
   }
 
-  // Get the current URL to use based on circuit breaker state
-  getCurrentUrl() {
-    const now = Date.now();
-    
+  // Move to a new state and let listeners (e.g. WebSocket sessions) know
+  setState(newState) {
+    const from = this.state;
+    this.state = newState;
+    if (from !== newState) {
+      try {
+        this.emit('stateChange', { from, to: newState });
+      } catch (error) {
+        log.error('❌ Circuit breaker stateChange listener failed', { error: error.message });
+      }
+    }
+  }
+
+  // Whether the upstream may take a request right now
+  // An OPEN circuit moves to HALF_OPEN once resetTimeout has passed - unless probes decide when it closes
+  isAvailable() {
     switch (this.state) {
       case 'CLOSED':
-        // Normal operation - use primary
-        this.isUsingFallback = false;
-        return this.primaryUrl;
-        
+      case 'HALF_OPEN':
+        return true;
+
       case 'OPEN':
-        // Circuit is open - check if we should try primary again
-        if (now - this.lastFailureTime >= this.resetTimeout) {
-          this.state = 'HALF_OPEN';
-          this.isUsingFallback = false;
-          console.log('🔄 Circuit breaker moving to HALF_OPEN - trying primary URL again');
-          return this.primaryUrl;
+        if (this.activeProbes) {
+          return false;
         }
-        // If no fallback configured, force back to primary
-        if (!this.hasFallback) {
-          console.log('⚠️  No fallback available - forcing back to primary URL');
-          this.isUsingFallback = false;
-          return this.primaryUrl;
+        if (Date.now() - this.lastFailureTime >= this.resetTimeout) {
+          this.setState('HALF_OPEN');
+          log.info(`🔄 Circuit breaker (${this.name}) moving to HALF_OPEN - trying upstream again`, { upstream: this.name });
+          return true;
         }
-        // Still in fallback mode
-        this.isUsingFallback = true;
-        return this.fallbackUrl;
-        
-      case 'HALF_OPEN':
-        // Testing if primary is back online
-        this.isUsingFallback = false;
-        return this.primaryUrl;
-        
+        return false;
+
       default:
-        this.isUsingFallback = false;
-        return this.primaryUrl;
+        return true;
     }
   }
 
   // Call this when a request succeeds
   onSuccess() {
     if (this.state === 'HALF_OPEN') {
-      console.log('✅ Circuit breaker: Primary URL recovered - closing circuit');
-      this.state = 'CLOSED';
+      log.info(`✅ Circuit breaker (${this.name}): upstream recovered - closing circuit`, { upstream: this.name });
+      this.setState('CLOSED');
       // Send recovery alert when transitioning from HALF_OPEN to CLOSED
       if (this.previousState !== 'CLOSED') {
         this.sendCloseAlert();
@@ -109,38 +110,56 @@ class CircuitBreaker {
   onFailure(error) {
     this.consecutiveFailures++;
     this.lastFailureTime = Date.now();
-    
-    console.log(`❌ Circuit breaker: Failure ${this.consecutiveFailures}/${this.failureThreshold} - ${error.message}`);
-    
+    this.lastError = error.message;
+
+    log.warn(`❌ Circuit breaker (${this.name}): Failure ${this.consecutiveFailures}/${this.failureThreshold}`, { upstream: this.name, failures: this.consecutiveFailures, threshold: this.failureThreshold, error: error.message });
+
     if (this.state === 'HALF_OPEN') {
-      // Primary still not working, go back to open
-      this.state = 'OPEN';
-      this.isUsingFallback = true;
-      console.log('🚨 Circuit breaker: Primary still failing - reopening circuit');
+      // Upstream still not working, go back to open
+      this.setState('OPEN');
+      log.error(`🚨 Circuit breaker (${this.name}): upstream still failing - reopening circuit`, { upstream: this.name });
       // Send alert when transitioning from HALF_OPEN to OPEN
       if (this.previousState !== 'OPEN') {
         this.sendOpenAlert();
       }
     } else if (this.consecutiveFailures >= this.failureThreshold && this.state === 'CLOSED') {
-      if (!this.hasFallback) {
-        console.log(`🚨 Circuit breaker: Would open but no fallback configured - staying with primary URL after ${this.consecutiveFailures} failures`);
-        // Don't change state if no fallback available
-      } else {
-        // Threshold reached, open the circuit
-        this.state = 'OPEN';
-        this.isUsingFallback = true;
-        console.log(`🚨 Circuit breaker: OPENED - switching to fallback URL after ${this.consecutiveFailures} failures`);
-        // Send alert when transitioning from CLOSED to OPEN
-        this.sendOpenAlert();
-      }
+      // Threshold reached, open the circuit
+      this.consecutiveProbeSuccesses = 0;
+      this.setState('OPEN');
+      log.error(`🚨 Circuit breaker (${this.name}): OPENED after ${this.consecutiveFailures} failures`, { upstream: this.name, failures: this.consecutiveFailures });
+      // Send alert when transitioning from CLOSED to OPEN
+      this.sendOpenAlert();
     }
-    
+
     this.previousState = this.state;
   }
 
-  // Check if we're currently using the fallback
-  isCurrentlyUsingFallback() {
-    return this.isUsingFallback;
+  // Call this with the result of an active health probe
+  onProbeResult(probe) {
+    this.lastProbe = { time: Date.now(), ...probe };
+    if (this.state !== 'OPEN') {
+      return;
+    }
+
+    if (!probe.ok) {
+      this.consecutiveProbeSuccesses = 0;
+      this.lastFailureTime = Date.now();
+      this.lastError = probe.error;
+      log.warn(`❌ Circuit breaker (${this.name}): health probe failed`, { upstream: this.name, error: probe.error });
+      return;
+    }
+
+    this.consecutiveProbeSuccesses++;
+    log.info(`🩺 Circuit breaker (${this.name}): health probe ${this.consecutiveProbeSuccesses}/${this.probeSuccessThreshold} succeeded`, { upstream: this.name });
+
+    if (this.consecutiveProbeSuccesses >= this.probeSuccessThreshold) {
+      log.info(`✅ Circuit breaker (${this.name}): upstream recovered - closing circuit`, { upstream: this.name });
+      this.consecutiveFailures = 0;
+      this.consecutiveProbeSuccesses = 0;
+      this.setState('CLOSED');
+      this.sendCloseAlert();
+      this.previousState = this.state;
+    }
   }
 
   // Get status for monitoring
@@ -148,11 +167,12 @@ class CircuitBreaker {
     return {
       state: this.state,
       consecutiveFailures: this.consecutiveFailures,
-      isUsingFallback: this.isUsingFallback,
-      currentUrl: this.getCurrentUrl(),
-      lastFailureTime: this.lastFailureTime
+      lastFailureTime: this.lastFailureTime,
+      lastError: this.lastError,
+      consecutiveProbeSuccesses: this.consecutiveProbeSuccesses,
+      lastProbe: this.lastProbe
     };
   }
 }
 
-export { CircuitBreaker }; 
\ No newline at end of file
+export { CircuitBreaker };
@@ -1,4 +1,7 @@
 import { db } from './firebaseClient.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('clearRequestsOutstandingFromFirebase');
 
 const firebaseCollection = process.env.FIREBASE_COLLECTION;
 
@@ -22,15 +25,15 @@ async function clearRequestsOutstandingFromFirebase() {
       if (hasOutstanding) {
         // Update the urlList document with cleared requestsOutstanding
         await ref.set(data);
-        console.log('Successfully cleared requestsOutstanding from all URLs in Firebase');
+        log.info('Successfully cleared requestsOutstanding from all URLs in Firebase');
       } else {
-        console.log('No outstanding requests to clear');
+        log.info('No outstanding requests to clear');
       }
     } else {
-      console.log('No urlList document found to clear');
+      log.info('No urlList document found to clear');
     }
   } catch (error) {
-    console.error('Error clearing requests outstanding from Firebase:', error);
+    log.error('Error clearing requests outstanding from Firebase', { error });
     throw error;
   }
 }
@@ -0,0 +1,329 @@
+// Durable spool for request counts on their way to Firebase and Postgres
+// Every flush appends its count deltas to an append-only log before anything is sent. Each sink
+// (database) is delivered and acknowledged on its own, so a Postgres outage doesn't resend counts
+// Firebase already took. Pending deltas are merged per sink, so memory grows with the number of
+// origins and IPs - not with the length of an outage. On startup the log is replayed and anything
+// not acknowledged is delivered with the next flush.
+//
+// Log lines (JSON):
+//   { type: 'counts', seq, time, sink, data } - a delta for one sink
+//   { type: 'ack', sink, upTo }               - the sink has every delta with seq <= upTo
+// The log is emptied once every sink is caught up, and compacted to one merged delta per sink
+// when it grows past maxBytes
+import fs from 'fs';
+import path from 'path';
+import { sendTelegramAlert } from './telegramUtils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('countSpool');
+
+class CountSpool {
+  // sinks: { name: { merge(target, source), deliver: async (data), alwaysDeliver } }
+  // alwaysDeliver sinks are called every cycle, with {} when nothing is pending
+  constructor(options = {}) {
+    this.file = options.file || null; // null keeps the spool in memory only
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    this.fsync = options.fsync !== false;
+    this.sinks = options.sinks || {};
+
+    this.seq = 0;
+    this.pending = {}; // sink -> { data, entries, upTo, oldest }
+    Object.keys(this.sinks).forEach(sink => { this.pending[sink] = null; });
+    this.fd = null;
+    this.overCap = false;
+    this.stats = {
+      appended: 0,
+      delivered: {}, // sink -> entries acknowledged
+      failures: {}, // sink -> failed deliveries
+      lastError: {}, // sink -> message
+      replayed: 0,
+      compactions: 0,
+      lastCompaction: 0,
+      writeErrors: 0
+    };
+
+    if (this.file) {
+      this.replay();
+    }
+  }
+
+  // Add a delta to a sink's pending data
+  addPending(sink, seq, time, data) {
+    const current = this.pending[sink];
+    if (!current) {
+      this.pending[sink] = { data: this.sinks[sink].merge({}, data), entries: 1, upTo: seq, oldest: time };
+      return;
+    }
+    this.sinks[sink].merge(current.data, data);
+    current.entries++;
+    current.upTo = Math.max(current.upTo, seq);
+  }
+
+  // Rebuild pending deltas from the log after a restart
+  replay() {
+    try {
+      if (!fs.existsSync(this.file)) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        return;
+      }
+
+      const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line.trim() !== '');
+      const entries = [];
+      const acked = {};
+      let skipped = 0;
+
+      for (const line of lines) {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          skipped++; // a line cut short by a crash mid-write
+          continue;
+        }
+        if (record.type === 'counts' && this.sinks[record.sink]) {
+          entries.push(record);
+        } else if (record.type === 'ack') {
+          acked[record.sink] = Math.max(acked[record.sink] || 0, record.upTo);
+        }
+        this.seq = Math.max(this.seq, record.seq || record.upTo || 0);
+      }
+
+      entries
+        .filter(entry => entry.seq > (acked[entry.sink] || 0))
+        .forEach(entry => {
+          this.addPending(entry.sink, entry.seq, entry.time, entry.data);
+          this.stats.replayed++;
+        });
+
+      if (skipped > 0) {
+        log.warn(`⚠️  Count spool: skipped ${skipped} unreadable line(s) in ${this.file}`);
+      }
+      if (this.stats.replayed > 0) {
+        log.info(`📼 Count spool: replayed ${this.stats.replayed} undelivered entr${this.stats.replayed === 1 ? 'y' : 'ies'} from ${this.file} - ${this.describeDepth()}`, { replayed: this.stats.replayed, depth: this.getDepth() });
+      }
+
+      // Start from a compact log
+      this.compact();
+    } catch (error) {
+      log.error(`❌ Count spool: failed to replay ${this.file}`, { error: error.message });
+    }
+  }
+
+  openLog() {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.file, 'a');
+    }
+    return this.fd;
+  }
+
+  closeLog() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  // Append records to the log - a failed write keeps the counts in memory
+  write(records) {
+    if (!this.file || records.length === 0) return;
+    try {
+      const fd = this.openLog();
+      fs.writeSync(fd, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+      if (this.fsync) {
+        fs.fsyncSync(fd);
+      }
+    } catch (error) {
+      this.stats.writeErrors++;
+      log.error(`❌ Count spool: failed to write ${this.file} (counts kept in memory)`, { error: error.message });
+    }
+  }
+
+  // Spool one flush worth of deltas - deltas: { sink: data }, empty ones are skipped
+  append(deltas) {
+    const time = Date.now();
+    const records = [];
+
+    for (const sink of Object.keys(this.sinks)) {
+      const data = deltas[sink];
+      if (!data || Object.keys(data).length === 0) continue;
+      const seq = ++this.seq;
+      records.push({ type: 'counts', seq, time, sink, data });
+      this.addPending(sink, seq, time, data);
+      this.stats.appended++;
+    }
+
+    this.write(records);
+  }
+
+  // Send each sink its pending deltas, merged into one update
+  // Returns true if every sink is caught up
+  async deliver() {
+    let caughtUp = true;
+
+    for (const sink of Object.keys(this.sinks)) {
+      const pending = this.pending[sink];
+      if (!pending) {
+        if (this.sinks[sink].alwaysDeliver) {
+          await this.deliverEmpty(sink);
+        }
+        continue;
+      }
+
+      // Detach the batch being delivered - deltas spooled meanwhile start a new one
+      this.pending[sink] = null;
+      try {
+        await this.sinks[sink].deliver(pending.data);
+        this.write([{ type: 'ack', sink, upTo: pending.upTo }]);
+        this.stats.delivered[sink] = (this.stats.delivered[sink] || 0) + pending.entries;
+        this.stats.lastError[sink] = null;
+        if (pending.entries > 1) {
+          log.info(`📼 Count spool: delivered ${pending.entries} spooled entries to ${sink}`, { sink, entries: pending.entries });
+        }
+      } catch (error) {
+        caughtUp = false;
+        const newer = this.pending[sink];
+        if (newer) {
+          this.sinks[sink].merge(pending.data, newer.data);
+          pending.entries += newer.entries;
+          pending.upTo = Math.max(pending.upTo, newer.upTo);
+        }
+        this.pending[sink] = pending;
+        this.stats.failures[sink] = (this.stats.failures[sink] || 0) + 1;
+        this.stats.lastError[sink] = error.message;
+        log.error(`❌ Count spool: ${sink} update failed - keeping ${pending.entries} spooled entr${pending.entries === 1 ? 'y' : 'ies'} for the next cycle`, { sink, entries: pending.entries, error: error.message });
+      }
+    }
+
+    this.maintain();
+    return caughtUp;
+  }
+
+  // Call a sink that has scheduled work of its own (e.g. hourly resets) with no counts
+  async deliverEmpty(sink) {
+    try {
+      await this.sinks[sink].deliver({});
+    } catch (error) {
+      this.stats.lastError[sink] = error.message;
+      log.error(`❌ Count spool: ${sink} update failed (no counts pending)`, { sink, error: error.message });
+    }
+  }
+
+  // Empty the log when every sink is caught up, compact it when it grows past maxBytes
+  maintain() {
+    if (!this.file) return;
+    try {
+      const size = this.getSize();
+      if (size === 0) return;
+      if (!this.hasPending() || size > this.maxBytes) {
+        this.compact();
+      }
+    } catch (error) {
+      log.error('❌ Count spool: maintenance failed', { error: error.message });
+    }
+  }
+
+  // Rewrite the log as one merged delta per sink - written to a temp file and renamed into place
+  compact() {
+    if (!this.file) return;
+    try {
+      const records = Object.keys(this.pending)
+        .filter(sink => this.pending[sink])
+        .map(sink => ({ type: 'counts', seq: this.pending[sink].upTo, time: this.pending[sink].oldest, sink, data: this.pending[sink].data }));
+
+      const tmpFile = `${this.file}.tmp`;
+      const fd = fs.openSync(tmpFile, 'w');
+      try {
+        if (records.length > 0) {
+          fs.writeSync(fd, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+        }
+        if (this.fsync) {
+          fs.fsyncSync(fd);
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      this.closeLog();
+      fs.renameSync(tmpFile, this.file);
+      this.stats.compactions++;
+      this.stats.lastCompaction = Date.now();
+
+      this.checkCap();
+    } catch (error) {
+      log.error(`❌ Count spool: failed to compact ${this.file}`, { error: error.message });
+    }
+  }
+
+  // Compaction can't shrink the log below the merged pending deltas - alert once while it stays too big
+  checkCap() {
+    const size = this.getSize();
+    if (size > this.maxBytes && !this.overCap) {
+      this.overCap = true;
+      log.error(`🚨 Count spool: ${size} bytes after compaction - over the ${this.maxBytes} byte cap (${this.describeDepth()})`, { bytes: size, maxBytes: this.maxBytes });
+      try {
+        sendTelegramAlert(`------------------------------------------\n🚨 ALERT: Pre-Proxy count spool is over its size cap\n\nSize: ${size} bytes (cap ${this.maxBytes})\nPending: ${this.describeDepth()}`, 'COUNT_SPOOL_FULL');
+      } catch (error) {
+        log.error('❌ Failed to send count spool alert', { error: error.message });
+      }
+    } else if (size <= this.maxBytes) {
+      this.overCap = false;
+    }
+  }
+
+  getSize() {
+    try {
+      return this.file && fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  hasPending() {
+    return Object.values(this.pending).some(pending => pending);
+  }
+
+  describeDepth() {
+    return Object.keys(this.pending)
+      .map(sink => `${sink}: ${this.pending[sink] ? this.pending[sink].entries : 0}`)
+      .join(', ');
+  }
+
+  // Pending entries per sink
+  getDepth() {
+    const depth = {};
+    Object.keys(this.pending).forEach(sink => {
+      const pending = this.pending[sink];
+      depth[sink] = pending
+        ? { entries: pending.entries, keys: Object.keys(pending.data).length, oldest: pending.oldest }
+        : { entries: 0, keys: 0, oldest: null };
+    });
+    return depth;
+  }
+
+  // Pending data per sink
+  getPendingData() {
+    const data = {};
+    Object.keys(this.pending).forEach(sink => {
+      data[sink] = this.pending[sink] ? this.pending[sink].data : {};
+    });
+    return data;
+  }
+
+  stop() {
+    this.closeLog();
+  }
+
+  // Get status for monitoring
+  getStatus() {
+    return {
+      file: this.file,
+      bytes: this.getSize(),
+      maxBytes: this.maxBytes,
+      overCap: this.overCap,
+      depth: this.getDepth(),
+      ...this.stats
+    };
+  }
+}
+
+export { CountSpool };
@@ -0,0 +1,202 @@
+// Request-time funding policy for origins
+// Keeps a locally cached view of each origin's requestsRemaining from Firestore (refreshed in
+// the background) and decides whether a request is served, throttled or rejected
+import { db } from './firebaseClient.js';
+import { stripProtocol } from './backgroundTasks.js';
+import { RateLimiter } from './rateLimiter.js';
+import { fundingPolicyConfig } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('fundingPolicy');
+
+const firebaseCollection = process.env.FIREBASE_COLLECTION;
+
+const DECISION = {
+  SERVE: 'serve',
+  THROTTLE: 'throttle',
+  REJECT: 'reject'
+};
+
+// Shared state object
+const state = {
+  origins: {}, // { origin: { requestsRemaining, requestsOutstanding } } from the last refresh
+  localUsage: {}, // { origin: count } served since the last refresh
+  loaded: false,
+  lastRefresh: 0,
+  lastRefreshError: null,
+  isRefreshing: false,
+  refreshInterval: null,
+  decisions: {} // { tierName: { serve, throttle, reject } }
+};
+
+// One token bucket per throttling tier, keyed by origin
+const tierLimiters = {};
+for (const tier of fundingPolicyConfig.tiers) {
+  if (tier.action === DECISION.THROTTLE) {
+    tierLimiters[tier.name] = new RateLimiter({
+      burst: tier.burst,
+      ratePerSecond: tier.ratePerSecond
+    });
+  }
+}
+
+// Requests the origin can still make according to our cached view
+function getAvailableRequests(origin) {
+  const entry = state.origins[origin];
+  if (!entry) return 0;
+  const remaining = entry.requestsRemaining || 0;
+  const outstanding = entry.requestsOutstanding || 0;
+  return remaining - outstanding - (state.localUsage[origin] || 0);
+}
+
+// Tiers ordered by minAvailable, highest first
+const sortedTiers = [...fundingPolicyConfig.tiers].sort((a, b) => b.minAvailable - a.minAvailable);
+
+// Pick the first tier the origin qualifies for
+function getTier(available) {
+  return sortedTiers.find(tier => available >= tier.minAvailable) || sortedTiers[sortedTiers.length - 1];
+}
+
+function recordDecision(tierName, action) {
+  if (!state.decisions[tierName]) {
+    state.decisions[tierName] = { [DECISION.SERVE]: 0, [DECISION.THROTTLE]: 0, [DECISION.REJECT]: 0 };
+  }
+  state.decisions[tierName][action]++;
+}
+
+// Decide how to handle a request from an origin
+// Returns { action: 'serve' | 'throttle' | 'reject', tier, origin, available, retryAfterSeconds }
+// Never touches Firestore - only the cached view
+function evaluateRequest(origin, callCount = 1) {
+  try {
+    if (!fundingPolicyConfig.enabled) {
+      return { action: DECISION.SERVE, tier: 'disabled' };
+    }
+
+    const cleanOrigin = stripProtocol(origin);
+
+    // Requests without an origin (server-side callers, scripts) aren't tied to a funding account
+    if (!cleanOrigin || origin === 'unknown') {
+      recordDecision('no-origin', fundingPolicyConfig.noOriginAction);
+      return { action: fundingPolicyConfig.noOriginAction, tier: 'no-origin' };
+    }
+
+    // Fail open until we've loaded the funding data at least once
+    if (!state.loaded) {
+      recordDecision('not-loaded', DECISION.SERVE);
+      return { action: DECISION.SERVE, tier: 'not-loaded', origin: cleanOrigin };
+    }
+
+    const available = getAvailableRequests(cleanOrigin);
+    const tier = getTier(available);
+
+    if (tier.action === DECISION.THROTTLE) {
+      const limit = tierLimiters[tier.name].consume(cleanOrigin, callCount);
+      const action = limit.allowed ? DECISION.SERVE : DECISION.THROTTLE;
+      recordDecision(tier.name, action);
+      return { action, tier: tier.name, origin: cleanOrigin, available, retryAfterSeconds: limit.retryAfterSeconds };
+    }
+
+    recordDecision(tier.name, tier.action);
+    return { action: tier.action, tier: tier.name, origin: cleanOrigin, available };
+  } catch (error) {
+    // CRITICAL: Never block traffic because the policy engine broke
+    log.error('⚠️  Error evaluating funding policy (serving request)', { error: error.message });
+    return { action: DECISION.SERVE, tier: 'error' };
+  }
+}
+
+// Track requests served since the last refresh so the local view doesn't lag a whole interval
+function recordUsage(origin, count = 1) {
+  try {
+    const cleanOrigin = stripProtocol(origin);
+    if (!cleanOrigin) return;
+    state.localUsage[cleanOrigin] = (state.localUsage[cleanOrigin] || 0) + count;
+  } catch (error) {
+    log.error('Error recording funding usage', { error });
+  }
+}
+
+// Reload the funding view from the urlList document
+async function refreshFundingView() {
+  if (state.isRefreshing) {
+    return;
+  }
+
+  try {
+    state.isRefreshing = true;
+
+    const ref = db.collection(firebaseCollection).doc('urlList');
+    const docSnap = await ref.get();
+    const urlListData = docSnap.exists ? docSnap.data() : {};
+
+    const origins = {};
+    for (const [url, urlData] of Object.entries(urlListData)) {
+      if (urlData && typeof urlData === 'object') {
+        origins[url] = {
+          requestsRemaining: urlData.requestsRemaining || 0,
+          requestsOutstanding: urlData.requestsOutstanding || 0
+        };
+      }
+    }
+
+    state.origins = origins;
+    state.localUsage = {};
+    state.loaded = true;
+    state.lastRefresh = Date.now();
+    state.lastRefreshError = null;
+  } catch (error) {
+    // Keep serving from the previous view
+    log.error('⚠️  Failed to refresh funding view (using cached data)', { error: error.message });
+    state.lastRefreshError = error.message;
+  } finally {
+    state.isRefreshing = false;
+  }
+}
+
+// Start refreshing the funding view in the background
+function startFundingPolicyRefresh() {
+  if (!fundingPolicyConfig.enabled) {
+    log.info('Funding policy disabled - all origins served');
+    return;
+  }
+
+  refreshFundingView();
+  state.refreshInterval = setInterval(() => {
+    try {
+      refreshFundingView();
+    } catch (error) {
+      log.error('Critical error in funding refresh interval', { error });
+      state.isRefreshing = false;
+    }
+  }, fundingPolicyConfig.refreshInterval * 1000);
+}
+
+function stopFundingPolicyRefresh() {
+  clearInterval(state.refreshInterval);
+  state.refreshInterval = null;
+}
+
+// Get funding policy statistics for monitoring
+function getFundingPolicyStats() {
+  return {
+    enabled: fundingPolicyConfig.enabled,
+    loaded: state.loaded,
+    lastRefresh: state.lastRefresh,
+    lastRefreshError: state.lastRefreshError,
+    knownOrigins: Object.keys(state.origins).length,
+    fundedOrigins: Object.keys(state.origins).filter(origin => getAvailableRequests(origin) > 0).length,
+    tiers: fundingPolicyConfig.tiers,
+    decisions: state.decisions
+  };
+}
+
+export {
+  DECISION,
+  evaluateRequest,
+  recordUsage,
+  refreshFundingView,
+  startFundingPolicyRefresh,
+  stopFundingPolicyRefresh,
+  getFundingPolicyStats
+};
@@ -1,4 +1,7 @@
 import { db } from './firebaseClient.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('getRequestsOutstandingFromFirebase');
 
 const firebaseCollection = process.env.FIREBASE_COLLECTION;
 
@@ -20,14 +23,14 @@ async function getRequestsOutstandingFromFirebase() {
         }
       }
       
-      console.log('Retrieved requests outstanding from Firebase:', requestsOutstanding);
+      log.info('Retrieved requests outstanding from Firebase', { requestsOutstanding });
       return requestsOutstanding;
     } else {
-      console.log('No urlList document found');
+      log.info('No urlList document found');
       return {};
     }
   } catch (error) {
-    console.error('Error getting requests outstanding from Firebase:', error);
+    log.error('Error getting requests outstanding from Firebase', { error });
     throw error;
   }
 }
@@ -0,0 +1,133 @@
+// Graceful shutdown on SIGTERM / SIGINT (pm2 stop, deploys) and on crashes
+// 1. Stop background timers and file watchers
+// 2. Stop accepting connections and let in-flight requests finish (up to drainTimeout)
+// 3. Flush the request counts that haven't been written yet (up to flushTimeout)
+// 4. Close external resources such as the Postgres pool (up to closeTimeout)
+// A second signal while shutting down exits immediately
+import { createLogger } from './logger.js';
+
+const log = createLogger('gracefulShutdown');
+
+const state = {
+  shuttingDown: false,
+  reason: null,
+  startedAt: 0,
+  inFlight: 0
+};
+
+function isShuttingDown() {
+  return state.shuttingDown;
+}
+
+// Express middleware counting in-flight requests
+// While shutting down, responses carry Connection: close so keep-alive clients reconnect elsewhere
+function trackInFlight(req, res, next) {
+  state.inFlight++;
+  let done = false;
+  const finish = () => {
+    if (!done) {
+      done = true;
+      state.inFlight--;
+    }
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+
+  if (state.shuttingDown) {
+    res.set('Connection', 'close');
+  }
+  next();
+}
+
+// Run one shutdown step, giving up after timeout ms
+// Never throws - returns true if the step finished in time without an error
+async function runStep(label, step, timeout) {
+  let timer;
+  try {
+    const finished = await Promise.race([
+      Promise.resolve().then(step).then(() => true),
+      new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+    ]);
+    if (finished) {
+      log.info(`✅ Shutdown: ${label} done`);
+    } else {
+      log.error(`⏱️  Shutdown: ${label} didn't finish within ${timeout}ms - giving up`);
+    }
+    return finished;
+  } catch (error) {
+    log.error(`❌ Shutdown: ${label} failed`, { error: error.message });
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Stop accepting connections and wait for open ones to finish
+// Idle keep-alive connections close right away; whatever is still open at the deadline is cut
+function closeServers(servers, drainTimeout) {
+  return Promise.all(servers.map(server => new Promise(resolve => {
+    const deadline = setTimeout(() => {
+      log.error(`⏱️  Shutdown: connections still open after ${drainTimeout}ms - closing them`);
+      server.closeAllConnections();
+    }, drainTimeout);
+    server.close(() => {
+      clearTimeout(deadline);
+      resolve();
+    });
+    server.closeIdleConnections();
+  })));
+}
+
+// Install the signal and crash handlers
+// options:
+//   servers: () => list of servers to drain
+//   stopBackground: () => stop timers and watchers (sync)
+//   flush: async () => write pending counts
+//   getUnflushed: () => counts still unwritten after the flush (logged so they can be recovered), or null
+//   close: async () => close external resources
+//   drainTimeout, flushTimeout, closeTimeout: ms per step
+function installShutdownHandlers(options) {
+  async function shutdown(reason, exitCode) {
+    if (state.shuttingDown) {
+      log.error(`🛑 ${reason} received again - exiting now`);
+      process.exit(1);
+    }
+    state.shuttingDown = true;
+    state.reason = reason;
+    state.startedAt = Date.now();
+    log.info(`🛑 ${reason} received - shutting down (${state.inFlight} request(s) in flight)`, { reason, inFlight: state.inFlight });
+
+    try {
+      options.stopBackground();
+    } catch (error) {
+      log.error('❌ Shutdown: failed to stop background tasks', { error: error.message });
+    }
+
+    await runStep('draining connections', () => closeServers(options.servers(), options.drainTimeout), options.drainTimeout + 1000);
+    await runStep('final count flush', options.flush, options.flushTimeout);
+
+    const unflushed = options.getUnflushed();
+    if (unflushed) {
+      log.error('📦 Shutdown: counts not written before exit', { unflushed });
+    }
+
+    await runStep('closing resources', options.close, options.closeTimeout);
+
+    log.info(`👋 Shutdown complete in ${Date.now() - state.startedAt}ms`, { durationMs: Date.now() - state.startedAt });
+    process.exit(exitCode);
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM', 0));
+  process.on('SIGINT', () => shutdown('SIGINT', 0));
+  process.on('uncaughtException', (error, origin) => {
+    log.error(`💥 ${origin === 'unhandledRejection' ? 'Unhandled rejection' : 'Uncaught exception'}`, { error });
+    shutdown('Crash', 1);
+  });
+}
+
+// Get shutdown state for monitoring
+function getShutdownStatus() {
+  return { ...state };
+}
+
+export { installShutdownHandlers, trackInFlight, isShuttingDown, getShutdownStatus };
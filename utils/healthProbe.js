@@ -0,0 +1,144 @@
+// Active health probes for upstreams with an open circuit
+// Instead of testing a failed upstream with a real user request (HALF_OPEN), a synthetic
+// eth_chainId + eth_blockNumber check runs on a schedule. The circuit breaker closes the circuit
+// after enough consecutive successful probes; until then user traffic stays on the other upstreams
+import axios from 'axios';
+import https from 'https';
+import { parseHexQuantity } from './jsonRpc.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('healthProbe');
+
+class HealthProber {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.upstreamPool = options.upstreamPool;
+    this.interval = options.interval || 10; // seconds between probe rounds
+    this.timeout = options.timeout || 5000; // ms per probe call
+    this.successThreshold = options.successThreshold || 3; // enforced by each breaker - shown on /status
+    this.expectedChainId = options.expectedChainId || null; // e.g. '0x1' - a node on another chain fails the probe
+
+    this.isProbing = false;
+    this.timer = null;
+    this.stats = {
+      rounds: 0,
+      probes: 0,
+      successes: 0,
+      failures: 0
+    };
+    this.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+  }
+
+  start() {
+    if (!this.enabled) {
+      log.info('Health probes disabled - open circuits are tested with user traffic (HALF_OPEN)');
+      return;
+    }
+
+    log.info(`Health probes enabled - every ${this.interval}s against open circuits`);
+    this.timer = setInterval(() => {
+      try {
+        this.probeOpenUpstreams();
+      } catch (error) {
+        log.error('Critical error in health probe interval', { error });
+        this.isProbing = false;
+      }
+    }, this.interval * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async call(upstream, method) {
+    const response = await axios.post(
+      upstream.url,
+      { jsonrpc: '2.0', id: 1, method, params: [] },
+      {
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'RPC-Proxy' },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        httpsAgent: this.httpsAgent
+      }
+    );
+    const data = response.data;
+    if (!data || data.error || data.result === undefined) {
+      throw new Error(data && data.error ? `${method}: ${data.error.code} ${data.error.message}` : `${method}: no result`);
+    }
+    return data.result;
+  }
+
+  // Probe one upstream - returns { ok, latencyMs, chainId, head, error }
+  async probe(upstream) {
+    const startedAt = Date.now();
+    try {
+      const [chainId, blockNumber] = await Promise.all([
+        this.call(upstream, 'eth_chainId'),
+        this.call(upstream, 'eth_blockNumber')
+      ]);
+      const head = parseHexQuantity(blockNumber);
+      if (head === null) {
+        throw new Error(`eth_blockNumber: invalid result ${blockNumber}`);
+      }
+      if (this.expectedChainId && parseHexQuantity(chainId) !== parseHexQuantity(this.expectedChainId)) {
+        throw new Error(`eth_chainId: expected ${this.expectedChainId}, got ${chainId}`);
+      }
+      return { ok: true, latencyMs: Date.now() - startedAt, chainId, head };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+
+  // Probe every upstream whose circuit is open and hand the results to their breakers
+  async probeOpenUpstreams() {
+    if (this.isProbing) {
+      return;
+    }
+
+    try {
+      this.isProbing = true;
+      const open = this.upstreamPool.upstreams.filter(upstream => upstream.breaker.state === 'OPEN');
+      if (open.length === 0) {
+        return;
+      }
+
+      this.stats.rounds++;
+      await Promise.all(open.map(async (upstream) => {
+        const result = await this.probe(upstream);
+        this.stats.probes++;
+        if (result.ok) {
+          this.stats.successes++;
+        } else {
+          this.stats.failures++;
+        }
+        upstream.breaker.onProbeResult(result);
+      }));
+    } catch (error) {
+      // Never let probing take the proxy down
+      log.error('⚠️  Health probe round failed', { error: error.message });
+    } finally {
+      this.isProbing = false;
+    }
+  }
+
+  // Get status for monitoring
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      interval: this.interval,
+      successThreshold: this.successThreshold,
+      expectedChainId: this.expectedChainId,
+      ...this.stats,
+      upstreams: this.upstreamPool.upstreams.map(upstream => ({
+        name: upstream.name,
+        state: upstream.breaker.state,
+        consecutiveProbeSuccesses: upstream.breaker.consecutiveProbeSuccesses,
+        lastProbe: upstream.breaker.lastProbe
+      }))
+    };
+  }
+}
+
+export { HealthProber };
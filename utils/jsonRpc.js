@@ -0,0 +1,82 @@
+// Helpers for working with JSON-RPC 2.0 payloads (single calls and batches)
+
+// Standard JSON-RPC error codes used by the proxy
+const JSON_RPC_ERRORS = {
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INTERNAL_ERROR: -32603,
+  LIMIT_EXCEEDED: -32005 // EIP-1474
+};
+
+// Normalize a request body into a list of calls
+// Returns { isBatch, calls } so the response can be shaped like the request
+function toCallList(body) {
+  if (Array.isArray(body)) {
+    return { isBatch: true, calls: body };
+  }
+  return { isBatch: false, calls: body ? [body] : [] };
+}
+
+// A call is valid if it's an object with a string method
+function isValidCall(call) {
+  return !!call && typeof call === 'object' && !Array.isArray(call) && typeof call.method === 'string';
+}
+
+// Build a JSON-RPC error response for a given id
+function jsonRpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error };
+}
+
+// Build the error response for a whole request - one error per call for batches
+function errorForRequest(isBatch, calls, code, message, data) {
+  if (!isBatch) {
+    return jsonRpcError(calls[0]?.id, code, message, data);
+  }
+  return calls.map(call => jsonRpcError(call?.id, code, message, data));
+}
+
+// Return a copy of a response with the caller's id restored
+function withId(response, id) {
+  return { ...response, id: id === undefined ? null : id };
+}
+
+// JSON.stringify with sorted object keys so equivalent params produce the same key
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(stableStringify).join(',') + ']';
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return '{' + keys.map(key => JSON.stringify(key) + ':' + stableStringify(value[key])).join(',') + '}';
+}
+
+// Key identifying a call by method and params (ignores id and jsonrpc fields)
+function callKey(call) {
+  return call.method + ':' + stableStringify(call.params === undefined ? [] : call.params);
+}
+
+// Parse a hex quantity ("0x1a") into a number, returns null if it isn't one
+function parseHexQuantity(value) {
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]+$/.test(value)) {
+    return null;
+  }
+  return parseInt(value, 16);
+}
+
+export {
+  JSON_RPC_ERRORS,
+  toCallList,
+  isValidCall,
+  jsonRpcError,
+  errorForRequest,
+  withId,
+  stableStringify,
+  callKey,
+  parseHexQuantity
+};
@@ -0,0 +1,163 @@
+// Block-height lag monitor
+// Polls eth_blockNumber on every upstream in the pool and compares each head with the highest one.
+// Upstreams more than maxLag blocks behind are marked lagging, which takes them out of routing
+// until they catch up. Lag beyond alertLag raises a Telegram alert, cleared by a recovery alert
+import axios from 'axios';
+import https from 'https';
+import { sendTelegramAlert } from './telegramUtils.js';
+import { parseHexQuantity } from './jsonRpc.js';
+import { createLogger } from './logger.js';
+import { redactUrl } from './redact.js';
+
+const log = createLogger('lagMonitor');
+
+class LagMonitor {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.upstreamPool = options.upstreamPool;
+    this.onHead = options.onHead; // called with the highest head after each round
+    this.interval = options.interval || 15; // seconds between polls
+    this.timeout = options.timeout || 5000; // ms per eth_blockNumber call
+    this.maxLag = options.maxLag ?? 5; // blocks behind before an upstream is taken out of routing
+    this.alertLag = options.alertLag ?? 20; // blocks behind before a Telegram alert goes out
+
+    this.highestHead = null;
+    this.lastPoll = 0;
+    this.isPolling = false;
+    this.alerted = new Set(); // upstream names with an open lag alert
+    this.timer = null;
+    this.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+  }
+
+  start() {
+    if (!this.enabled) {
+      log.info('Lag monitor disabled');
+      return;
+    }
+
+    log.info(`Lag monitor enabled - every ${this.interval}s, max lag: ${this.maxLag} blocks, alert at: ${this.alertLag} blocks`);
+    this.poll();
+    this.timer = setInterval(() => {
+      try {
+        this.poll();
+      } catch (error) {
+        log.error('Critical error in lag monitor interval', { error });
+        this.isPolling = false;
+      }
+    }, this.interval * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Ask one upstream for its head - returns the block number, or throws
+  async fetchHead(upstream) {
+    const response = await axios.post(
+      upstream.url,
+      { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] },
+      {
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'RPC-Proxy' },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        httpsAgent: this.httpsAgent
+      }
+    );
+    const head = parseHexQuantity(response.data && response.data.result);
+    if (head === null) {
+      const error = response.data && response.data.error;
+      throw new Error(error ? `${error.code} ${error.message}` : 'No block number in response');
+    }
+    return head;
+  }
+
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    try {
+      this.isPolling = true;
+
+      const upstreams = this.upstreamPool.upstreams;
+      const results = await Promise.all(upstreams.map(async (upstream) => {
+        try {
+          return { upstream, head: await this.fetchHead(upstream) };
+        } catch (error) {
+          return { upstream, error: error.message };
+        }
+      }));
+
+      const heads = results.filter(result => result.head !== undefined).map(result => result.head);
+      if (heads.length === 0) {
+        results.forEach(({ upstream, error }) => this.upstreamPool.updateHealth(upstream, { error }));
+        return;
+      }
+
+      this.highestHead = Math.max(...heads);
+      this.lastPoll = Date.now();
+
+      for (const { upstream, head, error } of results) {
+        if (head === undefined) {
+          // Unreachable isn't lag - the circuit breaker deals with that. Keep the last verdict
+          this.upstreamPool.updateHealth(upstream, { error });
+          continue;
+        }
+
+        const lag = this.highestHead - head;
+        const lagging = lag > this.maxLag;
+        if (lagging && !upstream.health.lagging) {
+          log.warn(`🐌 Upstream ${upstream.name} is ${lag} blocks behind (head ${head}, best ${this.highestHead}) - taking it out of routing`, { upstream: upstream.name, lag, head, best: this.highestHead });
+        } else if (!lagging && upstream.health.lagging) {
+          log.info(`✅ Upstream ${upstream.name} caught up (head ${head}, best ${this.highestHead})`, { upstream: upstream.name, head, best: this.highestHead });
+        }
+        this.upstreamPool.updateHealth(upstream, { head, lag, lagging, error: null });
+        this.checkAlert(upstream, head, lag);
+      }
+
+      if (this.onHead) {
+        this.onHead(this.highestHead);
+      }
+    } catch (error) {
+      // Never let the monitor take the proxy down
+      log.error('⚠️  Lag monitor poll failed', { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // Alert once when lag passes alertLag, and send a recovery alert once it's back within maxLag
+  checkAlert(upstream, head, lag) {
+    try {
+      if (lag > this.alertLag && !this.alerted.has(upstream.name)) {
+        this.alerted.add(upstream.name);
+        const message = `------------------------------------------\n🐌 ALERT: Pre-Proxy upstream ${upstream.name} is ${lag} blocks behind\n\nUpstream head: ${head}\nBest head: ${this.highestHead}\nUpstream URL: ${redactUrl(upstream.url)}`;
+        sendTelegramAlert(message, 'UPSTREAM_LAG');
+      } else if (lag <= this.maxLag && this.alerted.has(upstream.name)) {
+        this.alerted.delete(upstream.name);
+        const message = `------------------------------------------\n🟢 RECOVERY: Pre-Proxy upstream ${upstream.name} caught up\n\nUpstream head: ${head}\nBest head: ${this.highestHead}\nRecovery time: ${new Date().toISOString()}`;
+        sendTelegramAlert(message, 'UPSTREAM_LAG_RECOVERED');
+      }
+    } catch (error) {
+      log.error('❌ Failed to send lag alert', { error: error.message });
+      // Don't throw - just log the error
+    }
+  }
+
+  // Get status for monitoring
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      interval: this.interval,
+      maxLag: this.maxLag,
+      alertLag: this.alertLag,
+      highestHead: this.highestHead,
+      lastPoll: this.lastPoll,
+      alerting: [...this.alerted]
+    };
+  }
+}
+
+export { LagMonitor };
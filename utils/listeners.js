@@ -0,0 +1,108 @@
+// HTTPS and plain-HTTP listeners for the proxy
+// Any number of HTTPS listeners share one certificate store (see utils/certificateStore.js).
+// The optional HTTP listener either redirects to HTTPS or serves the proxy itself - the latter
+// is meant for internal traffic, so bind it to a private address
+import http from 'http';
+import https from 'https';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('listeners');
+
+const ACME_CHALLENGE_PREFIX = '/.well-known/acme-challenge/';
+
+// Answer an ACME http-01 challenge from the directory certbot --webroot writes to
+// Returns true when the request was a challenge
+function serveAcmeChallenge(req, res, challengeDir) {
+  if (!challengeDir || !req.url.startsWith(ACME_CHALLENGE_PREFIX)) {
+    return false;
+  }
+
+  const token = req.url.slice(ACME_CHALLENGE_PREFIX.length).split('?')[0];
+  if (!/^[A-Za-z0-9_-]+$/.test(token)) {
+    res.writeHead(404);
+    res.end();
+    return true;
+  }
+
+  fs.readFile(path.join(challengeDir, '.well-known', 'acme-challenge', token), (error, content) => {
+    if (error) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(content);
+  });
+  return true;
+}
+
+// Request handler redirecting everything to HTTPS
+// GET and HEAD get a 301; other methods a 308 so clients repeat the POST body
+function createRedirectHandler(options) {
+  return (req, res) => {
+    if (serveAcmeChallenge(req, res, options.acmeChallengeDir)) {
+      return;
+    }
+
+    const host = options.redirectHost || (req.headers.host || '').replace(/:\d+$/, '');
+    if (!host) {
+      res.writeHead(400);
+      res.end('Missing Host header');
+      return;
+    }
+
+    const port = options.httpsPort && options.httpsPort !== 443 ? `:${options.httpsPort}` : '';
+    const status = req.method === 'GET' || req.method === 'HEAD' ? 301 : 308;
+    res.writeHead(status, { Location: `https://${host}${port}${req.url}` });
+    res.end();
+  };
+}
+
+function describeAddress(server, fallback) {
+  const address = server.address();
+  if (!address || typeof address === 'string') return address || fallback;
+  return address.family === 'IPv6' ? `[${address.address}]:${address.port}` : `${address.address}:${address.port}`;
+}
+
+// Start every configured listener
+// Returns { httpsServers, httpServer, servingServers } - servingServers are the ones running the app,
+// for attaching the WebSocket proxy
+function startListeners(app, config, certificateStore) {
+  const httpsServers = (config.https || []).map(({ host, port }) => {
+    const server = https.createServer(certificateStore.getServerOptions(), app);
+    certificateStore.addServer(server);
+    server.listen(port, host || undefined, () => {
+      log.info(`Listening ${describeAddress(server, `${host || '*'}:${port}`)} (https)...`);
+    });
+    return server;
+  });
+
+  let httpServer = null;
+  const httpConfig = config.http || {};
+  if (httpConfig.enabled) {
+    const serve = httpConfig.mode === 'serve';
+    httpServer = http.createServer(serve
+      ? app
+      : createRedirectHandler({ ...httpConfig, httpsPort: config.https && config.https[0] && config.https[0].port }));
+    httpServer.listen(httpConfig.port, httpConfig.host || undefined, () => {
+      log.info(`Listening ${describeAddress(httpServer, `${httpConfig.host || '*'}:${httpConfig.port}`)} (http, ${serve ? 'serving the proxy' : 'redirecting to https'})...`);
+    });
+  }
+
+  const servingServers = httpServer && httpConfig.mode === 'serve' ? [...httpsServers, httpServer] : httpsServers;
+  return { httpsServers, httpServer, servingServers };
+}
+
+// Addresses for monitoring
+function getListenerStatus(listeners, config) {
+  return {
+    https: listeners.httpsServers.map((server, index) => describeAddress(server, `${config.https[index].host || '*'}:${config.https[index].port}`)),
+    http: listeners.httpServer
+      ? { address: describeAddress(listeners.httpServer, `${config.http.host || '*'}:${config.http.port}`), mode: config.http.mode }
+      : null
+  };
+}
+
+export { startListeners, getListenerStatus, createRedirectHandler };
@@ -0,0 +1,163 @@
+// Structured logging
+// Every entry is one JSON object per line: { time, level, module, requestId, traceId, spanId, msg, ...fields }.
+// requestId comes from the request context (see utils/requestContext.js), so anything logged
+// while serving a request carries it. traceId and spanId are there when the active span is
+// sampled (see utils/tracing.js). debug and info go to stdout, warn and error to stderr.
+// Bodies are only logged for sampled requests, and always redacted (see utils/redact.js)
+// Logging never throws - a field that can't be serialized drops the fields, not the entry
+import { trace, context as otelContext, TraceFlags } from '@opentelemetry/api';
+import { getRequestContext } from './requestContext.js';
+import { redactRpcBody } from './redact.js';
+import { loggingConfig } from '../config.js';
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+// Read on every entry - LOG_LEVEL/LOG_FORMAT may come from .env, loaded after config.js
+function currentLevel() {
+  return LEVELS[process.env.LOG_LEVEL] ?? LEVELS[loggingConfig.level] ?? LEVELS.info;
+}
+
+function currentFormat() {
+  return process.env.LOG_FORMAT || loggingConfig.format;
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  const serialized = { name: error.name, message: error.message };
+  if (error.code) serialized.code = error.code;
+  if (error.response && error.response.status) serialized.status = error.response.status;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+// Fields may be an Error on its own, or an object whose values may be Errors
+function normalizeFields(fields) {
+  if (fields === undefined || fields === null) {
+    return {};
+  }
+  if (fields instanceof Error) {
+    return { error: serializeError(fields) };
+  }
+  if (typeof fields !== 'object') {
+    return { value: fields };
+  }
+  const normalized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    normalized[key] = serializeError(value);
+  }
+  return normalized;
+}
+
+// IDs of the active span, if it's being recorded - ties log entries to their trace
+function getTraceIds() {
+  const spanContext = trace.getSpanContext(otelContext.active());
+  if (!spanContext || !(spanContext.traceFlags & TraceFlags.SAMPLED)) {
+    return {};
+  }
+  return { traceId: spanContext.traceId, spanId: spanContext.spanId };
+}
+
+function formatPretty(entry) {
+  const { time, level, module, requestId, traceId, spanId, msg, ...fields } = entry;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} [${module || '-'}]${requestId ? ` ${requestId}` : ''} ${msg}${extra}`;
+}
+
+function write(level, bindings, msg, fields) {
+  try {
+    if (LEVELS[level] < currentLevel()) {
+      return;
+    }
+
+    const context = getRequestContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...bindings,
+      ...(context ? { requestId: context.requestId } : {}),
+      ...getTraceIds(),
+      msg: String(msg),
+      ...normalizeFields(fields)
+    };
+
+    let line;
+    try {
+      line = currentFormat() === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    } catch (error) {
+      const { time, module, requestId } = entry;
+      line = JSON.stringify({ time, level, module, requestId, msg: String(msg), logError: `fields dropped: ${error.message}` });
+    }
+
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  } catch (error) {
+    // Nowhere left to report it - logging must never break the proxy
+  }
+}
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  // Logger adding fields to every entry, e.g. { upstream: 'primary' }
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= currentLevel();
+  }
+
+  debug(msg, fields) {
+    write('debug', this.bindings, msg, fields);
+  }
+
+  info(msg, fields) {
+    write('info', this.bindings, msg, fields);
+  }
+
+  warn(msg, fields) {
+    write('warn', this.bindings, msg, fields);
+  }
+
+  error(msg, fields) {
+    write('error', this.bindings, msg, fields);
+  }
+
+  // Log a JSON-RPC request or response body, redacted
+  // At level debug every body is logged; otherwise only sampled requests' bodies (bodySampleRate)
+  body(msg, body, fields = {}) {
+    try {
+      const context = getRequestContext();
+      const sampled = context ? context.sampled : Math.random() < loggingConfig.bodySampleRate;
+      if (!sampled && !this.isEnabled('debug')) {
+        return;
+      }
+      write(sampled ? 'info' : 'debug', this.bindings, msg, {
+        ...fields,
+        body: redactRpcBody(body, {
+          keys: loggingConfig.redactKeys,
+          methods: loggingConfig.redactMethods,
+          maxLength: loggingConfig.maxBodyLength
+        })
+      });
+    } catch (error) {
+      // Never let body logging break the request
+    }
+  }
+}
+
+// Logger for a module - every entry carries { module }
+function createLogger(module) {
+  return new Logger({ module });
+}
+
+export { createLogger, Logger, LEVELS };
@@ -0,0 +1,157 @@
+/**
+ * Method Policy
+ *
+ * Decides which JSON-RPC methods the proxy forwards upstream.
+ * Rules match by exact method name or by namespace (the part before the first "_"),
+ * and can be overridden per origin or per API key.
+ *
+ * Precedence (first match wins):
+ * 1. API key override - exact method, then namespace
+ * 2. Origin override - exact method, then namespace
+ * 3. Global rules - exact method, then namespace
+ * 4. The most specific defaultAction
+ */
+import { JSON_RPC_ERRORS } from './jsonRpc.js';
+import { stripProtocol } from './backgroundTasks.js';
+import { methodPolicyConfig } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('methodPolicy');
+
+// Methods that send transactions or produce signatures - rejected as "transaction rejected"
+// instead of "method not found" so wallets surface the right message
+const TRANSACTION_METHODS = new Set([
+  'eth_sendTransaction',
+  'eth_sign',
+  'eth_signTransaction',
+  'eth_signTypedData',
+  'eth_signTypedData_v3',
+  'eth_signTypedData_v4'
+]);
+
+const TRANSACTION_REJECTED = -32003; // EIP-1474
+
+// Statistics tracking for monitoring
+const stats = {
+  allowed: 0,
+  blocked: 0,
+  blockedBySource: {} // { 'global' | 'origin:<origin>' | 'apiKey': count }
+};
+
+function getNamespace(method) {
+  const separator = method.indexOf('_');
+  return separator > 0 ? method.substring(0, separator) : method;
+}
+
+function hasRule(rules, key) {
+  return !!rules && Object.prototype.hasOwnProperty.call(rules, key);
+}
+
+// Look up an explicit rule for the method in a rule set
+// Returns 'allow', 'deny' or null when the rule set doesn't mention it
+function matchRules(ruleSet, method) {
+  if (!ruleSet) return null;
+  if (hasRule(ruleSet.methods, method)) {
+    return ruleSet.methods[method];
+  }
+  const namespace = getNamespace(method);
+  if (hasRule(ruleSet.namespaces, namespace)) {
+    return ruleSet.namespaces[namespace];
+  }
+  return null;
+}
+
+/**
+ * Check whether a method may be forwarded for a caller
+ *
+ * @param {string} method - JSON-RPC method name
+ * @param {Object} caller - { origin, apiKey } - both optional
+ * @returns {Object} - { allowed, source, code, message }
+ */
+function checkMethod(method, caller = {}) {
+  try {
+    if (!methodPolicyConfig.enabled) {
+      return { allowed: true, source: 'disabled' };
+    }
+
+    const overrides = methodPolicyConfig.overrides || {};
+    const apiKeyRules = caller.apiKey && hasRule(overrides.apiKeys, caller.apiKey)
+      ? overrides.apiKeys[caller.apiKey]
+      : null;
+    const origin = caller.origin ? stripProtocol(caller.origin) : '';
+    const originRules = origin && hasRule(overrides.origins, origin)
+      ? overrides.origins[origin]
+      : null;
+
+    const layers = [
+      { source: 'apiKey', rules: apiKeyRules },
+      { source: `origin:${origin}`, rules: originRules },
+      { source: 'global', rules: methodPolicyConfig }
+    ];
+
+    let action = null;
+    let source = 'global';
+    for (const layer of layers) {
+      action = matchRules(layer.rules, method);
+      if (action) {
+        source = layer.source;
+        break;
+      }
+    }
+
+    // Nothing matched - use the most specific default
+    if (!action) {
+      const withDefault = layers.find(layer => layer.rules && layer.rules.defaultAction);
+      action = withDefault ? withDefault.rules.defaultAction : 'allow';
+      source = withDefault ? withDefault.source : 'global';
+    }
+
+    if (action === 'allow') {
+      stats.allowed++;
+      return { allowed: true, source };
+    }
+
+    stats.blocked++;
+    stats.blockedBySource[source] = (stats.blockedBySource[source] || 0) + 1;
+
+    if (TRANSACTION_METHODS.has(method)) {
+      return {
+        allowed: false,
+        source,
+        code: TRANSACTION_REJECTED,
+        message: `Transaction rejected: ${method} is not allowed through this proxy`
+      };
+    }
+
+    return {
+      allowed: false,
+      source,
+      code: JSON_RPC_ERRORS.METHOD_NOT_FOUND,
+      message: `The method ${method} does not exist/is not available`
+    };
+  } catch (error) {
+    // CRITICAL: A broken policy must not take the proxy down - fail open
+    log.error('⚠️  Error checking method policy (allowing)', {
+      method: method,
+      error: error.message
+    });
+    return { allowed: true, source: 'error' };
+  }
+}
+
+/**
+ * Get method policy statistics (for monitoring)
+ *
+ * @returns {Object} - Statistics object
+ */
+function getMethodPolicyStats() {
+  return {
+    enabled: methodPolicyConfig.enabled,
+    ...stats
+  };
+}
+
+export {
+  checkMethod,
+  getMethodPolicyStats
+};
@@ -0,0 +1,148 @@
+// Method-aware routing to specialized upstream groups
+// A rule matches on method name or namespace and optionally on how old the requested block is.
+// The first matching rule names a group - the upstreams in the pool carrying that tag.
+// Calls no rule matches use the whole pool. Rules whose group has no upstreams are turned off at startup.
+import { parseHexQuantity } from './jsonRpc.js';
+import { routingConfig } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('methodRouter');
+
+// Position of the block parameter for methods that take one
+const BLOCK_PARAM_INDEX = {
+  eth_getBalance: 1,
+  eth_getCode: 1,
+  eth_getTransactionCount: 1,
+  eth_getStorageAt: 2,
+  eth_call: 1,
+  eth_estimateGas: 1,
+  eth_getProof: 2,
+  eth_getBlockByNumber: 0,
+  eth_getBlockTransactionCountByNumber: 0,
+  eth_getUncleCountByBlockNumber: 0,
+  eth_getTransactionByBlockNumberAndIndex: 0,
+  eth_getBlockReceipts: 0,
+  debug_traceBlockByNumber: 0,
+  debug_traceCall: 1,
+  trace_block: 0,
+  trace_call: 2,
+  trace_replayBlockTransactions: 0
+};
+
+// Tags that always mean the head or something a full node still has
+const RECENT_TAGS = new Set(['latest', 'pending', 'safe', 'finalized']);
+
+// Statistics tracking for monitoring
+const stats = {
+  routed: {}, // { group: count }
+  defaulted: 0, // no rule matched
+  groupUnavailable: {} // { group: count } - rule matched but none of the group's upstreams was healthy
+};
+
+// Rules whose group no upstream carries - skipped when routing
+const disabledRules = new Set();
+
+function ruleName(rule) {
+  return rule.name || rule.group;
+}
+
+function getNamespace(method) {
+  const separator = method.indexOf('_');
+  return separator > 0 ? method.substring(0, separator) : method;
+}
+
+// How many blocks behind head the call's block parameter is
+// Returns 0 for head tags, Infinity for 'earliest', null when it can't be told
+// (block hashes, or a block number while the head is still unknown)
+function getBlockAge(call, head) {
+  const index = BLOCK_PARAM_INDEX[call.method];
+  if (index === undefined) return 0;
+
+  let block = Array.isArray(call.params) ? call.params[index] : undefined;
+  if (block && typeof block === 'object') {
+    // EIP-1898 block parameter
+    if (block.blockHash !== undefined) return null;
+    block = block.blockNumber;
+  }
+
+  if (block === undefined || block === null || RECENT_TAGS.has(block)) return 0;
+  if (block === 'earliest') return Infinity;
+
+  const blockNumber = parseHexQuantity(block);
+  if (blockNumber === null || head === null || head === undefined) return null;
+  return Math.max(0, head - blockNumber);
+}
+
+function ruleMatches(rule, call, head) {
+  const byMethod = Array.isArray(rule.methods) && rule.methods.includes(call.method);
+  const byNamespace = Array.isArray(rule.namespaces) && rule.namespaces.includes(getNamespace(call.method));
+  if (!byMethod && !byNamespace) return false;
+
+  if (rule.minBlockAge !== undefined) {
+    const age = getBlockAge(call, head);
+    if (age === null) return !!rule.matchUnknownAge;
+    return age >= rule.minBlockAge;
+  }
+  return true;
+}
+
+// Pick the upstream group for a call
+// head is the latest block the proxy knows about (null if none yet)
+// Returns { group, rule } - group is null for the default pool
+function routeCall(call, head) {
+  try {
+    if (!routingConfig.enabled || !call || typeof call.method !== 'string') {
+      return { group: null };
+    }
+
+    const rule = routingConfig.rules.find(candidate => !disabledRules.has(candidate) && ruleMatches(candidate, call, head));
+    if (!rule) {
+      stats.defaulted++;
+      return { group: null };
+    }
+
+    stats.routed[rule.group] = (stats.routed[rule.group] || 0) + 1;
+    return { group: rule.group, rule: ruleName(rule) };
+  } catch (error) {
+    // CRITICAL: A broken rule must not take the proxy down - use the default pool
+    log.error('⚠️  Error routing call (using default upstreams)', { error: error.message });
+    return { group: null };
+  }
+}
+
+// Turn off rules whose group no upstream carries, with a warning for each - called once the pool is known
+// hasGroup(group) tells whether any upstream carries the group's tag
+function disableUnmatchedRules(hasGroup) {
+  disabledRules.clear();
+  if (!routingConfig.enabled) return;
+
+  routingConfig.rules.forEach(rule => {
+    if (!hasGroup(rule.group)) {
+      disabledRules.add(rule);
+      log.warn(`⚠️  Routing rule ${ruleName(rule)} disabled - no upstream is tagged '${rule.group}'`, { rule: ruleName(rule), group: rule.group });
+    }
+  });
+}
+
+// Note a call whose group had no healthy upstream and went to the rest of the pool first
+function recordGroupUnavailable(group, count = 1) {
+  stats.groupUnavailable[group] = (stats.groupUnavailable[group] || 0) + count;
+}
+
+// Get routing statistics for monitoring
+function getRoutingStats() {
+  return {
+    enabled: routingConfig.enabled,
+    rules: routingConfig.rules,
+    disabledRules: [...disabledRules].map(ruleName),
+    ...stats
+  };
+}
+
+export {
+  routeCall,
+  getBlockAge,
+  disableUnmatchedRules,
+  recordGroupUnavailable,
+  getRoutingStats
+};
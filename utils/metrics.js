@@ -0,0 +1,187 @@
+// Prometheus metrics, rendered at /metrics in the text exposition format (version 0.0.4)
+// Counters and histograms are updated where things happen. Values a component already keeps in
+// its stats (breaker states, count backlogs, origin filter counts) are read at scrape time through
+// collectors, so there's only one source for each number
+import { metricsConfig } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('metrics');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = new Map(); // name -> metric or collector
+const labelValues = {}; // label kind -> Set of values kept (see boundedLabel)
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  // Series for a label set - labels not in labelNames are dropped, missing ones are ''
+  getSeries(labels, create) {
+    const picked = {};
+    this.labelNames.forEach(name => { picked[name] = labels[name] ?? ''; });
+    const key = this.labelNames.map(name => picked[name]).join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      series = create(picked);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) return; // counters only go up
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ labels, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super(options, 'histogram');
+    this.buckets = [...(options.buckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10])].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) return;
+    const series = this.getSeries(labels, picked => ({ labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Observe the seconds since startedAt (a Date.now() timestamp)
+  observeSince(labels, startedAt) {
+    this.observe(labels, (Date.now() - startedAt) / 1000);
+  }
+
+  samples() {
+    const samples = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] });
+      });
+      samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+      samples.push({ name: `${this.name}_sum`, labels, value: sum });
+      samples.push({ name: `${this.name}_count`, labels, value: count });
+    }
+    return samples;
+  }
+}
+
+// Metrics read at scrape time - collect() returns [{ labels, value }]
+class Collector {
+  constructor({ name, help, type = 'gauge', collect }) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.collect = collect;
+  }
+
+  samples() {
+    return (this.collect() || []).map(({ labels = {}, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function createCounter(options) {
+  return register(new Counter(options));
+}
+
+function createHistogram(options) {
+  return register(new Histogram(options));
+}
+
+function registerCollector(options) {
+  return register(new Collector(options));
+}
+
+// Keep label values that come from clients (e.g. method names) from growing without bound
+// The first metricsConfig.maxMethods distinct values of a kind are kept, later ones become "other"
+function boundedLabel(kind, value) {
+  if (typeof value !== 'string' || value === '') {
+    return 'none';
+  }
+  if (!labelValues[kind]) {
+    labelValues[kind] = new Set();
+  }
+  const kept = labelValues[kind];
+  if (kept.has(value)) {
+    return value;
+  }
+  if (kept.size >= metricsConfig.maxMethods) {
+    return 'other';
+  }
+  kept.add(value);
+  return value;
+}
+
+// Every registered metric in the text format
+// A collector that throws is left out of this scrape - it never fails the others
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    let samples;
+    try {
+      samples = metric.samples();
+    } catch (error) {
+      log.warn(`Metric ${metric.name} failed to collect - left out of this scrape`, { metric: metric.name, error: error.message });
+      continue;
+    }
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    samples.forEach(({ name, labels, value }) => {
+      lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export {
+  CONTENT_TYPE,
+  Counter,
+  Histogram,
+  createCounter,
+  createHistogram,
+  registerCollector,
+  boundedLabel,
+  renderMetrics
+};
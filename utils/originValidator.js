@@ -10,6 +10,10 @@
  * - Tracks filtered origins for monitoring
  * - Fails safe (treats uncertain origins as local)
  */
+import { createLogger } from './logger.js';
+import { registerCollector } from './metrics.js';
+
+const log = createLogger('originValidator');
 
 // Statistics tracking for monitoring
 const stats = {
@@ -166,7 +170,7 @@ function isLocalOrigin(origin) {
     
   } catch (error) {
     // CRITICAL: Never throw errors - fail safe by filtering
-    console.error('⚠️  Error validating origin (treating as local):', {
+    log.error('⚠️  Error validating origin (treating as local)', {
       origin: origin,
       error: error.message
     });
@@ -209,7 +213,7 @@ function filterOrigins(origins) {
         }
       } catch (error) {
         // If validation fails for one origin, log and continue with others
-        console.error('⚠️  Error filtering origin (excluding):', {
+        log.error('⚠️  Error filtering origin (excluding)', {
           origin: origin,
           error: error.message
         });
@@ -220,7 +224,7 @@ function filterOrigins(origins) {
     
     // Log filtered origins if any were blocked
     if (Object.keys(blocked).length > 0) {
-      console.log('🔒 Filtered local origins:', blocked);
+      log.info('🔒 Filtered local origins', { blocked });
     }
     
     return filtered;
@@ -228,7 +232,7 @@ function filterOrigins(origins) {
   } catch (error) {
     // CRITICAL: If entire filtering fails, return empty object
     // This prevents local origins from being tracked
-    console.error('❌ Critical error in filterOrigins (returning empty):', error);
+    log.error('❌ Critical error in filterOrigins (returning empty)', { error });
     stats.errorCount++;
     return {};
   }
@@ -249,11 +253,39 @@ function getStats() {
         : '0%'
     };
   } catch (error) {
-    console.error('⚠️  Error getting stats:', error);
+    log.error('⚠️  Error getting stats', { error });
     return { error: error.message };
   }
 }
 
+/**
+ * Origin filter counters for /metrics, read from stats at scrape time
+ * They go back to 0 on resetStats() - Prometheus treats that as a counter reset
+ */
+registerCollector({
+  name: 'rpc_proxy_origin_checks_total',
+  help: 'Origins checked by the origin validator',
+  type: 'counter',
+  collect: () => [{ value: stats.totalChecks }]
+});
+registerCollector({
+  name: 'rpc_proxy_origin_filtered_total',
+  help: 'Origins filtered out as local or test origins',
+  type: 'counter',
+  collect: () => [{ value: stats.filteredCount }]
+});
+registerCollector({
+  name: 'rpc_proxy_origin_filter_errors_total',
+  help: 'Origin checks that failed and were filtered out for safety',
+  type: 'counter',
+  collect: () => [{ value: stats.errorCount }]
+});
+registerCollector({
+  name: 'rpc_proxy_origin_filtered_distinct',
+  help: 'Distinct origins filtered out since the last reset',
+  collect: () => [{ value: Object.keys(stats.filteredOrigins).length }]
+});
+
 /**
  * Reset statistics (for testing or periodic cleanup)
  */
@@ -265,7 +297,7 @@ function resetStats() {
     stats.filteredOrigins = {};
     stats.lastReset = Date.now();
   } catch (error) {
-    console.error('⚠️  Error resetting stats:', error);
+    log.error('⚠️  Error resetting stats', { error });
   }
 }
 
@@ -2,6 +2,9 @@ import pkg from 'pg';
 const { Pool } = pkg;
 import { SecretsManagerClient, GetSecretValueCommand } from "@aws-sdk/client-secrets-manager";
 import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('postgresClient');
 
 // Path to the RDS CA bundle
 const RDS_CA_BUNDLE_PATH = '/home/ubuntu/rpc-ssl-proxy/rds-ca-bundle.pem';
@@ -53,13 +56,13 @@ async function initializePool() {
 
     // Handle pool errors
     pool.on('error', (err, client) => {
-      console.error('Unexpected error on idle PostgreSQL client', err);
+      log.error('Unexpected error on idle PostgreSQL client', { error: err });
     });
 
-    console.log('✅ PostgreSQL connection pool initialized');
+    log.info('✅ PostgreSQL connection pool initialized');
     return pool;
   } catch (error) {
-    console.error('❌ Error initializing PostgreSQL pool:', error);
+    log.error('❌ Error initializing PostgreSQL pool', { error });
     throw error;
   }
 }
@@ -77,7 +80,7 @@ async function closePool() {
   if (pool) {
     await pool.end();
     pool = null;
-    console.log('PostgreSQL connection pool closed');
+    log.info('PostgreSQL connection pool closed');
   }
 }
 
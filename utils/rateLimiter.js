@@ -0,0 +1,185 @@
+// Per-IP token bucket rate limiting
+// Exempt IPs and per-IP limit overrides live in a JSON file that's reloaded when it changes
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('rateLimiter');
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.burst = options.burst || 100; // Bucket size - max calls in a burst
+    this.ratePerSecond = options.ratePerSecond || 20; // Sustained refill rate
+    this.defaultCost = options.defaultCost || 1; // Cost of one call (each batch member pays)
+    this.methodCosts = options.methodCosts || {}; // Heavier methods can cost more
+    this.idleTimeout = options.idleTimeout || 10 * 60 * 1000; // Drop buckets idle this long
+    this.overridesFile = options.overridesFile || null;
+
+    // ip -> { tokens, lastRefill, burst, ratePerSecond }
+    this.buckets = new Map();
+    this.exempt = new Set(options.exempt || []);
+    this.overrides = {};
+
+    this.stats = {
+      allowed: 0,
+      limited: 0,
+      exempted: 0,
+      limitedIps: {} // { ip: count }
+    };
+
+    if (this.overridesFile) {
+      this.loadOverrides();
+      this.watchOverrides();
+    }
+
+    // Periodically forget idle buckets so memory doesn't grow with every IP we've seen
+    this.sweepInterval = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepInterval.unref();
+
+    log.info(`Rate limiter ${this.enabled ? 'enabled' : 'disabled'} - burst: ${this.burst}, rate: ${this.ratePerSecond}/s, exempt IPs: ${this.exempt.size}`);
+  }
+
+  // Load exempt IPs and overrides from the overrides file
+  // A missing or invalid file keeps the previous settings
+  loadOverrides() {
+    try {
+      if (!fs.existsSync(this.overridesFile)) {
+        log.info(`Rate limit overrides file not found (${this.overridesFile}) - using defaults`);
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.overridesFile, 'utf8'));
+      this.exempt = new Set(Array.isArray(data.exempt) ? data.exempt : []);
+      this.overrides = data.overrides && typeof data.overrides === 'object' ? data.overrides : {};
+
+      // Limits changed - rebuild buckets lazily with the new settings
+      this.buckets.clear();
+
+      log.info(`✅ Rate limit overrides loaded - ${this.exempt.size} exempt IP(s), ${Object.keys(this.overrides).length} override(s)`);
+    } catch (error) {
+      log.error('⚠️  Failed to load rate limit overrides (keeping previous settings)', { error: error.message });
+    }
+  }
+
+  // Reload the overrides file whenever it changes on disk
+  watchOverrides() {
+    try {
+      fs.watchFile(this.overridesFile, { interval: 5000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) {
+          log.info('🔄 Rate limit overrides file changed - reloading');
+          this.loadOverrides();
+        }
+      });
+    } catch (error) {
+      log.error('⚠️  Failed to watch rate limit overrides file', { error: error.message });
+    }
+  }
+
+  // Stop the idle bucket sweep and the overrides file watcher
+  stop() {
+    clearInterval(this.sweepInterval);
+    if (this.overridesFile) {
+      fs.unwatchFile(this.overridesFile);
+    }
+  }
+
+  // Cost of a list of calls - a batch pays for every member
+  costOf(calls) {
+    return calls.reduce((total, call) => {
+      const method = call && typeof call.method === 'string' ? call.method : null;
+      const cost = method && Object.prototype.hasOwnProperty.call(this.methodCosts, method)
+        ? this.methodCosts[method]
+        : this.defaultCost;
+      return total + cost;
+    }, 0);
+  }
+
+  getBucket(ip, now) {
+    let bucket = this.buckets.get(ip);
+    if (!bucket) {
+      const override = this.overrides[ip] || {};
+      const burst = override.burst || this.burst;
+      bucket = {
+        tokens: burst,
+        lastRefill: now,
+        burst,
+        ratePerSecond: override.ratePerSecond || this.ratePerSecond
+      };
+      this.buckets.set(ip, bucket);
+    }
+    return bucket;
+  }
+
+  // Take tokens for a request
+  // Returns { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+  consume(ip, cost) {
+    if (!this.enabled) {
+      return { allowed: true, exempt: true };
+    }
+    if (this.exempt.has(ip)) {
+      this.stats.exempted++;
+      return { allowed: true, exempt: true };
+    }
+    // Requests whose IP can't be told share one bucket - they aren't let through unlimited
+    ip = ip || 'unknown';
+
+    const now = Date.now();
+    const bucket = this.getBucket(ip, now);
+
+    // Refill based on time elapsed since the last request
+    const elapsedSeconds = (now - bucket.lastRefill) / 1000;
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + elapsedSeconds * bucket.ratePerSecond);
+    bucket.lastRefill = now;
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) {
+      bucket.tokens -= cost;
+      this.stats.allowed++;
+    } else {
+      this.stats.limited++;
+      this.stats.limitedIps[ip] = (this.stats.limitedIps[ip] || 0) + 1;
+    }
+
+    // A request bigger than the whole bucket can never succeed - don't promise a retry time
+    const retryAfterSeconds = allowed || cost > bucket.burst
+      ? 0
+      : Math.ceil((cost - bucket.tokens) / bucket.ratePerSecond);
+
+    return {
+      allowed,
+      limit: bucket.burst,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((bucket.burst - bucket.tokens) / bucket.ratePerSecond),
+      retryAfterSeconds
+    };
+  }
+
+  // Drop buckets that have been idle long enough to be full again
+  sweep() {
+    try {
+      const cutoff = Date.now() - this.idleTimeout;
+      for (const [ip, bucket] of this.buckets) {
+        if (bucket.lastRefill < cutoff) {
+          this.buckets.delete(ip);
+        }
+      }
+    } catch (error) {
+      log.error('⚠️  Error sweeping rate limit buckets', { error: error.message });
+    }
+  }
+
+  // Get rate limiting statistics for monitoring
+  getStats() {
+    return {
+      enabled: this.enabled,
+      burst: this.burst,
+      ratePerSecond: this.ratePerSecond,
+      trackedIps: this.buckets.size,
+      exemptIps: this.exempt.size,
+      overrides: Object.keys(this.overrides).length,
+      ...this.stats
+    };
+  }
+}
+
+export { RateLimiter };
@@ -0,0 +1,88 @@
+// Redaction for anything that leaves the process in logs
+// Upstream URLs carry provider API keys in their path or query, and request bodies can carry
+// signatures, passwords or whole blobs of calldata. These helpers return redacted copies and
+// never modify what they're given
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+const MAX_ARRAY_ITEMS = 100;
+
+// Path segments that look like keys: long runs of letters, digits, - and _
+const KEY_LIKE_SEGMENT = /^[A-Za-z0-9_-]{16,}$/;
+
+// Hide credentials in a URL - user info, query values and key-like path segments
+// e.g. https://eth-mainnet.example.com/v2/AbCd...XyZ?key=123 -> https://eth-mainnet.example.com/v2/[REDACTED]?key=[REDACTED]
+function redactUrl(url) {
+  if (typeof url !== 'string' || url === '') {
+    return url;
+  }
+
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname
+      .split('/')
+      .map(segment => KEY_LIKE_SEGMENT.test(segment) ? REDACTED : segment)
+      .join('/');
+    const query = [...parsed.searchParams.keys()].map(key => `${key}=${REDACTED}`).join('&');
+    const auth = parsed.username || parsed.password ? `${REDACTED}@` : '';
+    return `${parsed.protocol}//${auth}${parsed.host}${path}${query ? `?${query}` : ''}`;
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+function truncate(value, maxLength) {
+  return value.length > maxLength
+    ? `${value.slice(0, maxLength)}…(+${value.length - maxLength} chars)`
+    : value;
+}
+
+// Redacted, size-limited copy of a value for logging
+// options: { keys: substrings of object keys whose values are hidden, maxLength: characters kept per string }
+function redactValue(value, options = {}, depth = 0) {
+  const keys = (options.keys || []).map(key => key.toLowerCase());
+  const maxLength = options.maxLength || 2048;
+
+  if (typeof value === 'string') {
+    return truncate(value, maxLength);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => redactValue(item, options, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`…(+${value.length - MAX_ARRAY_ITEMS} items)`);
+    }
+    return items;
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    const lower = key.toLowerCase();
+    copy[key] = keys.some(sensitive => lower.includes(sensitive))
+      ? REDACTED
+      : redactValue(item, options, depth + 1);
+  }
+  return copy;
+}
+
+// Redacted copy of a JSON-RPC body (single call, batch, or answers)
+// Calls to methods in options.methods lose their params entirely; everything else goes through redactValue
+function redactRpcBody(body, options = {}) {
+  const methods = options.methods || [];
+  const hideParams = (call) => call && typeof call === 'object' && methods.includes(call.method)
+    ? { ...call, params: REDACTED }
+    : call;
+
+  const masked = Array.isArray(body) ? body.map(hideParams) : hideParams(body);
+  return redactValue(masked, options);
+}
+
+export { REDACTED, redactUrl, redactValue, redactRpcBody };
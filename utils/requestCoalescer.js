@@ -0,0 +1,94 @@
+// Coalesces identical in-flight JSON-RPC calls so they share one upstream request
+import { callKey } from './jsonRpc.js';
+
+// Methods that change state or depend on per-caller server state - never shared
+const NEVER_COALESCE = new Set([
+  'eth_sendRawTransaction',
+  'eth_sendTransaction',
+  'eth_sendRawTransactionConditional',
+  'eth_newFilter',
+  'eth_newBlockFilter',
+  'eth_newPendingTransactionFilter',
+  'eth_getFilterChanges',
+  'eth_getFilterLogs',
+  'eth_uninstallFilter',
+  'eth_subscribe',
+  'eth_unsubscribe'
+]);
+
+// eth_send covers writes we don't list by name, like bundle and private transaction submissions
+const NEVER_COALESCE_PREFIXES = ['personal_', 'eth_sign', 'eth_send', 'admin_', 'miner_'];
+
+function isCoalescable(method) {
+  if (NEVER_COALESCE.has(method)) return false;
+  return !NEVER_COALESCE_PREFIXES.some(prefix => method.startsWith(prefix));
+}
+
+class RequestCoalescer {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+
+    // key -> promise resolving to { response, usedFallback, upstream }
+    this.inFlight = new Map();
+
+    this.stats = {
+      leaders: 0,   // Calls that went upstream and were available to share
+      coalesced: 0  // Calls answered by another caller's upstream request
+    };
+  }
+
+  // Find an identical call that's already in flight
+  // Returns a promise for its result, or null if this call has to go upstream itself
+  join(call) {
+    if (!this.enabled || !isCoalescable(call.method)) return null;
+
+    const flight = this.inFlight.get(callKey(call));
+    if (!flight) return null;
+
+    this.stats.coalesced++;
+    return flight;
+  }
+
+  // Register a call that's about to go upstream so later identical calls can share it
+  // Returns resolve/reject handles - exactly one must be called once the upstream answers
+  lead(call) {
+    const noop = { resolve: () => {}, reject: () => {} };
+    if (!this.enabled || !isCoalescable(call.method)) return noop;
+
+    const key = callKey(call);
+    let resolve, reject;
+    const flight = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    // Followers handle rejections themselves - avoid unhandled rejection warnings when there are none
+    flight.catch(() => {});
+
+    this.inFlight.set(key, flight);
+    this.stats.leaders++;
+
+    const settle = (fn) => (value) => {
+      if (this.inFlight.get(key) === flight) {
+        this.inFlight.delete(key);
+      }
+      fn(value);
+    };
+
+    return { resolve: settle(resolve), reject: settle(reject) };
+  }
+
+  // Get coalescing statistics for monitoring
+  getStats() {
+    const total = this.stats.leaders + this.stats.coalesced;
+    return {
+      enabled: this.enabled,
+      inFlight: this.inFlight.size,
+      ...this.stats,
+      coalesceRate: total > 0
+        ? ((this.stats.coalesced / total) * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+}
+
+export { RequestCoalescer, isCoalescable };
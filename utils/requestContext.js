@@ -0,0 +1,48 @@
+// Per-request context - the request ID and whether the request's bodies are logged
+// Kept in AsyncLocalStorage so everything a request awaits (upstream calls, the pool, circuit
+// breakers) logs with its ID without passing it around. The ID is returned to the client in
+// X-Request-Id and sent on to the upstreams
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { loggingConfig } from '../config.js';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+// New context - keeps a well-formed incoming ID when trustRequestId is on, otherwise makes one
+// Body sampling is decided once, so a sampled request logs both its request and its response
+function createRequestContext(incomingId) {
+  const trusted = loggingConfig.trustRequestId && typeof incomingId === 'string' && VALID_REQUEST_ID.test(incomingId);
+  return {
+    requestId: trusted ? incomingId : crypto.randomUUID(),
+    sampled: Math.random() < loggingConfig.bodySampleRate,
+    startedAt: Date.now()
+  };
+}
+
+// Express middleware - must run before the body parser so early errors carry the ID too
+function requestContext(req, res, next) {
+  const context = createRequestContext(req.get(REQUEST_ID_HEADER));
+  req.requestId = context.requestId;
+  res.set(REQUEST_ID_HEADER, context.requestId);
+  storage.run(context, next);
+}
+
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+function getRequestId() {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+}
+
+export {
+  REQUEST_ID_HEADER,
+  requestContext,
+  createRequestContext,
+  getRequestContext,
+  getRequestId
+};
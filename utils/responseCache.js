@@ -0,0 +1,285 @@
+// In-process response cache for immutable and slow-changing JSON-RPC methods
+import { callKey, parseHexQuantity } from './jsonRpc.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('responseCache');
+
+// Cache classes
+const CACHE_CLASS = {
+  IMMUTABLE: 'immutable',   // Never changes once known (chain id, blocks by hash, finalized receipts)
+  PER_BLOCK: 'per-block',   // Valid until the chain head moves
+  UNCACHEABLE: 'uncacheable' // Writes, filters, subscriptions and anything we don't know about
+};
+
+// Methods whose result can never change
+const IMMUTABLE_METHODS = new Set([
+  'eth_chainId',
+  'net_version'
+]);
+
+// Methods addressed by block hash - the result is fixed once the block exists
+const HASH_ADDRESSED_METHODS = new Set([
+  'eth_getBlockByHash',
+  'eth_getBlockTransactionCountByHash',
+  'eth_getTransactionByBlockHashAndIndex',
+  'eth_getUncleCountByBlockHash'
+]);
+
+// Methods whose result is immutable only once its block is deep enough to be final
+// Maps method -> field of the result holding the block number
+const FINALITY_METHODS = new Map([
+  ['eth_getTransactionReceipt', 'blockNumber'],
+  ['eth_getTransactionByHash', 'blockNumber'],
+  ['eth_getBlockByNumber', 'number']
+]);
+
+// Methods that are safe to cache until the next block
+const PER_BLOCK_METHODS = new Set([
+  'eth_blockNumber',
+  'eth_gasPrice',
+  'eth_maxPriorityFeePerGas',
+  'eth_blobBaseFee',
+  'eth_feeHistory',
+  'eth_call',
+  'eth_estimateGas',
+  'eth_getBalance',
+  'eth_getCode',
+  'eth_getStorageAt',
+  'eth_getTransactionCount',
+  'eth_getLogs',
+  'eth_syncing'
+]);
+
+// Cacheable methods that take a block tag - maps method -> index of the tag in params
+const BLOCK_TAG_PARAMS = new Map([
+  ['eth_getBlockByNumber', 0],
+  ['eth_call', 1],
+  ['eth_estimateGas', 1],
+  ['eth_getBalance', 1],
+  ['eth_getCode', 1],
+  ['eth_getStorageAt', 2],
+  ['eth_getTransactionCount', 1],
+  ['eth_feeHistory', 1]
+]);
+
+// Calls against the pending block change with every transaction the node sees (a pending nonce
+// must go up as soon as a tx is sent), so they're never cached
+function readsPendingState(call) {
+  const params = Array.isArray(call.params) ? call.params : [];
+  if (call.method === 'eth_getLogs') {
+    const filter = params[0];
+    return Boolean(filter) && (filter.fromBlock === 'pending' || filter.toBlock === 'pending');
+  }
+  if (!BLOCK_TAG_PARAMS.has(call.method)) {
+    return false;
+  }
+  // Without a tag, clients read latest or pending depending on the implementation
+  const tag = params[BLOCK_TAG_PARAMS.get(call.method)];
+  return tag === undefined || tag === null || tag === 'pending';
+}
+
+// Classify a method into one of the cache classes
+function classifyMethod(method) {
+  // Finality-dependent methods count as immutable here; resolveClass() demotes
+  // results that aren't final yet to per-block when they're stored
+  if (IMMUTABLE_METHODS.has(method) || HASH_ADDRESSED_METHODS.has(method) || FINALITY_METHODS.has(method)) {
+    return CACHE_CLASS.IMMUTABLE;
+  }
+  if (PER_BLOCK_METHODS.has(method)) {
+    return CACHE_CLASS.PER_BLOCK;
+  }
+  return CACHE_CLASS.UNCACHEABLE;
+}
+
+// Classify a call - its method's class, unless it reads pending state
+function classifyCall(call) {
+  return readsPendingState(call) ? CACHE_CLASS.UNCACHEABLE : classifyMethod(call.method);
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.maxEntries = options.maxEntries || 10000;
+    this.perBlockTtl = options.perBlockTtl || 2000; // Upper bound when we haven't seen the head move
+    this.immutableTtl = options.immutableTtl || 24 * 60 * 60 * 1000;
+    this.finalityDepth = options.finalityDepth || 64; // Blocks before a receipt/tx/block is treated as final
+
+    // Map keeps insertion order, so the first key is always the least recently used
+    this.entries = new Map();
+    this.latestBlock = null;
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      stores: 0,
+      evictions: 0,
+      uncacheable: 0,
+      byClass: {
+        [CACHE_CLASS.IMMUTABLE]: { hits: 0, misses: 0 },
+        [CACHE_CLASS.PER_BLOCK]: { hits: 0, misses: 0 }
+      }
+    };
+
+    log.info(`Response cache ${this.enabled ? 'enabled' : 'disabled'} - max entries: ${this.maxEntries}, per-block TTL: ${this.perBlockTtl}ms, finality depth: ${this.finalityDepth}`);
+  }
+
+  // Look up a cached response for a call, returns null on a miss
+  get(call) {
+    if (!this.enabled) return null;
+
+    const cacheClass = classifyCall(call);
+    if (cacheClass === CACHE_CLASS.UNCACHEABLE) {
+      this.stats.uncacheable++;
+      return null;
+    }
+
+    const key = callKey(call);
+    const entry = this.entries.get(key);
+
+    if (entry && this.isFresh(entry)) {
+      // Move to the end so it's the most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.recordLookup(entry.cacheClass, true);
+      return entry.response;
+    }
+
+    if (entry) {
+      this.entries.delete(key);
+    }
+    this.recordLookup(cacheClass, false);
+    return null;
+  }
+
+  // Store an upstream response for a call if its method and result allow it
+  set(call, response) {
+    try {
+      if (!this.enabled || !response || response.error || response.result === undefined) {
+        return;
+      }
+
+      this.observeHead(call, response.result);
+
+      const cacheClass = readsPendingState(call) ? CACHE_CLASS.UNCACHEABLE : this.resolveClass(call, response.result);
+      if (cacheClass === CACHE_CLASS.UNCACHEABLE) {
+        return;
+      }
+
+      const key = callKey(call);
+      this.entries.delete(key);
+      this.entries.set(key, {
+        cacheClass,
+        response: { jsonrpc: response.jsonrpc || '2.0', result: response.result },
+        block: this.latestBlock,
+        storedAt: Date.now()
+      });
+      this.stats.stores++;
+
+      // Evict least recently used entries over the limit
+      while (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+        this.stats.evictions++;
+      }
+    } catch (error) {
+      // Caching must never break a request
+      log.error('⚠️  Error storing response in cache', { error: error.message });
+    }
+  }
+
+  // Decide the cache class for a concrete result
+  resolveClass(call, result) {
+    const method = call.method;
+    if (IMMUTABLE_METHODS.has(method)) {
+      return CACHE_CLASS.IMMUTABLE;
+    }
+
+    // Unknown hashes return null - they may exist later, so don't cache
+    if (HASH_ADDRESSED_METHODS.has(method)) {
+      return result === null ? CACHE_CLASS.UNCACHEABLE : CACHE_CLASS.IMMUTABLE;
+    }
+
+    const blockField = FINALITY_METHODS.get(method);
+    if (blockField) {
+      if (result === null || typeof result !== 'object') {
+        return CACHE_CLASS.UNCACHEABLE; // Pending or unknown
+      }
+      const blockNumber = parseHexQuantity(result[blockField]);
+      if (blockNumber === null) {
+        return CACHE_CLASS.UNCACHEABLE;
+      }
+      // A tag (latest, safe, finalized) names a different block once the head moves - only a
+      // block asked for by number can become immutable
+      if (method === 'eth_getBlockByNumber' && parseHexQuantity(Array.isArray(call.params) ? call.params[0] : undefined) === null) {
+        return CACHE_CLASS.PER_BLOCK;
+      }
+      if (this.latestBlock !== null && this.latestBlock - blockNumber >= this.finalityDepth) {
+        return CACHE_CLASS.IMMUTABLE;
+      }
+      return CACHE_CLASS.PER_BLOCK;
+    }
+
+    return PER_BLOCK_METHODS.has(method) ? CACHE_CLASS.PER_BLOCK : CACHE_CLASS.UNCACHEABLE;
+  }
+
+  // Track the chain head from responses passing through the proxy
+  observeHead(call, result) {
+    let blockNumber = null;
+    if (call.method === 'eth_blockNumber') {
+      blockNumber = parseHexQuantity(result);
+    } else if (call.method === 'eth_getBlockByNumber' && Array.isArray(call.params) && call.params[0] === 'latest' && result) {
+      blockNumber = parseHexQuantity(result.number);
+    }
+
+    if (blockNumber !== null) {
+      this.observeBlockNumber(blockNumber);
+    }
+  }
+
+  // Move the known head forward (never back) - also fed by the lag monitor
+  observeBlockNumber(blockNumber) {
+    if (this.latestBlock === null || blockNumber > this.latestBlock) {
+      this.latestBlock = blockNumber;
+    }
+  }
+
+  isFresh(entry) {
+    const age = Date.now() - entry.storedAt;
+    if (entry.cacheClass === CACHE_CLASS.IMMUTABLE) {
+      return age < this.immutableTtl;
+    }
+    // Per-block entries expire when the head moves or the TTL runs out
+    return age < this.perBlockTtl && entry.block === this.latestBlock;
+  }
+
+  recordLookup(cacheClass, hit) {
+    if (hit) {
+      this.stats.hits++;
+      this.stats.byClass[cacheClass].hits++;
+    } else {
+      this.stats.misses++;
+      this.stats.byClass[cacheClass].misses++;
+    }
+  }
+
+  // Drop every cached entry
+  clear() {
+    this.entries.clear();
+  }
+
+  // Get cache statistics for monitoring
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      latestBlock: this.latestBlock,
+      ...this.stats,
+      hitRate: lookups > 0
+        ? ((this.stats.hits / lookups) * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+}
+
+export { ResponseCache, CACHE_CLASS, classifyMethod, classifyCall };
@@ -0,0 +1,111 @@
+// Classify upstream JSON-RPC responses
+// An HTTP 2xx can still carry a provider-side failure (rate limit, internal error, missing state)
+// or stale data. Those count as circuit breaker failures and can be retried on another upstream.
+// Errors caused by the call itself (reverts, bad params, nonce too low) go back to the client as they are
+import { parseHexQuantity } from './jsonRpc.js';
+import { responseClassificationConfig } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('responseClassifier');
+
+const OUTCOME = {
+  OK: 'ok',
+  CLIENT_ERROR: 'client',
+  UPSTREAM_ERROR: 'upstream'
+};
+
+// A rule matches when every condition it sets matches - codes and/or message substrings
+function ruleMatches(rule, error) {
+  const message = typeof error.message === 'string' ? error.message.toLowerCase() : '';
+  const codeMatches = !Array.isArray(rule.codes) || rule.codes.includes(error.code);
+  const messageMatches = !Array.isArray(rule.messages) || rule.messages.some(pattern => message.includes(pattern.toLowerCase()));
+  return codeMatches && messageMatches;
+}
+
+// Head block number an answer reports, for calls that ask for the head
+function getReportedHead(call, response) {
+  if (call.method === 'eth_blockNumber') {
+    return parseHexQuantity(response.result);
+  }
+  if (call.method === 'eth_getBlockByNumber' && Array.isArray(call.params) && call.params[0] === 'latest' && response.result) {
+    return parseHexQuantity(response.result.number);
+  }
+  return null;
+}
+
+// Classify the answer to a single call
+// context.head is the highest block the proxy has seen from any upstream (null if none yet)
+// Returns { outcome, retryable, reason }
+function classifyCall(call, response, context = {}, config = responseClassificationConfig) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return { outcome: OUTCOME.UPSTREAM_ERROR, retryable: true, reason: 'missing response' };
+  }
+
+  if (response.error) {
+    const error = typeof response.error === 'object' ? response.error : { message: String(response.error) };
+    const rule = config.rules.find(candidate => ruleMatches(candidate, error));
+    const description = `${error.code ?? 'no code'} ${error.message || ''}`.trim();
+    if (rule) {
+      return { outcome: rule.outcome, retryable: !!rule.retryable, reason: `${rule.name}: ${description}` };
+    }
+    return { outcome: config.defaultOutcome, retryable: !!config.defaultRetryable, reason: `unclassified: ${description}` };
+  }
+
+  // An upstream whose head is well behind the best one we've seen is serving stale data
+  if (config.maxHeadLag !== undefined && context.head !== null && context.head !== undefined && call) {
+    const reported = getReportedHead(call, response);
+    if (reported !== null && context.head - reported > config.maxHeadLag) {
+      return { outcome: OUTCOME.UPSTREAM_ERROR, retryable: true, reason: `stale head: ${reported} is ${context.head - reported} blocks behind ${context.head}` };
+    }
+  }
+
+  return { outcome: OUTCOME.OK, retryable: false };
+}
+
+// Classify an upstream answer to a payload (single call or batch)
+// Batch members must carry unique ids, as proxy.js sends them
+// Returns { failure, reason, retry } - failure when any answer is an upstream error,
+// retry lists the calls from payload whose upstream error is retryable
+function classifyResponse(payload, data, context = {}, config = responseClassificationConfig) {
+  try {
+    if (!config.enabled) {
+      return { failure: false, retry: [] };
+    }
+
+    const calls = Array.isArray(payload) ? payload : [payload];
+    let answers;
+    if (!Array.isArray(payload)) {
+      answers = [data];
+    } else if (Array.isArray(data)) {
+      const byId = new Map();
+      data.forEach(item => {
+        if (item && typeof item === 'object') {
+          byId.set(item.id, item);
+        }
+      });
+      answers = calls.map(call => byId.get(call.id));
+    } else {
+      // One answer for the whole batch (e.g. a single rate-limit error)
+      answers = calls.map(() => data);
+    }
+
+    let reason = null;
+    const retry = [];
+    calls.forEach((call, index) => {
+      const verdict = classifyCall(call, answers[index], context, config);
+      if (verdict.outcome !== OUTCOME.UPSTREAM_ERROR) return;
+      reason = reason || verdict.reason;
+      if (verdict.retryable) {
+        retry.push(call);
+      }
+    });
+
+    return { failure: reason !== null, reason, retry };
+  } catch (error) {
+    // CRITICAL: Never break a response because classification failed - treat it as fine
+    log.error('⚠️  Error classifying upstream response (accepting it)', { error: error.message });
+    return { failure: false, retry: [] };
+  }
+}
+
+export { OUTCOME, classifyCall, classifyResponse };
@@ -0,0 +1,123 @@
+// Idempotency-aware retry policy for upstream requests
+// Every method has a retry class:
+// - safe: reads, retried on any failure
+// - conditional: retried only when the failure shows the upstream didn't process the call
+//   (connection refused, DNS failure, HTTP 429/503, or an error answer from the upstream)
+// - unsafe: never retried - a replay could act twice (e.g. eth_sendTransaction signs a new nonce)
+// Also sets how long to wait before a retry and how long each method may take upstream
+import { retryPolicyConfig } from '../config.js';
+
+const RETRY_CLASS = {
+  SAFE: 'safe',
+  CONDITIONAL: 'conditional',
+  UNSAFE: 'unsafe'
+};
+
+// Errors raised before the request left the proxy or reached the upstream
+const NOT_DELIVERED_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH']);
+// HTTP statuses upstreams use to refuse work without doing it
+const NOT_PROCESSED_STATUSES = new Set([429, 503]);
+
+// Statistics tracking for monitoring
+const stats = {
+  retried: { safe: 0, conditional: 0, unsafe: 0 },
+  notRetried: { safe: 0, conditional: 0, unsafe: 0 }
+};
+
+function getNamespace(method) {
+  const separator = method.indexOf('_');
+  return separator > 0 ? method.substring(0, separator) : method;
+}
+
+function hasRule(rules, key) {
+  return !!rules && Object.prototype.hasOwnProperty.call(rules, key);
+}
+
+// Retry class for a method - exact method, then namespace, then the default
+function getRetryClass(method) {
+  if (typeof method !== 'string') return retryPolicyConfig.defaultClass;
+  if (hasRule(retryPolicyConfig.methods, method)) {
+    return retryPolicyConfig.methods[method];
+  }
+  const namespace = getNamespace(method);
+  if (hasRule(retryPolicyConfig.namespaces, namespace)) {
+    return retryPolicyConfig.namespaces[namespace];
+  }
+  return retryPolicyConfig.defaultClass;
+}
+
+// Whether a failed request provably never got processed upstream
+function wasNotDelivered(error) {
+  if (!error) return false;
+  if (error.response) {
+    return NOT_PROCESSED_STATUSES.has(error.response.status);
+  }
+  return NOT_DELIVERED_CODES.has(error.code);
+}
+
+// Split calls into the ones that may be retried and the ones that may not
+// retryNumber is the retry about to happen (1 for the first retry)
+// failure is { error } for a failed request or { answered: true } when the upstream answered with an error
+// Returns { retry, skipped }
+function planRetry(calls, retryNumber, failure = {}) {
+  const retry = [];
+  const skipped = [];
+
+  for (const call of calls) {
+    const retryClass = getRetryClass(call.method);
+    const maxRetries = retryPolicyConfig.retries[retryClass] ?? 0;
+
+    let allowed = retryNumber <= maxRetries;
+    if (allowed && retryClass === RETRY_CLASS.CONDITIONAL) {
+      allowed = !!failure.answered || wasNotDelivered(failure.error);
+    } else if (retryClass === RETRY_CLASS.UNSAFE) {
+      allowed = false;
+    }
+
+    if (allowed) {
+      retry.push(call);
+      stats.retried[retryClass] = (stats.retried[retryClass] || 0) + 1;
+    } else {
+      skipped.push(call);
+      stats.notRetried[retryClass] = (stats.notRetried[retryClass] || 0) + 1;
+    }
+  }
+
+  return { retry, skipped };
+}
+
+// Delay in ms before a retry (1 for the first retry) - exponential backoff up to maxDelay
+function getRetryDelay(retryNumber) {
+  const { initialDelay, multiplier, maxDelay } = retryPolicyConfig.backoff;
+  if (!initialDelay || retryNumber < 1) return 0;
+  return Math.min(maxDelay, initialDelay * Math.pow(multiplier, retryNumber - 1));
+}
+
+// Timeout in ms for a request carrying these calls - the slowest method's timeout
+function getRequestTimeout(calls, defaultTimeout) {
+  return calls.reduce((timeout, call) => {
+    const methodTimeout = call && hasRule(retryPolicyConfig.timeouts, call.method)
+      ? retryPolicyConfig.timeouts[call.method]
+      : defaultTimeout;
+    return Math.max(timeout, methodTimeout);
+  }, 0) || defaultTimeout;
+}
+
+// Get retry policy statistics (for monitoring)
+function getRetryPolicyStats() {
+  return {
+    retries: retryPolicyConfig.retries,
+    backoff: retryPolicyConfig.backoff,
+    ...stats
+  };
+}
+
+export {
+  RETRY_CLASS,
+  getRetryClass,
+  wasNotDelivered,
+  planRetry,
+  getRetryDelay,
+  getRequestTimeout,
+  getRetryPolicyStats
+};
@@ -1,5 +1,8 @@
 import TelegramBot from "node-telegram-bot-api";
 import dotenv from "dotenv";
+import { createLogger } from './logger.js';
+
+const log = createLogger('telegramUtils');
 
 dotenv.config();
 
@@ -15,17 +18,17 @@ try {
       ? process.env.TELEGRAM_CHAT_IDS.split(",").map((id) => id.trim())
       : [];
   } else {
-    console.warn('⚠️  TELEGRAM_BOT_TOKEN not found in environment variables - Telegram alerts disabled');
+    log.warn('⚠️  TELEGRAM_BOT_TOKEN not found in environment variables - Telegram alerts disabled');
   }
 } catch (error) {
-  console.error('❌ Failed to initialize Telegram bot:', error.message);
+  log.error('❌ Failed to initialize Telegram bot', { error: error.message });
   telegramBot = null;
 }
 
 function sendTelegramAlert(message, errorCode) {
   // Early return if Telegram is not configured
   if (!telegramBot || TELEGRAM_CHAT_IDS.length === 0) {
-    console.log('📝 Telegram alert (not sent - not configured):', message.substring(0, 100) + '...');
+    log.info('📝 Telegram alert (not sent - not configured)', { errorCode, message: message.substring(0, 100) + '...' });
     return;
   }
 
@@ -33,13 +36,13 @@ function sendTelegramAlert(message, errorCode) {
     try {
       telegramBot
         .sendMessage(chatId, message)
-        .then(() => console.log(`✅ Telegram alert sent to ${chatId}!`))
+        .then(() => log.info(`✅ Telegram alert sent to ${chatId}!`, { errorCode }))
         .catch((err) => {
-          console.error(`❌ Telegram alert error for ${chatId}:`, err.message);
+          log.error(`❌ Telegram alert error for ${chatId}`, { error: err.message });
           // Don't throw - just log the error
         });
     } catch (error) {
-      console.error(`❌ Failed to send Telegram alert to ${chatId}:`, error.message);
+      log.error(`❌ Failed to send Telegram alert to ${chatId}`, { error: error.message });
       // Don't throw - just log the error
     }
   });
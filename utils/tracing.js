@@ -0,0 +1,192 @@
+// Distributed tracing with OpenTelemetry
+// One server span per HTTP request (continuing the caller's trace when it sends a traceparent),
+// a client span per upstream attempt and a span per background count flush. Spans are batched
+// and exported over OTLP/HTTP to a collector. Until startTracing() runs, every helper here works
+// on no-op spans, so instrumented code never checks whether tracing is on
+// Tracing never breaks a request - a failed export is logged and the spans are dropped
+import { trace, context, propagation, diag, DiagLogLevel, SpanKind, SpanStatusCode, ROOT_CONTEXT } from '@opentelemetry/api';
+import { NodeTracerProvider, BatchSpanProcessor, ParentBasedSampler, TraceIdRatioBasedSampler } from '@opentelemetry/sdk-trace-node';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { ATTR_SERVICE_NAME } from '@opentelemetry/semantic-conventions';
+import { redactUrl } from './redact.js';
+import { tracingConfig } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tracing');
+
+const tracer = trace.getTracer('rpc-proxy');
+let provider = null;
+
+// Read at startup - TRACING_ENABLED may come from .env, loaded after config.js
+function isTracingEnabled() {
+  const env = process.env.TRACING_ENABLED;
+  return env ? env === 'true' : tracingConfig.enabled;
+}
+
+function getEndpoint() {
+  if (tracingConfig.endpoint) return tracingConfig.endpoint;
+  if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) return `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces`;
+  return 'http://localhost:4318/v1/traces';
+}
+
+// Start recording and exporting spans - once, at startup
+// Returns whether tracing is on
+function startTracing() {
+  if (provider) return true;
+  if (!isTracingEnabled()) return false;
+
+  try {
+    // The SDK reports export failures through diag - send them to our log
+    const report = (...args) => log.warn('⚠️  Tracing: the OpenTelemetry SDK reported a problem (e.g. a failed export)', {
+      details: args.map(String).join(' ').slice(0, 1000)
+    });
+    diag.setLogger({
+      error: report,
+      warn: report,
+      info: () => {},
+      debug: () => {},
+      verbose: () => {}
+    }, DiagLogLevel.WARN);
+
+    const endpoint = getEndpoint();
+    provider = new NodeTracerProvider({
+      resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: tracingConfig.serviceName }),
+      // New traces are sampled by ratio; a trace started by the caller keeps the caller's decision
+      sampler: new ParentBasedSampler({ root: new TraceIdRatioBasedSampler(tracingConfig.sampleRatio) }),
+      spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter({
+        url: endpoint,
+        headers: tracingConfig.headers,
+        timeoutMillis: tracingConfig.exportTimeout
+      }))]
+    });
+    // Sets up the async context (spans follow awaits) and W3C traceparent propagation
+    provider.register();
+
+    log.info(`🔭 Tracing enabled - exporting to ${redactUrl(endpoint)}`, { endpoint: redactUrl(endpoint), sampleRatio: tracingConfig.sampleRatio });
+    return true;
+  } catch (error) {
+    provider = null;
+    log.error('❌ Failed to start tracing - continuing without it', { error });
+    return false;
+  }
+}
+
+// Export the spans still buffered and stop - used on shutdown
+async function stopTracing() {
+  if (!provider) return;
+  try {
+    await provider.shutdown();
+  } catch (error) {
+    log.warn('⚠️  Tracing: failed to export the last spans', { error: error.message });
+  }
+  provider = null;
+}
+
+function markSpanFailed(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+// Express middleware - one server span per request, active while the request is handled
+// Named after the matched route when the response is sent (e.g. "POST /"), so arbitrary paths don't make new span names
+function tracingMiddleware(req, res, next) {
+  if (!provider) {
+    return next();
+  }
+
+  const parent = tracingConfig.trustIncomingContext ? propagation.extract(ROOT_CONTEXT, req.headers) : ROOT_CONTEXT;
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'proxy.request_id': req.requestId
+    }
+  }, parent);
+
+  let ended = false;
+  const end = (aborted) => {
+    if (ended) return;
+    ended = true;
+    if (req.route) {
+      span.updateName(`${req.method} ${req.route.path}`);
+      span.setAttribute('http.route', req.route.path);
+    }
+    span.setAttribute('http.response.status_code', res.statusCode);
+    if (aborted) {
+      span.setAttribute('proxy.aborted', true);
+    }
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+    span.end();
+  };
+  res.once('finish', () => end(false));
+  res.once('close', () => end(!res.writableFinished));
+
+  context.with(trace.setSpan(parent, span), next);
+}
+
+// Start a span without making it active - run code under it with runInSpan, finish it with endSpan
+function startSpan(name, attributes = {}, kind = SpanKind.INTERNAL) {
+  return tracer.startSpan(name, { kind, attributes });
+}
+
+function runInSpan(span, fn) {
+  return context.with(trace.setSpan(context.active(), span), fn);
+}
+
+// End a span with extra attributes - failed when error is given
+function endSpan(span, error = null, attributes = {}) {
+  span.setAttributes(attributes);
+  if (error) {
+    markSpanFailed(span, error);
+  }
+  span.end();
+}
+
+// Run fn(span) in a new active span, ended when fn settles - a thrown error fails the span and is rethrown
+function withSpan(name, attributes, fn) {
+  return tracer.startActiveSpan(name, { attributes }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      markSpanFailed(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Add attributes to the active span, e.g. the request's span from a route handler
+function setSpanAttributes(attributes) {
+  const span = trace.getActiveSpan();
+  if (span) {
+    span.setAttributes(attributes);
+  }
+}
+
+// Add traceparent for the active span to outgoing upstream headers
+function injectTraceHeaders(headers) {
+  if (provider && tracingConfig.propagateToUpstreams) {
+    propagation.inject(context.active(), headers);
+  }
+  return headers;
+}
+
+export {
+  SpanKind,
+  startTracing,
+  stopTracing,
+  tracingMiddleware,
+  startSpan,
+  runInSpan,
+  endSpan,
+  withSpan,
+  markSpanFailed,
+  setSpanAttributes,
+  injectTraceHeaders
+};
@@ -0,0 +1,174 @@
+// Opt-in capture of live traffic for load tests and provider evaluations
+// A sample of POST / requests is appended to a JSONL file once each response is sent: the calls
+// (method and params), an anonymized client IP, the origin, the upstream that answered, the latency
+// and the HTTP status. database_scripts/replayCapture.js replays a capture against any proxy URL
+// Capturing never affects a request - a failed write disables capture and is logged
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { REDACTED } from './redact.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('trafficCapture');
+
+class TrafficCapture {
+  constructor(options = {}) {
+    // CAPTURE_ENABLED may come from .env, loaded after config.js
+    const env = process.env.CAPTURE_ENABLED;
+    this.enabled = env ? env === 'true' : options.enabled === true;
+    this.file = options.file || 'capture/requests.jsonl';
+    this.sampleRate = options.sampleRate ?? 0.01;
+    this.maxBytes = options.maxBytes || 100 * 1024 * 1024; // capture stops once the file reaches this size
+    this.maxEntryBytes = options.maxEntryBytes || 64 * 1024; // larger requests are recorded without params
+    this.redactMethods = new Set(options.redactMethods || []);
+    this.getClientIP = options.getClientIP || (req => req.socket?.remoteAddress || 'unknown');
+
+    // IPs are hashed with a salt - a fixed CAPTURE_IP_SALT keeps them comparable across restarts
+    this.ipSalt = process.env.CAPTURE_IP_SALT || crypto.randomBytes(16).toString('hex');
+
+    this.stream = null;
+    this.bytes = 0;
+    this.stopReason = null;
+    this.stats = {
+      captured: 0,
+      withoutParams: 0,
+      writeErrors: 0
+    };
+  }
+
+  start() {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.bytes = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+      this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+      this.stream.on('error', (error) => {
+        this.stats.writeErrors++;
+        this.stop(`write failed: ${error.message}`);
+      });
+      log.info(`🎥 Capturing ${this.sampleRate * 100}% of requests to ${this.file}`, { file: this.file, sampleRate: this.sampleRate, bytes: this.bytes });
+    } catch (error) {
+      this.stream = null;
+      this.stopReason = `could not open ${this.file}: ${error.message}`;
+      log.error('❌ Failed to start traffic capture - continuing without it', { file: this.file, error });
+    }
+  }
+
+  // Stop capturing - on shutdown, or when the file is full or can't be written
+  stop(reason = null) {
+    if (!this.stream) {
+      return;
+    }
+    if (reason) {
+      this.stopReason = reason;
+      log.warn(`⚠️  Traffic capture stopped - ${reason}`, { file: this.file, captured: this.stats.captured, bytes: this.bytes });
+    }
+    this.stream.end();
+    this.stream = null;
+  }
+
+  isCapturing() {
+    return this.stream !== null;
+  }
+
+  anonymizeIP(ip) {
+    return crypto.createHmac('sha256', this.ipSalt).update(String(ip)).digest('hex').slice(0, 16);
+  }
+
+  // { method, params } of a call - params of redactMethods calls are never written
+  describeCall(call) {
+    if (!call || typeof call !== 'object' || typeof call.method !== 'string') {
+      return { method: null, params: null };
+    }
+    return {
+      method: call.method,
+      params: this.redactMethods.has(call.method) ? REDACTED : call.params
+    };
+  }
+
+  // Express middleware - decides per request whether it's captured and records it once the response is sent
+  // The route puts the upstream that answered each call in res.locals.servedBy (see proxy.js)
+  middleware() {
+    return (req, res, next) => {
+      if (!this.stream || req.method !== 'POST' || req.path !== '/' || Math.random() >= this.sampleRate) {
+        return next();
+      }
+
+      const startedAt = Date.now();
+      res.once('finish', () => {
+        try {
+          this.record(req, res, Date.now() - startedAt);
+        } catch (error) {
+          log.warn('⚠️  Failed to capture request', { error: error.message });
+        }
+      });
+      next();
+    };
+  }
+
+  record(req, res, latencyMs) {
+    if (!this.stream) {
+      return;
+    }
+
+    const body = req.body;
+    const isBatch = Array.isArray(body);
+    const calls = (isBatch ? body : [body]).map(call => this.describeCall(call));
+    const servedBy = res.locals.servedBy;
+
+    const entry = {
+      timestamp: new Date(Date.now() - latencyMs).toISOString(),
+      requestId: req.requestId,
+      ...(isBatch ? { method: 'batch', calls } : calls[0]),
+      ip: this.anonymizeIP(this.getClientIP(req)),
+      origin: req.headers.origin || null,
+      // Where the answers came from, e.g. "primary" or "cache,primary" - "rejected" when the
+      // request was turned away before any call was answered
+      upstream: Array.isArray(servedBy)
+        ? [...new Set(Array.from(servedBy, name => name || 'failed'))].sort().join(',')
+        : 'rejected',
+      latencyMs,
+      status: res.statusCode
+    };
+
+    let line = JSON.stringify(entry);
+    if (Buffer.byteLength(line) > this.maxEntryBytes) {
+      // Keep the request in the capture, without what made it big - replay skips it
+      delete entry.params;
+      if (entry.calls) {
+        entry.calls = entry.calls.map(call => ({ method: call.method }));
+      }
+      entry.paramsOmitted = true;
+      line = JSON.stringify(entry);
+      this.stats.withoutParams++;
+    }
+    line += '\n';
+
+    const size = Buffer.byteLength(line);
+    if (this.bytes + size > this.maxBytes) {
+      this.stop(`${this.file} reached ${this.maxBytes} bytes`);
+      return;
+    }
+    this.bytes += size;
+    this.stats.captured++;
+    this.stream.write(line);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      capturing: this.isCapturing(),
+      file: this.enabled ? this.file : null,
+      sampleRate: this.sampleRate,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      stoppedBecause: this.stopReason,
+      ...this.stats
+    };
+  }
+}
+
+export { TrafficCapture };
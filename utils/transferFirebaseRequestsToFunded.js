@@ -1,6 +1,9 @@
 import { db } from './firebaseClient.js';
 import { getRequestsOutstandingFromFirebase } from './getRequestsOutstandingFromFirebase.js';
 import { clearRequestsOutstandingFromFirebase } from './clearRequestsOutstandingFromFirebase.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('transferFirebaseRequestsToFunded');
 
 const firebaseCollection = process.env.FIREBASE_COLLECTION;
 
@@ -11,7 +14,7 @@ async function transferFirebaseRequestsToFunded() {
     const urlListSnap = await urlListRef.get();
     
     if (!urlListSnap.exists) {
-      console.log("No urlList document found");
+      log.info("No urlList document found");
       return;
     }
 
@@ -33,14 +36,14 @@ async function transferFirebaseRequestsToFunded() {
             urlListData[url].requestsRemaining = remaining - outstanding;
             urlListData[url].requestsOutstanding = 0;
             totalCovered += covered;
-            console.log(`${url}: Covered all ${covered} outstanding requests. Remaining: ${remaining - outstanding}, Outstanding: 0`);
+            log.info(`${url}: Covered all ${covered} outstanding requests. Remaining: ${remaining - outstanding}, Outstanding: 0`);
           } else {
             // Not enough funded requests to cover all outstanding
             const covered = remaining;
             urlListData[url].requestsRemaining = 0;
             urlListData[url].requestsOutstanding = outstanding - remaining;
             totalCovered += covered;
-            console.log(`${url}: Covered ${covered} outstanding requests. Remaining: 0, Outstanding: ${outstanding - remaining}`);
+            log.info(`${url}: Covered ${covered} outstanding requests. Remaining: 0, Outstanding: ${outstanding - remaining}`);
           }
         }
       }
@@ -58,14 +61,14 @@ async function transferFirebaseRequestsToFunded() {
       requestCountData.totalFundedRequests = (requestCountData.totalFundedRequests || 0) + totalCovered;
       await requestCountRef.set(requestCountData);
       
-      console.log(`Transfer completed. Total outstanding requests covered: ${totalCovered}`);
-      console.log(`Updated totalFundedRequests to: ${requestCountData.totalFundedRequests}`);
+      log.info(`Transfer completed. Total outstanding requests covered: ${totalCovered}`);
+      log.info(`Updated totalFundedRequests to: ${requestCountData.totalFundedRequests}`);
     } else {
-      console.log("No transfers needed - no URLs with both outstanding and remaining requests.");
+      log.info("No transfers needed - no URLs with both outstanding and remaining requests.");
     }
 
   } catch (error) {
-    console.error("Error in transferFirebaseRequestsToFunded:", error);
+    log.error("Error in transferFirebaseRequestsToFunded", { error });
     throw error;
   }
 }
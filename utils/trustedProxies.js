@@ -0,0 +1,44 @@
+// Lists of IPs and CIDR ranges, and which connections may tell us the client's IP
+// Forwarded headers (CF-Connecting-IP, X-Forwarded-For, ...) are whatever the sender put there, so
+// they're only believed on connections from a load balancer or CDN in clientIPConfig.trustedProxies
+import net from 'net';
+
+// Strip the IPv4-mapped IPv6 prefix (::ffff:1.2.3.4 -> 1.2.3.4)
+function normalizeIP(ip) {
+  return typeof ip === 'string' && ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+// A net.BlockList of IPs and CIDR ranges, or null for an empty list - throws on an invalid entry
+function createAddressList(entries = []) {
+  if (entries.length === 0) {
+    return null;
+  }
+  const list = new net.BlockList();
+  entries.forEach(entry => {
+    const [address, prefix] = String(entry).trim().split('/');
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid address: ${entry}`);
+    }
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, Number(prefix), type);
+    }
+  });
+  return list;
+}
+
+function isInAddressList(list, ip) {
+  if (!list || !net.isIP(ip || '')) {
+    return false;
+  }
+  return list.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+// The address the connection comes from - the only one the client can't choose
+function getSocketIP(req) {
+  return normalizeIP(req.socket?.remoteAddress) || 'unknown';
+}
+
+export { normalizeIP, createAddressList, isInAddressList, getSocketIP };
@@ -0,0 +1,174 @@
+// Raw transaction broadcast
+// When enabled, eth_sendRawTransaction goes to every healthy upstream in parallel instead of one,
+// so a flaky mempool on one provider doesn't keep a transaction from being included.
+// The first answer carrying the transaction's hash is served; once every upstream has answered
+// the answers are reconciled into one verdict for logs and /status:
+// - agreed: every upstream returned the hash
+// - already-known: upstreams without a hash said they already had the transaction - still a success
+// - conflict: upstreams disagreed (different hashes, or a real rejection next to a hash)
+// - rejected: no hash, every upstream rejected it
+// - failed: no upstream answered at all
+import ethers from 'ethers';
+import { broadcastConfig } from '../config.js';
+
+const VERDICT = {
+  AGREED: 'agreed',
+  ALREADY_KNOWN: 'already-known',
+  CONFLICT: 'conflict',
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+// Error messages nodes use when they already have the transaction in their pool or chain
+const ALREADY_KNOWN_MESSAGES = [
+  'already known',
+  'known transaction',
+  'already imported',
+  'alreadyknown',
+  'transaction already exists',
+  'already in mempool'
+];
+
+// Statistics tracking for monitoring
+const stats = {
+  broadcasts: 0,
+  skipped: 0, // fewer than two healthy upstreams - sent the usual way
+  verdicts: {
+    [VERDICT.AGREED]: 0,
+    [VERDICT.ALREADY_KNOWN]: 0,
+    [VERDICT.CONFLICT]: 0,
+    [VERDICT.REJECTED]: 0,
+    [VERDICT.FAILED]: 0
+  },
+  lastConflict: null // { time, hash, answers }
+};
+
+// Whether a call should be broadcast
+function shouldBroadcast(call) {
+  return broadcastConfig.enabled && !!call && broadcastConfig.methods.includes(call.method);
+}
+
+// Hash of a signed raw transaction, or null if it isn't valid hex
+function getTransactionHash(call) {
+  const rawTransaction = call && Array.isArray(call.params) ? call.params[0] : null;
+  if (typeof rawTransaction !== 'string') return null;
+  try {
+    return ethers.utils.keccak256(rawTransaction).toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function isTransactionHash(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+}
+
+// Whether an upstream answer carries the transaction's hash
+// Without an expected hash any 32-byte hash is accepted
+function isValidHashAnswer(data, expectedHash) {
+  if (!data || typeof data !== 'object' || !isTransactionHash(data.result)) return false;
+  return !expectedHash || data.result.toLowerCase() === expectedHash;
+}
+
+function isAlreadyKnown(data) {
+  const message = data && data.error && typeof data.error.message === 'string'
+    ? data.error.message.toLowerCase()
+    : '';
+  return ALREADY_KNOWN_MESSAGES.some(known => message.includes(known));
+}
+
+// Short description of one upstream's answer, for logs and /status
+function describeAnswer(answer) {
+  if (answer.error) return `${answer.upstream.name}: ${answer.error.message}`;
+  const data = answer.response.data;
+  if (data && data.error) return `${answer.upstream.name}: ${data.error.code} ${data.error.message}`;
+  return `${answer.upstream.name}: ${data && data.result}`;
+}
+
+// Reconcile every upstream's answer to one broadcast
+// answers: [{ upstream, response } | { upstream, error }] in upstream priority order
+// Returns { verdict, served } - served is the answer to hand the client (null when nobody answered)
+function reconcileBroadcast(call, answers, expectedHash) {
+  const answered = answers.filter(answer => answer.response);
+  const hashes = answered.filter(answer => isValidHashAnswer(answer.response.data, expectedHash));
+  const known = answered.filter(answer => isAlreadyKnown(answer.response.data));
+  const rejected = answered.filter(answer => !hashes.includes(answer) && !known.includes(answer));
+  const distinctHashes = new Set(answered
+    .map(answer => answer.response.data && answer.response.data.result)
+    .filter(isTransactionHash)
+    .map(hash => hash.toLowerCase()));
+
+  if (answered.length === 0) {
+    return { verdict: VERDICT.FAILED, served: null };
+  }
+
+  if (hashes.length > 0) {
+    let verdict = VERDICT.ALREADY_KNOWN;
+    if (rejected.length > 0 || distinctHashes.size > 1) {
+      verdict = VERDICT.CONFLICT;
+    } else if (known.length === 0) {
+      verdict = VERDICT.AGREED;
+    }
+    return { verdict, served: hashes[0] };
+  }
+
+  if (known.length > 0) {
+    // At least one mempool has it - answer with the hash like a fresh submission would.
+    // A rejection next to it (e.g. "nonce too low" from a node that already saw it mined) is still a conflict
+    const verdict = rejected.length > 0 ? VERDICT.CONFLICT : VERDICT.ALREADY_KNOWN;
+    const source = known[0];
+    const data = expectedHash
+      ? { jsonrpc: '2.0', id: source.response.data.id, result: expectedHash }
+      : source.response.data;
+    return { verdict, served: { ...source, response: { ...source.response, data } } };
+  }
+
+  // No hash anywhere - serve the highest priority rejection. Different rejections
+  // (e.g. "nonce too low" next to "insufficient funds") mean the upstreams disagree
+  const messages = new Set(rejected.map(answer => {
+    const error = answer.response.data && answer.response.data.error;
+    return error ? `${error.code} ${error.message}` : JSON.stringify(answer.response.data);
+  }));
+  const verdict = messages.size > 1 ? VERDICT.CONFLICT : VERDICT.REJECTED;
+  return { verdict, served: rejected[0] };
+}
+
+// Record a finished broadcast
+function recordBroadcast(verdict, expectedHash, answers) {
+  stats.broadcasts++;
+  stats.verdicts[verdict] = (stats.verdicts[verdict] || 0) + 1;
+  if (verdict === VERDICT.CONFLICT) {
+    stats.lastConflict = {
+      time: Date.now(),
+      hash: expectedHash,
+      answers: answers.map(describeAnswer)
+    };
+  }
+}
+
+// Record a broadcastable call that went to a single upstream
+function recordBroadcastSkipped() {
+  stats.skipped++;
+}
+
+// Get broadcast statistics (for monitoring)
+function getBroadcastStats() {
+  return {
+    enabled: broadcastConfig.enabled,
+    methods: broadcastConfig.methods,
+    ...stats
+  };
+}
+
+export {
+  VERDICT,
+  shouldBroadcast,
+  getTransactionHash,
+  isValidHashAnswer,
+  isAlreadyKnown,
+  describeAnswer,
+  reconcileBroadcast,
+  recordBroadcast,
+  recordBroadcastSkipped,
+  getBroadcastStats
+};
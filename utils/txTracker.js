@@ -0,0 +1,378 @@
+// Tracking of transactions relayed through the proxy
+// Every eth_sendRawTransaction is decoded (hash, sender, nonce, to, chain id) and stored with the
+// origin and IP that submitted it. A background job polls an upstream for each pending transaction:
+// - included: a receipt exists (receiptStatus tells success from revert)
+// - replaced: no receipt, but the sender's nonce has been used by another transaction
+// - dropped: no receipt, nonce unused, and no upstream has known the transaction for dropAfter seconds
+// - rejected: every submission was answered with an error (e.g. nonce too low)
+// Records live in memory for retention seconds, so "my transaction disappeared" reports can be looked up
+import axios from 'axios';
+import https from 'https';
+import ethers from 'ethers';
+import { parseHexQuantity } from './jsonRpc.js';
+import { mapWithConcurrency } from './batchSplitter.js';
+import { isAlreadyKnown } from './txBroadcast.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('txTracker');
+
+const TX_STATUS = {
+  PENDING: 'pending',
+  INCLUDED: 'included',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped',
+  REJECTED: 'rejected'
+};
+
+const MAX_SUBMISSIONS_PER_TX = 20; // submissions kept per transaction - the count keeps going
+const POLL_CONCURRENCY = 4;
+
+const OTHER_ORIGIN = 'other';
+
+function emptyOriginStats() {
+  return { submitted: 0, accepted: 0, rejected: 0, included: 0, reverted: 0, replaced: 0, dropped: 0 };
+}
+
+class TransactionTracker {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.upstreamPool = options.upstreamPool;
+    this.methods = options.methods || ['eth_sendRawTransaction'];
+    this.interval = options.interval || 15; // seconds between receipt polls
+    this.timeout = options.timeout || 5000; // ms per upstream request
+    this.maxPollPerRound = options.maxPollPerRound || 50; // pending transactions checked per poll
+    this.dropAfter = options.dropAfter || 600; // seconds unknown to the upstream before a transaction counts as dropped
+    this.retention = options.retention || 86400; // seconds a transaction is kept after its last submission
+    this.maxTransactions = options.maxTransactions || 10000;
+    this.maxOrigins = options.maxOrigins || 1000; // origins get their own counters up to this many
+
+    this.transactions = new Map(); // hash -> record, oldest first
+    this.byOrigin = {}; // origin -> counters
+    this.stats = {
+      undecodable: 0,
+      polls: 0,
+      checked: 0,
+      pollErrors: 0,
+      lastPoll: 0
+    };
+    this.isPolling = false;
+    this.timer = null;
+    this.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+  }
+
+  start() {
+    if (!this.enabled) {
+      log.info('Transaction tracking disabled');
+      return;
+    }
+
+    log.info(`Transaction tracking enabled - receipts polled every ${this.interval}s, kept for ${this.retention}s`);
+    this.timer = setInterval(() => {
+      try {
+        this.poll();
+      } catch (error) {
+        log.error('Critical error in transaction tracker interval', { error });
+        this.isPolling = false;
+      }
+    }, this.interval * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isTracked(call) {
+    return this.enabled && !!call && this.methods.includes(call.method);
+  }
+
+  // Counters for an origin - the origin is whatever the client sent, so past maxOrigins new ones
+  // share the "other" counters instead of growing the map without end
+  countFor(origin) {
+    if (!this.byOrigin[origin] && Object.keys(this.byOrigin).length >= this.maxOrigins) {
+      origin = OTHER_ORIGIN;
+    }
+    if (!this.byOrigin[origin]) {
+      this.byOrigin[origin] = emptyOriginStats();
+    }
+    return this.byOrigin[origin];
+  }
+
+  // Record a submission and the answer the client got
+  // source: { origin, ip }
+  recordSubmission(call, response, source = {}) {
+    try {
+      if (!this.isTracked(call)) return;
+
+      let decoded;
+      try {
+        decoded = ethers.utils.parseTransaction(call.params[0]);
+      } catch (error) {
+        decoded = null;
+      }
+      if (!decoded || !decoded.hash || !decoded.from) {
+        this.stats.undecodable++;
+        return;
+      }
+
+      const hash = decoded.hash.toLowerCase();
+      const origin = source.origin || 'unknown';
+      const now = Date.now();
+      const error = response && response.error ? response.error : null;
+      const accepted = !!response && (typeof response.result === 'string' || isAlreadyKnown(response));
+
+      let record = this.transactions.get(hash);
+      if (!record) {
+        record = {
+          hash,
+          from: decoded.from.toLowerCase(),
+          nonce: decoded.nonce,
+          to: decoded.to ? decoded.to.toLowerCase() : null,
+          chainId: decoded.chainId,
+          type: decoded.type ?? 0, // legacy transactions decode without a type
+          origin,
+          status: TX_STATUS.REJECTED,
+          firstSubmitted: now,
+          lastSubmitted: now,
+          submissionCount: 0,
+          submissions: [],
+          lastSeenPending: 0,
+          lastChecked: 0,
+          nonceUsedAt: null, // first poll that saw the nonce used without a receipt
+          blockNumber: null,
+          blockHash: null,
+          receiptStatus: null,
+          gasUsed: null,
+          replacedBy: null,
+          resolvedAt: null
+        };
+        this.transactions.set(hash, record);
+      }
+
+      record.lastSubmitted = now;
+      record.submissionCount++;
+      record.submissions.push({
+        time: now,
+        origin,
+        ip: source.ip || 'unknown',
+        accepted,
+        error: error ? `${error.code} ${error.message}` : null
+      });
+      if (record.submissions.length > MAX_SUBMISSIONS_PER_TX) {
+        record.submissions.shift();
+      }
+
+      const counts = this.countFor(origin);
+      counts.submitted++;
+      if (accepted) {
+        counts.accepted++;
+        // A resubmission brings a rejected or dropped transaction back to pending
+        if (record.status === TX_STATUS.REJECTED || record.status === TX_STATUS.DROPPED) {
+          record.status = TX_STATUS.PENDING;
+          record.resolvedAt = null;
+        }
+      } else {
+        counts.rejected++;
+      }
+
+      log.info(`🧾 Tracking ${hash} from ${record.from} nonce ${record.nonce} (${accepted ? 'accepted' : 'rejected'}, origin ${origin})`, { hash, from: record.from, nonce: record.nonce, accepted, origin });
+      this.evictOldest();
+    } catch (error) {
+      // Tracking must never break the request
+      log.error('⚠️  Failed to record transaction', { error: error.message });
+    }
+  }
+
+  // Drop the oldest records over maxTransactions - the map is in insertion order, so they're first
+  // Runs on every submission, so it never walks the whole map
+  evictOldest() {
+    while (this.transactions.size > this.maxTransactions) {
+      this.transactions.delete(this.transactions.keys().next().value);
+    }
+  }
+
+  // Drop records past retention - a full sweep, run from the poll timer
+  pruneExpired() {
+    const cutoff = Date.now() - this.retention * 1000;
+    for (const [hash, record] of this.transactions) {
+      if (record.lastSubmitted < cutoff) {
+        this.transactions.delete(hash);
+      }
+    }
+  }
+
+  // Ask the upstream about one transaction - returns { receipt, transaction, nonce } or throws
+  async check(upstream, record) {
+    const response = await axios.post(
+      upstream.url,
+      [
+        { jsonrpc: '2.0', id: 0, method: 'eth_getTransactionReceipt', params: [record.hash] },
+        { jsonrpc: '2.0', id: 1, method: 'eth_getTransactionByHash', params: [record.hash] },
+        { jsonrpc: '2.0', id: 2, method: 'eth_getTransactionCount', params: [record.from, 'latest'] }
+      ],
+      {
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'RPC-Proxy' },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        httpsAgent: this.httpsAgent
+      }
+    );
+
+    const answers = new Map((Array.isArray(response.data) ? response.data : []).map(item => [item && item.id, item]));
+    const failed = [0, 1, 2].find(id => !answers.has(id) || answers.get(id).error);
+    if (failed !== undefined) {
+      const error = answers.get(failed) && answers.get(failed).error;
+      throw new Error(error ? `${error.code} ${error.message}` : 'Incomplete batch response');
+    }
+
+    return {
+      receipt: answers.get(0).result,
+      transaction: answers.get(1).result,
+      nonce: parseHexQuantity(answers.get(2).result)
+    };
+  }
+
+  // Move a record to a final status and count it for its origin
+  resolve(record, status) {
+    record.status = status;
+    record.resolvedAt = Date.now();
+
+    const counts = this.countFor(record.origin);
+    if (status === TX_STATUS.INCLUDED) {
+      counts.included++;
+      if (record.receiptStatus === 0) {
+        counts.reverted++;
+      }
+    } else if (status === TX_STATUS.REPLACED) {
+      counts.replaced++;
+    } else if (status === TX_STATUS.DROPPED) {
+      counts.dropped++;
+    }
+  }
+
+  // Update a pending record from the upstream's answers
+  update(record, { receipt, transaction, nonce }) {
+    const now = Date.now();
+    record.lastChecked = now;
+
+    if (receipt && receipt.blockNumber) {
+      record.blockNumber = parseHexQuantity(receipt.blockNumber);
+      record.blockHash = receipt.blockHash || null;
+      record.receiptStatus = parseHexQuantity(receipt.status);
+      record.gasUsed = parseHexQuantity(receipt.gasUsed);
+      this.resolve(record, TX_STATUS.INCLUDED);
+      log.info(`✅ Transaction ${record.hash} included in block ${record.blockNumber}${record.receiptStatus === 0 ? ' (reverted)' : ''}`, { hash: record.hash, status: record.status, blockNumber: record.blockNumber, receiptStatus: record.receiptStatus });
+      return;
+    }
+
+    if (nonce !== null && nonce > record.nonce) {
+      // Mined between the receipt and nonce lookups, or the batch was answered by different backends
+      // behind a load balancer - the receipt should show up on the next poll
+      if (transaction && transaction.blockNumber) {
+        record.nonceUsedAt = null;
+        record.lastSeenPending = now;
+        return;
+      }
+      // resolve() is final, so a second poll has to agree before the transaction counts as replaced
+      if (record.nonceUsedAt === null) {
+        record.nonceUsedAt = now;
+        return;
+      }
+
+      const replacement = [...this.transactions.values()].find(other =>
+        other !== record && other.from === record.from && other.nonce === record.nonce && other.status === TX_STATUS.INCLUDED
+      );
+      record.replacedBy = replacement ? replacement.hash : null;
+      this.resolve(record, TX_STATUS.REPLACED);
+      log.info(`🔀 Transaction ${record.hash} replaced - nonce ${record.nonce} of ${record.from} used by ${record.replacedBy || 'another transaction'}`, { hash: record.hash, status: record.status, replacedBy: record.replacedBy });
+      return;
+    }
+
+    record.nonceUsedAt = null;
+
+    if (transaction) {
+      record.lastSeenPending = now;
+      return;
+    }
+
+    if (now - Math.max(record.lastSeenPending, record.lastSubmitted) > this.dropAfter * 1000) {
+      this.resolve(record, TX_STATUS.DROPPED);
+      log.info(`🕳️  Transaction ${record.hash} dropped - unknown to the upstream for over ${this.dropAfter}s`, { hash: record.hash, status: record.status });
+    }
+  }
+
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    try {
+      this.isPolling = true;
+      this.pruneExpired();
+
+      const pending = [...this.transactions.values()]
+        .filter(record => record.status === TX_STATUS.PENDING)
+        .sort((a, b) => a.lastChecked - b.lastChecked)
+        .slice(0, this.maxPollPerRound);
+      if (pending.length === 0) {
+        return;
+      }
+
+      const upstream = this.upstreamPool.select();
+      if (!upstream) {
+        return;
+      }
+
+      this.stats.polls++;
+      this.stats.lastPoll = Date.now();
+      await mapWithConcurrency(pending, POLL_CONCURRENCY, async (record) => {
+        try {
+          this.update(record, await this.check(upstream, record));
+          this.stats.checked++;
+        } catch (error) {
+          this.stats.pollErrors++;
+          record.lastChecked = Date.now();
+        }
+      });
+    } catch (error) {
+      // Never let tracking take the proxy down
+      log.error('⚠️  Transaction tracker poll failed', { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // Look up a tracked transaction
+  getTransaction(hash) {
+    if (typeof hash !== 'string') return null;
+    const record = this.transactions.get(hash.toLowerCase());
+    return record ? { ...record, submissions: [...record.submissions] } : null;
+  }
+
+  // Submission counters per origin
+  getOriginStats() {
+    return this.byOrigin;
+  }
+
+  // Get status for monitoring
+  getStatus() {
+    const byStatus = {};
+    Object.values(TX_STATUS).forEach(status => { byStatus[status] = 0; });
+    for (const record of this.transactions.values()) {
+      byStatus[record.status]++;
+    }
+
+    return {
+      enabled: this.enabled,
+      interval: this.interval,
+      dropAfter: this.dropAfter,
+      retention: this.retention,
+      tracked: this.transactions.size,
+      byStatus,
+      ...this.stats
+    };
+  }
+}
+
+export { TransactionTracker, TX_STATUS };
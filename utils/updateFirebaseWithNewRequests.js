@@ -1,10 +1,14 @@
 import { db } from './firebaseClient.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('updateFirebaseWithNewRequests');
+
 const firebaseCollection = process.env.FIREBASE_COLLECTION;
 
 async function updateFirebaseWithNewRequests(urlCountMap) {
   try {
     if (Object.keys(urlCountMap).length === 0) {
-      console.log("urlCountMap is empty");
+      log.debug("urlCountMap is empty");
       return;
     }
 
@@ -22,7 +26,7 @@ async function updateFirebaseWithNewRequests(urlCountMap) {
           requestsOutstanding: 0,
           requestsTotal: 0
         };
-        console.log(`NEW URL added to Firebase: ${referer} with default values`);
+        log.info(`NEW URL added to Firebase: ${referer} with default values`);
       } else {
         // Initialize requestsTotal if it doesn't exist (for existing URLs)
         if (urlListData[referer].requestsTotal === undefined) {
@@ -33,22 +37,22 @@ async function updateFirebaseWithNewRequests(urlCountMap) {
       // Only update requestsOutstanding if the URL has funding (requestsRemaining > 0)
       if (urlListData[referer].requestsRemaining > 0) {
         urlListData[referer].requestsOutstanding = (urlListData[referer].requestsOutstanding || 0) + urlCountMap[referer];
-        console.log(`Updated requestsOutstanding for ${referer}: +${urlCountMap[referer]} (has ${urlListData[referer].requestsRemaining} remaining)`);
+        log.debug(`Updated requestsOutstanding for ${referer}: +${urlCountMap[referer]} (has ${urlListData[referer].requestsRemaining} remaining)`);
       } else {
-        console.log(`Skipped requestsOutstanding update for ${referer}: no funding (${urlCountMap[referer]} requests)`);
+        log.debug(`Skipped requestsOutstanding update for ${referer}: no funding (${urlCountMap[referer]} requests)`);
       }
 
       // Always update requestsTotal regardless of funding status
       urlListData[referer].requestsTotal = (urlListData[referer].requestsTotal || 0) + urlCountMap[referer];
-      console.log(`Updated requestsTotal for ${referer}: +${urlCountMap[referer]} (total: ${urlListData[referer].requestsTotal})`);
+      log.debug(`Updated requestsTotal for ${referer}: +${urlCountMap[referer]} (total: ${urlListData[referer].requestsTotal})`);
     }
 
     // Update the document in Firebase
     await ref.set(urlListData);
-    console.log(`Successfully updated ${Object.keys(urlCountMap).length} URLs in Firebase`);
+    log.info(`Successfully updated ${Object.keys(urlCountMap).length} URLs in Firebase`);
 
   } catch (error) {
-    console.error("Error updating Firebase with new requests:", error);
+    log.error("Error updating Firebase with new requests", { error });
     throw error;
   }
 }
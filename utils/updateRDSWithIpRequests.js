@@ -1,5 +1,8 @@
 import { getPool } from './postgresClient.js';
 import { filterOrigins } from './originValidator.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('updateRDSWithIpRequests');
 
 // Helper function to get current UTC timestamp in seconds
 function getCurrentUTCTimestamp() {
@@ -74,16 +77,17 @@ async function checkMonthlyTrackingSupport() {
     monthlyTrackingEnabled = result.rows.length === 2;
     
     if (monthlyTrackingEnabled) {
-      console.log('✅ Monthly tracking columns detected - monthly tracking enabled');
+      log.info('✅ Monthly tracking columns detected - monthly tracking enabled');
     } else {
-      console.log('⚠️  Monthly tracking columns not found - monthly tracking disabled');
-      console.log('   Run: node database_scripts/addMonthlyColumns.js to enable monthly tracking');
+      log.warn('⚠️  Monthly tracking columns not found - monthly tracking disabled', {
+        fix: 'node database_scripts/addMonthlyColumns.js'
+      });
     }
     
     return monthlyTrackingEnabled;
   } catch (error) {
     // If we can't check, assume columns don't exist to be safe
-    console.error('⚠️  Could not check for monthly tracking columns (non-fatal):', error.message);
+    log.warn('⚠️  Could not check for monthly tracking columns (non-fatal)', { error: error.message });
     monthlyTrackingEnabled = false;
     return false;
   }
@@ -112,17 +116,17 @@ async function checkOriginMergeFunctionExists() {
     originMergeFunctionExists = result.rows[0]?.exists || false;
     
     if (originMergeFunctionExists) {
-      console.log('✅ Custom origin merge function detected - origin counts will accumulate correctly');
+      log.info('✅ Custom origin merge function detected - origin counts will accumulate correctly');
     } else {
-      console.log('⚠️  Custom origin merge function not found - using fallback (origins will overwrite)');
-      console.log('   Run: node database_scripts/createOriginMergeFunction.js to enable proper origin tracking');
-      console.log('   ⚠️  WARNING: Without this function, origin counts will be incorrect!');
+      log.warn('⚠️  Custom origin merge function not found - using fallback (origins will overwrite). Without this function, origin counts will be incorrect!', {
+        fix: 'node database_scripts/createOriginMergeFunction.js'
+      });
     }
     
     return originMergeFunctionExists;
   } catch (error) {
     // If we can't check, assume function doesn't exist and use fallback
-    console.error('⚠️  Could not check for origin merge function (non-fatal):', error.message);
+    log.warn('⚠️  Could not check for origin merge function (non-fatal)', { error: error.message });
     originMergeFunctionExists = false;
     return false;
   }
@@ -148,17 +152,17 @@ async function checkOriginsLastHourSupport() {
     originsLastHourEnabled = result.rows.length === 1;
     
     if (originsLastHourEnabled) {
-      console.log('✅ origins_last_hour column detected - hourly origin tracking enabled');
+      log.info('✅ origins_last_hour column detected - hourly origin tracking enabled');
     } else {
-      console.log('⚠️  origins_last_hour column not found - hourly origin tracking disabled');
-      console.log('   Run: node database_scripts/addOriginsLastHourColumn.js to enable hourly origin tracking');
-      console.log('   ⚠️  WARNING: ip_history_table will contain cumulative origin counts (not hourly)!');
+      log.warn('⚠️  origins_last_hour column not found - hourly origin tracking disabled. ip_history_table will contain cumulative origin counts (not hourly)!', {
+        fix: 'node database_scripts/addOriginsLastHourColumn.js'
+      });
     }
     
     return originsLastHourEnabled;
   } catch (error) {
     // If we can't check, assume column doesn't exist to be safe
-    console.error('⚠️  Could not check for origins_last_hour column (non-fatal):', error.message);
+    log.warn('⚠️  Could not check for origins_last_hour column (non-fatal)', { error: error.message });
     originsLastHourEnabled = false;
     return false;
   }
@@ -185,13 +189,12 @@ async function captureHourlySnapshot(hourTimestamp) {
     const result = await pool.query(snapshotQuery);
     
     if (result.rows.length === 0) {
-      console.log('📸 No active IPs in last hour - skipping history snapshot');
+      log.info('📸 No active IPs in last hour - skipping history snapshot');
       return;
     }
     
     const dataType = hasOriginsLastHour ? 'hourly origin data' : 'cumulative origin data (⚠️ not accurate for time-series)';
-    console.log(`📸 Capturing hourly snapshot: ${result.rows.length} active IPs for hour ${new Date(hourTimestamp * 1000).toISOString()}`);
-    console.log(`   Using ${dataType}`);
+    log.info(`📸 Capturing hourly snapshot: ${result.rows.length} active IPs for hour ${new Date(hourTimestamp * 1000).toISOString()}`, { dataType });
     
     // Batch insert all records into ip_history_table
     // Using INSERT ... ON CONFLICT DO NOTHING to handle any potential duplicates gracefully
@@ -215,15 +218,15 @@ async function captureHourlySnapshot(hourTimestamp) {
         insertedCount++;
       } catch (insertError) {
         // Log individual insert errors but continue with other IPs
-        console.error(`⚠️  Failed to insert history for IP ${row.ip}:`, insertError.message);
+        log.error(`⚠️  Failed to insert history for IP ${row.ip}`, { ip: row.ip, error: insertError.message });
       }
     }
     
-    console.log(`✅ Snapshot captured: ${insertedCount}/${result.rows.length} IPs saved to history`);
+    log.info(`✅ Snapshot captured: ${insertedCount}/${result.rows.length} IPs saved to history`);
     
   } catch (error) {
     // CRITICAL: Catch all errors to prevent crashing the main proxy
-    console.error('⚠️  Error capturing hourly snapshot (non-fatal, continuing):', error.message);
+    log.error('⚠️  Error capturing hourly snapshot (non-fatal, continuing)', { error: error.message });
     // Do NOT throw - we want the main proxy to continue running
   }
 }
@@ -244,7 +247,7 @@ async function cleanupOldHistory() {
       }
     }
     
-    console.log('🧹 Running daily cleanup of old IP history records...');
+    log.info('🧹 Running daily cleanup of old IP history records...');
     
     const pool = await getPool();
     
@@ -262,7 +265,7 @@ async function cleanupOldHistory() {
     const oldCount = parseInt(countResult.rows[0].old_count);
     
     if (oldCount === 0) {
-      console.log('✅ No old history records to clean up');
+      log.info('✅ No old history records to clean up');
       lastCleanupTimestamp = currentTimestamp;
       return;
     }
@@ -273,12 +276,12 @@ async function cleanupOldHistory() {
       [cutoffTimestamp]
     );
     
-    console.log(`✅ Cleanup complete: Deleted ${deleteResult.rowCount} records older than 30 days`);
+    log.info(`✅ Cleanup complete: Deleted ${deleteResult.rowCount} records older than 30 days`);
     lastCleanupTimestamp = currentTimestamp;
     
   } catch (error) {
     // CRITICAL: Catch all errors to prevent crashing the main proxy
-    console.error('⚠️  Error during history cleanup (non-fatal, continuing):', error.message);
+    log.error('⚠️  Error during history cleanup (non-fatal, continuing)', { error: error.message });
     // Do NOT throw - we want the main proxy to continue running
   }
 }
@@ -308,11 +311,11 @@ async function resetMonthlyCounters() {
       
       if (result.rows.length > 0 && result.rows[0].last_reset) {
         lastMonthlyReset = parseInt(result.rows[0].last_reset);
-        console.log(`📅 Synced last monthly reset from database: ${new Date(lastMonthlyReset * 1000).toISOString()}`);
+        log.info(`📅 Synced last monthly reset from database: ${new Date(lastMonthlyReset * 1000).toISOString()}`);
       } else {
         // No IPs in database yet, initialize to start of current month
         lastMonthlyReset = currentMonthStart;
-        console.log(`📅 No previous monthly reset found, initializing to start of current month: ${new Date(lastMonthlyReset * 1000).toISOString()}`);
+        log.info(`📅 No previous monthly reset found, initializing to start of current month: ${new Date(lastMonthlyReset * 1000).toISOString()}`);
       }
     }
     
@@ -321,9 +324,10 @@ async function resetMonthlyCounters() {
       const lastMonthDate = new Date(lastMonthlyReset * 1000);
       const currentMonthDate = new Date(currentMonthStart * 1000);
       
-      console.log(`📆 Month boundary crossed!`);
-      console.log(`   Last reset: ${lastMonthDate.toISOString().substring(0, 7)} (${lastMonthDate.toISOString()})`);
-      console.log(`   Current month: ${currentMonthDate.toISOString().substring(0, 7)} (${currentMonthDate.toISOString()})`);
+      log.info(`📆 Month boundary crossed! Last reset: ${lastMonthDate.toISOString().substring(0, 7)}, current month: ${currentMonthDate.toISOString().substring(0, 7)}`, {
+        lastReset: lastMonthDate.toISOString(),
+        currentMonth: currentMonthDate.toISOString()
+      });
       
       // Reset the monthly counters
       // Set last_month_reset_timestamp to the start of the current month
@@ -333,11 +337,11 @@ async function resetMonthlyCounters() {
       );
       
       lastMonthlyReset = currentMonthStart;
-      console.log(`✅ Global monthly reset completed - Reset ${result.rowCount} IPs to month starting at ${currentMonthDate.toISOString()}`);
+      log.info(`✅ Global monthly reset completed - Reset ${result.rowCount} IPs to month starting at ${currentMonthDate.toISOString()}`);
     }
   } catch (error) {
     // CRITICAL: Catch all errors to prevent crashing the main proxy
-    console.error('⚠️  Error during global monthly reset (non-fatal, continuing):', error.message);
+    log.error('⚠️  Error during global monthly reset (non-fatal, continuing)', { error: error.message });
     // Reset lastMonthlyReset so we retry fetching from DB next time
     lastMonthlyReset = null;
     // Do NOT throw - we want the main proxy to continue running
@@ -362,11 +366,11 @@ async function resetHourlyCounters() {
       
       if (result.rows.length > 0 && result.rows[0].last_reset) {
         lastGlobalReset = parseInt(result.rows[0].last_reset);
-        console.log(`📅 Synced last reset time from database: ${new Date(lastGlobalReset * 1000).toISOString()}`);
+        log.info(`📅 Synced last reset time from database: ${new Date(lastGlobalReset * 1000).toISOString()}`);
       } else {
         // No IPs in database yet, initialize to start of current hour
         lastGlobalReset = currentHourStart;
-        console.log(`📅 No previous reset found, initializing to start of current hour: ${new Date(lastGlobalReset * 1000).toISOString()}`);
+        log.info(`📅 No previous reset found, initializing to start of current hour: ${new Date(lastGlobalReset * 1000).toISOString()}`);
       }
     }
     
@@ -376,7 +380,7 @@ async function resetHourlyCounters() {
       // We've crossed into a new hour (or multiple hours if system was down)
       const hoursPassed = (currentHourStart - lastGlobalReset) / 3600;
       
-      console.log(`⏰ Hour boundary crossed - ${hoursPassed.toFixed(0)} hour(s) passed since ${new Date(lastGlobalReset * 1000).toISOString()}`);
+      log.info(`⏰ Hour boundary crossed - ${hoursPassed.toFixed(0)} hour(s) passed since ${new Date(lastGlobalReset * 1000).toISOString()}`);
       
       // STEP 1: Capture snapshot to history BEFORE resetting
       // Use lastGlobalReset as the hour_timestamp (the hour that just completed)
@@ -396,11 +400,11 @@ async function resetHourlyCounters() {
               last_reset_timestamp = $1
         `;
         result = await pool.query(resetQuery, [currentHourStart]);
-        console.log(`✅ Global hourly reset completed - Reset ${result.rowCount} IPs (requests_last_hour and origins_last_hour) to hour starting at ${new Date(currentHourStart * 1000).toISOString()}`);
+        log.info(`✅ Global hourly reset completed - Reset ${result.rowCount} IPs (requests_last_hour and origins_last_hour) to hour starting at ${new Date(currentHourStart * 1000).toISOString()}`);
       } else {
         resetQuery = 'UPDATE ip_table SET requests_last_hour = 0, last_reset_timestamp = $1';
         result = await pool.query(resetQuery, [currentHourStart]);
-        console.log(`✅ Global hourly reset completed - Reset ${result.rowCount} IPs to hour starting at ${new Date(currentHourStart * 1000).toISOString()}`);
+        log.info(`✅ Global hourly reset completed - Reset ${result.rowCount} IPs to hour starting at ${new Date(currentHourStart * 1000).toISOString()}`);
       }
       
       lastGlobalReset = currentHourStart;
@@ -409,7 +413,7 @@ async function resetHourlyCounters() {
       await cleanupOldHistory();
     }
   } catch (error) {
-    console.error('❌ Error during global hourly reset:', error);
+    log.error('❌ Error during global hourly reset', { error });
     // Reset lastGlobalReset so we retry fetching from DB next time
     lastGlobalReset = null;
   }
@@ -427,11 +431,11 @@ async function updateRDSWithIpRequests(ipCountMap) {
     const hasNewRequests = Object.keys(ipCountMap).length > 0;
 
     if (!hasNewRequests) {
-      console.log("ipCountMap is empty - no updates needed");
+      log.debug("ipCountMap is empty - no updates needed");
       return;
     }
 
-    console.log(`Updating IP requests in RDS at UTC timestamp: ${currentTimestamp} (${new Date(currentTimestamp * 1000).toISOString()})`);
+    log.debug(`Updating IP requests in RDS at UTC timestamp: ${currentTimestamp} (${new Date(currentTimestamp * 1000).toISOString()})`);
 
     const pool = await getPool();
     const client = await pool.connect();
@@ -464,11 +468,11 @@ async function updateRDSWithIpRequests(ipCountMap) {
           const originalCount = Object.keys(rawOrigins).length;
           const filteredCount = Object.keys(origins).length;
           if (originalCount > filteredCount) {
-            console.log(`🔒 IP ${ip}: Filtered ${originalCount - filteredCount} local origin(s), keeping ${filteredCount} real domain(s)`);
+            log.debug(`🔒 IP ${ip}: Filtered ${originalCount - filteredCount} local origin(s), keeping ${filteredCount} real domain(s)`);
           }
         } catch (filterError) {
           // If filtering fails completely, use empty origins (safe fallback)
-          console.error(`⚠️  Origin filtering failed for IP ${ip} - using empty origins:`, filterError.message);
+          log.error(`⚠️  Origin filtering failed for IP ${ip} - using empty origins`, { ip, error: filterError.message });
           origins = {};
         }
 
@@ -674,15 +678,15 @@ async function updateRDSWithIpRequests(ipCountMap) {
 
           // Log with or without monthly tracking data
           if (hasMonthlyTracking) {
-            console.log(`Updated IP ${ip}: +${requestCount} requests | Total: ${row.requests_total} | Last Hour: ${row.requests_last_hour} | This Month: ${row.requests_this_month} | Origins: ${JSON.stringify(origins)}`);
+            log.debug(`Updated IP ${ip}: +${requestCount} requests | Total: ${row.requests_total} | Last Hour: ${row.requests_last_hour} | This Month: ${row.requests_this_month} | Origins: ${JSON.stringify(origins)}`);
           } else {
-            console.log(`Updated IP ${ip}: +${requestCount} requests | Total: ${row.requests_total} | Last Hour: ${row.requests_last_hour} | Origins: ${JSON.stringify(origins)}`);
+            log.debug(`Updated IP ${ip}: +${requestCount} requests | Total: ${row.requests_total} | Last Hour: ${row.requests_last_hour} | Origins: ${JSON.stringify(origins)}`);
           }
           updateCount++;
           
         } catch (queryError) {
           // Handle individual query errors gracefully without stopping the batch
-          console.error(`⚠️  Failed to update IP ${ip}:`, {
+          log.error(`⚠️  Failed to update IP ${ip}`, {
             error: queryError.message,
             code: queryError.code,
             ip: ip,
@@ -692,7 +696,7 @@ async function updateRDSWithIpRequests(ipCountMap) {
           // If this is the first IP and the error is about the merge function,
           // reset the flag and try again with fallback on next batch
           if (updateCount === 0 && queryError.message?.includes('jsonb_merge_add_numeric')) {
-            console.error('⚠️  Origin merge function failed - will use fallback on next update');
+            log.error('⚠️  Origin merge function failed - will use fallback on next update');
             originMergeFunctionExists = null; // Reset to re-check next time
           }
           
@@ -701,21 +705,16 @@ async function updateRDSWithIpRequests(ipCountMap) {
         }
       }
 
-      console.log(`✅ Successfully updated ${updateCount} IPs in RDS PostgreSQL`);
+      log.info(`✅ Successfully updated ${updateCount} IPs in RDS PostgreSQL`);
 
     } finally {
       client.release();
     }
 
   } catch (error) {
-    console.error("❌ Error updating RDS with IP requests:", error);
-    console.error("Error details:", {
-      message: error.message,
-      code: error.code,
-      type: error.constructor.name
-    });
-    
-    // Throw the error so backgroundTasks can restore the data
+    log.error("❌ Error updating RDS with IP requests", { error, type: error.constructor.name });
+    
+    // Throw the error so the count spool keeps the data for the next cycle
     throw error;
   }
 }
@@ -1,3 +1,7 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('updateUrlCountMap');
+
 // Increment the count for a single referer URL
 function updateUrlCountMap(referer, urlCountMap) {
   try {
@@ -5,9 +9,9 @@ function updateUrlCountMap(referer, urlCountMap) {
     // Clean the referer: remove protocol and trailing slash
     let cleaned = referer.replace(/^https?:\/\//, '').replace(/\/$/, '');
     urlCountMap[cleaned] = (urlCountMap[cleaned] || 0) + 1;
-    console.log("urlCountMap", urlCountMap);
+    log.debug('urlCountMap', { urlCountMap });
   } catch (error) {
-    console.error('Error updating urlCountMap:', error);
+    log.error('Error updating urlCountMap', { error });
   }
 }
 
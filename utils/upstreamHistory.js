@@ -0,0 +1,177 @@
+// Recent upstream history for the dashboard: circuit breaker transitions and per-interval latency
+// Kept in memory only, so it covers the time since the proxy started (at most historyHours)
+// Latency is measured per HTTP request to an upstream, like the upstream duration histogram in /metrics
+import { createLogger } from './logger.js';
+import { redactUrl } from './redact.js';
+
+const log = createLogger('upstreamHistory');
+
+const MAX_SAMPLES_PER_INTERVAL = 1000; // latencies kept per upstream per interval for percentiles
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+class UpstreamHistory {
+  constructor(options = {}) {
+    this.upstreamPool = options.upstreamPool;
+    this.interval = options.latencyInterval || 60; // seconds per latency sample
+    this.historyHours = options.historyHours || 24;
+    this.maxTransitions = options.maxTransitions || 500;
+    this.startedAt = Date.now();
+
+    this.transitions = []; // { time, upstream, from, to, error }
+    this.samples = []; // { time, upstreams: { name: { requests, errors, avgMs, p50Ms, p95Ms, maxMs } } }
+    this.current = new Map(); // upstream name -> { requests, errors, sum, max, latencies } for this interval
+    this.intervalStart = this.startedAt;
+    this.timer = null;
+
+    this.upstreamPool.on('stateChange', ({ upstream, from, to }) => {
+      this.recordTransition(upstream, from, to);
+    });
+  }
+
+  start() {
+    this.intervalStart = Date.now();
+    this.timer = setInterval(() => {
+      try {
+        this.closeInterval();
+      } catch (error) {
+        log.error('Failed to record upstream latency sample', { error });
+      }
+    }, this.interval * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  recordTransition(upstream, from, to) {
+    this.transitions.push({
+      time: Date.now(),
+      upstream: upstream.name,
+      from,
+      to,
+      // Why it opened - error messages can quote the upstream URL, API key included
+      error: to === 'OPEN' && upstream.breaker.lastError ? String(upstream.breaker.lastError).replace(/https?:\/\/\S+/g, url => redactUrl(url)) : null
+    });
+    if (this.transitions.length > this.maxTransitions) {
+      this.transitions.shift();
+    }
+  }
+
+  // One HTTP request to an upstream, whether it succeeded or not
+  recordLatency(name, latencyMs, ok) {
+    let entry = this.current.get(name);
+    if (!entry) {
+      entry = { requests: 0, errors: 0, sum: 0, max: 0, latencies: [] };
+      this.current.set(name, entry);
+    }
+    entry.requests++;
+    if (!ok) {
+      entry.errors++;
+    }
+    entry.sum += latencyMs;
+    entry.max = Math.max(entry.max, latencyMs);
+    // Reservoir sampling keeps the percentiles fair on busy intervals without keeping every request
+    if (entry.latencies.length < MAX_SAMPLES_PER_INTERVAL) {
+      entry.latencies.push(latencyMs);
+    } else {
+      const slot = Math.floor(Math.random() * entry.requests);
+      if (slot < MAX_SAMPLES_PER_INTERVAL) {
+        entry.latencies[slot] = latencyMs;
+      }
+    }
+  }
+
+  // Turn this interval's requests into a sample and drop samples older than historyHours
+  closeInterval() {
+    const upstreams = {};
+    this.current.forEach((entry, name) => {
+      const sorted = [...entry.latencies].sort((a, b) => a - b);
+      upstreams[name] = {
+        requests: entry.requests,
+        errors: entry.errors,
+        avgMs: Math.round(entry.sum / entry.requests),
+        p50Ms: percentile(sorted, 50),
+        p95Ms: percentile(sorted, 95),
+        maxMs: entry.max
+      };
+    });
+    this.samples.push({ time: this.intervalStart, upstreams });
+    this.current = new Map();
+    this.intervalStart = Date.now();
+
+    const cutoff = Date.now() - this.historyHours * 3600 * 1000;
+    while (this.samples.length > 0 && this.samples[0].time < cutoff) {
+      this.samples.shift();
+    }
+  }
+
+  // Breaker state of one upstream at a time, from the transitions kept
+  stateAt(name, time, currentState) {
+    let state = null;
+    for (const transition of this.transitions) {
+      if (transition.upstream !== name) {
+        continue;
+      }
+      if (transition.time > time) {
+        return state ?? transition.from;
+      }
+      state = transition.to;
+    }
+    return state ?? currentState;
+  }
+
+  // History between from and to (ms): current upstream state, breaker timelines, transitions and latency samples
+  getHistory(from, to) {
+    const start = Math.max(from, this.startedAt);
+    const upstreams = this.upstreamPool.upstreams.map(upstream => {
+      const transitions = this.transitions.filter(transition => transition.upstream === upstream.name && transition.time >= start && transition.time < to);
+      // Consecutive periods in one state, from the start of the window (or startup) to its end
+      const timeline = [];
+      let state = this.stateAt(upstream.name, start, upstream.breaker.state);
+      let since = start;
+      transitions.forEach(transition => {
+        timeline.push({ state, from: since, to: transition.time });
+        state = transition.to;
+        since = transition.time;
+      });
+      timeline.push({ state, from: since, to: Math.min(to, Date.now()) });
+
+      return {
+        name: upstream.name,
+        state: upstream.breaker.state,
+        healthy: this.upstreamPool.isHealthy(upstream),
+        lagging: upstream.health.lagging,
+        latencyMs: upstream.latencyMs === null ? null : Math.round(upstream.latencyMs),
+        timeline: timeline.filter(period => period.to > period.from)
+      };
+    });
+
+    return {
+      since: this.startedAt,
+      interval: this.interval,
+      upstreams,
+      transitions: this.transitions.filter(transition => transition.time >= start && transition.time < to),
+      latency: this.samples.filter(sample => sample.time >= start && sample.time < to)
+    };
+  }
+
+  getStats() {
+    return {
+      since: new Date(this.startedAt).toISOString(),
+      interval: this.interval,
+      samples: this.samples.length,
+      transitions: this.transitions.length
+    };
+  }
+}
+
+export { UpstreamHistory };
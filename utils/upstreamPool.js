@@ -0,0 +1,235 @@
+// Pool of upstream RPC providers
+// Every upstream has its own circuit breaker and latency average. For each request the selection
+// strategy orders the available upstreams - the first one is tried, the rest are the failover order.
+// Emits 'stateChange' ({ upstream, from, to }) when any upstream's circuit changes state
+// and 'healthChange' ({ upstream, lagging }) when an upstream starts or stops lagging behind the head
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('upstreamPool');
+
+const STRATEGIES = ['priority-failover', 'round-robin', 'weighted', 'least-latency'];
+
+const LATENCY_SMOOTHING = 0.2; // weight of the newest sample in the latency average
+
+// Read upstream definitions from file, or build the classic primary/fallback pair
+// from TARGET_URL / FALLBACK_URL when the file doesn't exist
+// Returns { upstreams, strategy } - strategy is only set when the file names one
+function loadUpstreamDefinitions(options = {}) {
+  if (options.file && fs.existsSync(options.file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+      const upstreams = Array.isArray(parsed) ? parsed : parsed.upstreams;
+      if (Array.isArray(upstreams) && upstreams.length > 0) {
+        log.info(`📄 Loaded ${upstreams.length} upstream(s) from ${options.file}`);
+        return { upstreams, strategy: Array.isArray(parsed) ? undefined : parsed.strategy };
+      }
+      log.warn(`⚠️  ${options.file} has no upstreams - using TARGET_URL/FALLBACK_URL`);
+    } catch (error) {
+      log.error(`⚠️  Failed to read ${options.file} (using TARGET_URL/FALLBACK_URL)`, { error: error.message });
+    }
+  }
+
+  const upstreams = [];
+  if (options.primaryUrl) {
+    upstreams.push({
+      name: 'primary',
+      url: options.primaryUrl,
+      wsUrl: options.primaryWsUrl,
+      priority: 0,
+      countRequests: true,
+      forwardHeaders: true,
+      timeout: 10000
+    });
+  }
+  if (options.fallbackUrl && options.fallbackUrl.trim() !== '') {
+    upstreams.push({
+      name: 'fallback',
+      url: options.fallbackUrl,
+      wsUrl: options.fallbackWsUrl,
+      priority: 1,
+      countRequests: false,
+      forwardHeaders: false,
+      timeout: 15000
+    });
+  } else {
+    log.warn('⚠️  No fallback URL configured - the pool only has the primary URL');
+  }
+  return { upstreams };
+}
+
+class UpstreamPool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    if (options.strategy && !STRATEGIES.includes(options.strategy)) {
+      log.warn(`⚠️  Unknown upstream strategy "${options.strategy}" - using priority-failover`);
+    }
+    this.strategy = STRATEGIES.includes(options.strategy) ? options.strategy : 'priority-failover';
+    this.roundRobinIndex = 0;
+
+    this.upstreams = (options.upstreams || [])
+      .filter(definition => definition && definition.url)
+      .map((definition, index) => this.createUpstream(definition, index, options));
+
+    log.info(`Upstream pool initialized (${this.strategy}) - ${this.upstreams.map(upstream => upstream.name).join(', ') || 'NO UPSTREAMS'}`);
+  }
+
+  createUpstream(definition, index, options) {
+    const name = definition.name || `upstream-${index + 1}`;
+    const upstream = {
+      name,
+      url: definition.url,
+      wsUrl: definition.wsUrl || null,
+      priority: Number.isFinite(definition.priority) ? definition.priority : index,
+      weight: definition.weight > 0 ? definition.weight : 1,
+      tags: Array.isArray(definition.tags) ? definition.tags : [],
+      countRequests: definition.countRequests === true, // count served requests against origin quotas
+      forwardHeaders: definition.forwardHeaders === true, // pass client headers through
+      timeout: definition.timeout || options.requestTimeout || 10000,
+      breaker: new CircuitBreaker({
+        name,
+        url: definition.url,
+        failureThreshold: definition.failureThreshold || options.failureThreshold,
+        resetTimeout: definition.resetTimeout || options.resetTimeout,
+        activeProbes: options.activeProbes,
+        probeSuccessThreshold: options.probeSuccessThreshold
+      }),
+      latencyMs: null,
+      health: { head: null, lag: null, lagging: false, checkedAt: 0, error: null }, // from the lag monitor
+      stats: { requests: 0, failures: 0, lastUsed: 0 }
+    };
+
+    upstream.breaker.on('stateChange', ({ from, to }) => {
+      this.emit('stateChange', { upstream, from, to });
+    });
+
+    return upstream;
+  }
+
+  // Upstreams carrying every tag in tags (all upstreams when tags is empty)
+  withTags(tags) {
+    if (!tags || tags.length === 0) return this.upstreams;
+    return this.upstreams.filter(upstream => tags.every(tag => upstream.tags.includes(tag)));
+  }
+
+  byPriority(upstreams) {
+    return [...upstreams].sort((a, b) => a.priority - b.priority);
+  }
+
+  // Order upstreams for a request according to the strategy
+  // filter: { tags, exclude } - exclude is a Set of upstreams that already failed this request
+  // Upstreams lagging behind the head are skipped like open circuits. When nothing else is left
+  // they're returned anyway (open circuits last, least recently failed first),
+  // so requests still get an attempt instead of failing locally
+  getCandidates(filter = {}) {
+    const matching = this.withTags(filter.tags).filter(upstream => !filter.exclude || !filter.exclude.has(upstream));
+    const available = matching.filter(upstream => !upstream.health.lagging && upstream.breaker.isAvailable());
+
+    if (available.length === 0) {
+      if (matching.length > 0) {
+        log.warn('⚠️  No healthy matching upstream - trying the least recently failed');
+      }
+      return [...matching].sort((a, b) =>
+        (a.breaker.state === 'OPEN') - (b.breaker.state === 'OPEN') ||
+        a.breaker.lastFailureTime - b.breaker.lastFailureTime
+      );
+    }
+
+    switch (this.strategy) {
+      case 'round-robin': {
+        const ordered = this.byPriority(available);
+        const start = this.roundRobinIndex++ % ordered.length;
+        return ordered.slice(start).concat(ordered.slice(0, start));
+      }
+
+      case 'weighted': {
+        const totalWeight = available.reduce((total, upstream) => total + upstream.weight, 0);
+        let pick = Math.random() * totalWeight;
+        const chosen = available.find(upstream => (pick -= upstream.weight) < 0) || available[0];
+        return [chosen, ...this.byPriority(available.filter(upstream => upstream !== chosen))];
+      }
+
+      case 'least-latency':
+        // Upstreams without a measurement yet go first so they get one
+        return [...available].sort((a, b) => (a.latencyMs ?? -1) - (b.latencyMs ?? -1));
+
+      case 'priority-failover':
+      default:
+        return this.byPriority(available);
+    }
+  }
+
+  // The upstream the next request would most likely use
+  select(filter = {}) {
+    return this.getCandidates(filter)[0] || null;
+  }
+
+  // Whether an upstream can take traffic - circuit not open and not lagging
+  // Looks at state only, so it doesn't move the breaker
+  isHealthy(upstream) {
+    return upstream.breaker.state !== 'OPEN' && !upstream.health.lagging;
+  }
+
+  // Record a head check from the lag monitor
+  updateHealth(upstream, health) {
+    const wasLagging = upstream.health.lagging;
+    upstream.health = { ...upstream.health, ...health, checkedAt: Date.now() };
+    if (wasLagging !== upstream.health.lagging) {
+      this.emit('healthChange', { upstream, lagging: upstream.health.lagging });
+    }
+  }
+
+  // Whether traffic is currently off the upstreams we count (e.g. on a paid fallback)
+  // Looks at state only, so it doesn't move any breaker or rotate the strategy
+  isCurrentlyUsingFallback() {
+    const preferred = this.byPriority(this.upstreams).find(upstream => this.isHealthy(upstream));
+    return !!preferred && !preferred.countRequests;
+  }
+
+  recordSuccess(upstream, latencyMs) {
+    upstream.stats.requests++;
+    upstream.stats.lastUsed = Date.now();
+    upstream.latencyMs = upstream.latencyMs === null
+      ? latencyMs
+      : upstream.latencyMs + LATENCY_SMOOTHING * (latencyMs - upstream.latencyMs);
+    upstream.breaker.onSuccess();
+  }
+
+  recordFailure(upstream, error) {
+    upstream.stats.requests++;
+    upstream.stats.failures++;
+    upstream.stats.lastUsed = Date.now();
+    upstream.breaker.onFailure(error);
+  }
+
+  // Get status for monitoring
+  getStatus() {
+    return {
+      strategy: this.strategy,
+      usingFallback: this.isCurrentlyUsingFallback(),
+      upstreams: this.upstreams.map(upstream => ({
+        name: upstream.name,
+        url: upstream.url,
+        wsUrl: upstream.wsUrl,
+        priority: upstream.priority,
+        weight: upstream.weight,
+        tags: upstream.tags,
+        countRequests: upstream.countRequests,
+        healthy: this.isHealthy(upstream),
+        ...upstream.breaker.getStatus(),
+        head: upstream.health.head,
+        lag: upstream.health.lag,
+        lagging: upstream.health.lagging,
+        headCheckedAt: upstream.health.checkedAt,
+        headCheckError: upstream.health.error,
+        latencyMs: upstream.latencyMs === null ? null : Math.round(upstream.latencyMs),
+        ...upstream.stats
+      }))
+    };
+  }
+}
+
+export { UpstreamPool, loadUpstreamDefinitions, STRATEGIES };
@@ -0,0 +1,494 @@
+// WebSocket JSON-RPC proxy with eth_subscribe support
+// Each client connection gets its own upstream connection from the upstream pool. Subscriptions are
+// remembered so they can be re-created on another upstream when circuits open or close,
+// and the client keeps seeing the subscription ids it was originally given.
+import http from 'http';
+import WebSocket, { WebSocketServer } from 'ws';
+import { updateUrlCountMap, updateIpCountMap } from './backgroundTasks.js';
+import { checkMethod } from './methodPolicy.js';
+import { DECISION, evaluateRequest, recordUsage } from './fundingPolicy.js';
+import { JSON_RPC_ERRORS, jsonRpcError, errorForRequest } from './jsonRpc.js';
+import { createLogger } from './logger.js';
+import { REQUEST_ID_HEADER, createRequestContext } from './requestContext.js';
+import { redactUrl } from './redact.js';
+import { isShuttingDown } from './gracefulShutdown.js';
+import { batchConfig } from '../config.js';
+
+const log = createLogger('websocketProxy');
+
+const RECONNECT_DELAY = 1000; // ms, doubled on each consecutive failure
+const MAX_RECONNECT_ATTEMPTS = 6;
+const HEARTBEAT_INTERVAL = 30000; // ms
+const MAX_QUEUED_MESSAGES = 100; // frames held while the upstream connects
+const WEBSOCKET_PATH = '/'; // wss://<proxy-host>/ - upgrades anywhere else are refused
+
+// Derive a WebSocket URL from an HTTP(S) RPC URL
+function toWebSocketUrl(url) {
+  if (!url) return null;
+  return url.replace(/^http(s?):\/\//, 'ws$1://');
+}
+
+// WebSocket URL for a pool entry - its wsUrl, or its HTTP URL with the scheme swapped
+function getWebSocketUrl(entry) {
+  return entry.wsUrl || toWebSocketUrl(entry.url);
+}
+
+// Key for matching responses to requests - ids can be numbers, strings or null
+function idKey(id) {
+  return JSON.stringify(id === undefined ? null : id);
+}
+
+class WebSocketSession {
+  constructor(client, req, context) {
+    this.client = client;
+    this.context = context;
+    this.ip = context.getClientIP(req);
+    this.trackedIP = context.getTrackedIP ? context.getTrackedIP(req) : this.ip; // for ip_table only
+    this.origin = req.headers.origin;
+    this.apiKey = req.headers['x-api-key'];
+    // One request ID for the whole session - returned on the upgrade and sent to every upstream socket
+    this.requestId = req.requestContext.requestId;
+    this.log = log.child({ requestId: this.requestId, ip: this.ip });
+
+    this.upstream = null;
+    this.upstreamEntry = null; // pool entry the upstream socket belongs to
+    this.usingFallback = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.closed = false;
+    this.queue = []; // Messages received before the upstream is open
+
+    this.pendingRequests = new Set(); // id keys of client requests awaiting a response
+    this.pendingSubscribes = new Map(); // id key -> subscribe params
+    this.subscriptions = new Map(); // client subscription id -> { params, upstreamId }
+    this.upstreamToClient = new Map(); // upstream subscription id -> client subscription id
+    this.resubscribes = new Map(); // internal request id -> client subscription id
+    this.internalId = 0;
+
+    client.on('message', (data) => this.onClientMessage(data));
+    client.on('close', () => this.close());
+    client.on('error', (error) => {
+      this.log.warn(`⚠️  WebSocket client error (${this.ip})`, { error: error.message });
+      this.close();
+    });
+
+    this.connectUpstream();
+  }
+
+  // Pick the upstream the pool's strategy currently wants
+  selectUpstream() {
+    return this.context.upstreamPool.getCandidates().find(entry => getWebSocketUrl(entry)) || null;
+  }
+
+  connectUpstream(target) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.closed) return;
+
+    const entry = target || this.selectUpstream();
+    if (!entry) {
+      this.client.close(1011, 'No upstream configured');
+      return;
+    }
+
+    this.log.info(`🔌 WebSocket ${this.ip} connecting to ${entry.name} upstream`, { upstream: entry.name });
+
+    const upstream = new WebSocket(getWebSocketUrl(entry), {
+      rejectUnauthorized: false,
+      headers: { [REQUEST_ID_HEADER]: this.requestId }
+    });
+    this.upstream = upstream;
+    this.upstreamEntry = entry;
+    this.usingFallback = !entry.countRequests;
+
+    upstream.on('open', () => {
+      if (upstream !== this.upstream) return;
+      this.reconnectAttempts = 0;
+      this.restoreSubscriptions();
+      const queued = this.queue;
+      this.queue = [];
+      queued.forEach(message => upstream.send(message));
+    });
+
+    upstream.on('message', (data) => {
+      if (upstream !== this.upstream) return;
+      this.onUpstreamMessage(data);
+    });
+
+    upstream.on('error', (error) => {
+      this.log.warn(`⚠️  WebSocket upstream error (${entry.name})`, { upstream: entry.name, error: error.message });
+    });
+
+    upstream.on('close', () => {
+      if (upstream !== this.upstream || this.closed) return;
+      this.onUpstreamLost(entry);
+    });
+  }
+
+  // The upstream dropped - fail in-flight requests and reconnect (possibly to another upstream)
+  onUpstreamLost(entry) {
+    this.failPendingRequests('Upstream connection lost');
+    this.upstream = null;
+
+    this.context.upstreamPool.recordFailure(entry, new Error('WebSocket upstream connection closed'));
+
+    if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      this.log.error(`🚨 WebSocket ${this.ip}: giving up after ${this.reconnectAttempts} reconnect attempts`);
+      this.client.close(1011, 'Upstream unavailable');
+      return;
+    }
+
+    const delay = RECONNECT_DELAY * Math.pow(2, this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => this.connectUpstream(), delay);
+  }
+
+  // Move to target, or to whichever upstream the pool now prefers
+  switchUpstream(target) {
+    if (this.closed) return;
+    const entry = target || this.selectUpstream();
+    if (!entry || (this.upstream && entry === this.upstreamEntry)) return;
+
+    this.log.info(`🔄 WebSocket ${this.ip}: failing subscriptions over to ${entry.name}`, { upstream: entry.name });
+
+    const previous = this.upstream;
+    this.upstream = null;
+    this.failPendingRequests('Upstream switched during request');
+    if (previous) {
+      previous.removeAllListeners('close');
+      previous.on('error', () => {});
+      previous.terminate();
+    }
+    this.connectUpstream(entry);
+  }
+
+  // Re-create every known subscription on a fresh upstream connection
+  restoreSubscriptions() {
+    this.upstreamToClient.clear();
+    for (const [clientSubId, subscription] of this.subscriptions) {
+      const id = `proxy-resubscribe-${++this.internalId}`;
+      this.resubscribes.set(id, clientSubId);
+      this.upstream.send(JSON.stringify({ jsonrpc: '2.0', id, method: 'eth_subscribe', params: subscription.params }));
+    }
+  }
+
+  failPendingRequests(message) {
+    for (const key of this.pendingRequests) {
+      this.sendToClient(jsonRpcError(JSON.parse(key), JSON_RPC_ERRORS.INTERNAL_ERROR, message));
+    }
+    this.pendingRequests.clear();
+    this.pendingSubscribes.clear();
+  }
+
+  onClientMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.sendToClient(jsonRpcError(null, -32700, 'Parse error'));
+      return;
+    }
+
+    const isBatch = Array.isArray(message);
+    const calls = isBatch ? message : [message];
+    if (calls.length === 0) {
+      this.sendToClient(jsonRpcError(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request'));
+      return;
+    }
+    if (!this.checkLimits(isBatch, calls)) return;
+
+    const forwarded = [];
+    const refused = [];
+
+    for (const call of calls) {
+      if (!call || typeof call.method !== 'string') {
+        refused.push(jsonRpcError(call?.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request'));
+        continue;
+      }
+
+      const verdict = checkMethod(call.method, { origin: this.origin, apiKey: this.apiKey });
+      if (!verdict.allowed) {
+        refused.push(jsonRpcError(call.id, verdict.code, verdict.message));
+        continue;
+      }
+
+      forwarded.push(this.prepareCall(call));
+    }
+
+    if (refused.length > 0) {
+      refused.forEach(response => this.sendToClient(response));
+    }
+    if (forwarded.length === 0) return;
+
+    const payload = JSON.stringify(isBatch ? forwarded : forwarded[0]);
+    if (this.upstream && this.upstream.readyState === WebSocket.OPEN) {
+      this.upstream.send(payload);
+    } else if (this.queue.length >= MAX_QUEUED_MESSAGES) {
+      this.log.warn(`🚫 WebSocket ${this.ip}: ${this.queue.length} messages queued while the upstream connects - closing`, { queued: this.queue.length });
+      this.client.close(1013, 'Upstream not ready');
+    } else {
+      this.queue.push(payload);
+    }
+  }
+
+  // The batch cap, per-IP rate limit and funding policy, as for HTTP requests - every frame pays
+  // Returns false when the frame was refused (the client has its errors)
+  checkLimits(isBatch, calls) {
+    if (isBatch && calls.length > batchConfig.maxBatchSize) {
+      this.log.info(`🚫 WebSocket batch of ${calls.length} calls exceeds the maximum of ${batchConfig.maxBatchSize}`, { calls: calls.length, origin: this.origin });
+      this.sendToClient(errorForRequest(isBatch, calls, JSON_RPC_ERRORS.LIMIT_EXCEEDED, `Batch size ${calls.length} exceeds the maximum of ${batchConfig.maxBatchSize}`));
+      return false;
+    }
+
+    const { rateLimiter } = this.context;
+    if (rateLimiter) {
+      const rateLimit = rateLimiter.consume(this.ip, rateLimiter.costOf(calls));
+      if (!rateLimit.allowed) {
+        this.log.info(`🚫 Rate limited ${this.ip} (WebSocket)`, { calls: calls.length, origin: this.origin });
+        this.sendToClient(errorForRequest(isBatch, calls, JSON_RPC_ERRORS.LIMIT_EXCEEDED, 'Rate limit exceeded', { retryAfterSeconds: rateLimit.retryAfterSeconds }));
+        return false;
+      }
+    }
+
+    const funding = evaluateRequest(this.origin, calls.length);
+    if (funding.action === DECISION.THROTTLE) {
+      this.log.info(`🐢 Throttled ${funding.origin} (WebSocket)`, { origin: funding.origin, tier: funding.tier, calls: calls.length });
+      this.sendToClient(errorForRequest(isBatch, calls, JSON_RPC_ERRORS.LIMIT_EXCEEDED, 'Origin request rate exceeded for unfunded tier', { tier: funding.tier }));
+      return false;
+    }
+    if (funding.action === DECISION.REJECT) {
+      this.log.info(`💸 Quota exceeded for ${funding.origin} (WebSocket)`, { origin: funding.origin, tier: funding.tier, calls: calls.length });
+      this.sendToClient(errorForRequest(isBatch, calls, JSON_RPC_ERRORS.LIMIT_EXCEEDED, 'Request quota exceeded for origin', { tier: funding.tier }));
+      return false;
+    }
+
+    return true;
+  }
+
+  // Track requests and translate subscription ids the client knows into upstream ones
+  prepareCall(call) {
+    if (call.id !== undefined) {
+      this.pendingRequests.add(idKey(call.id));
+    }
+
+    if (call.method === 'eth_subscribe') {
+      this.pendingSubscribes.set(idKey(call.id), call.params);
+      return call;
+    }
+
+    if (call.method === 'eth_unsubscribe' && Array.isArray(call.params)) {
+      const clientSubId = call.params[0];
+      const subscription = this.subscriptions.get(clientSubId);
+      this.subscriptions.delete(clientSubId);
+      if (subscription && subscription.upstreamId) {
+        this.upstreamToClient.delete(subscription.upstreamId);
+        return { ...call, params: [subscription.upstreamId, ...call.params.slice(1)] };
+      }
+    }
+
+    return call;
+  }
+
+  onUpstreamMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.log.warn('⚠️  Unparseable WebSocket message from upstream', { upstream: this.upstreamEntry && this.upstreamEntry.name });
+      return;
+    }
+
+    if (Array.isArray(message)) {
+      this.countCalls(message.filter(item => this.trackResponse(item)).length);
+      this.sendToClient(message);
+      return;
+    }
+
+    // Subscription notifications carry the upstream id - show the client its original id
+    if (message.method === 'eth_subscription' && message.params) {
+      const clientSubId = this.upstreamToClient.get(message.params.subscription);
+      if (clientSubId !== undefined) {
+        message.params = { ...message.params, subscription: clientSubId };
+      }
+      this.sendToClient(message);
+      return;
+    }
+
+    // Answers to our own re-subscribe calls stay between us and the upstream
+    if (this.resubscribes.has(message.id)) {
+      const clientSubId = this.resubscribes.get(message.id);
+      this.resubscribes.delete(message.id);
+      const subscription = this.subscriptions.get(clientSubId);
+      if (subscription && message.result) {
+        subscription.upstreamId = message.result;
+        this.upstreamToClient.set(message.result, clientSubId);
+      } else if (subscription && message.error) {
+        // The client would wait forever for notifications - close so it reconnects and subscribes again
+        this.log.warn(`⚠️  WebSocket ${this.ip}: failed to restore subscription ${clientSubId} - closing`, { subscription: clientSubId, error: message.error.message });
+        this.client.close(1011, 'Subscription lost');
+      }
+      return;
+    }
+
+    if (this.trackResponse(message)) {
+      this.countCalls(1);
+    }
+    this.sendToClient(message);
+  }
+
+  // Returns true for a successful answer to one of the client's calls - the calls that are counted
+  trackResponse(response) {
+    if (!response || typeof response !== 'object') return false;
+    const key = idKey(response.id);
+    const answered = this.pendingRequests.delete(key);
+
+    if (this.pendingSubscribes.has(key)) {
+      const params = this.pendingSubscribes.get(key);
+      this.pendingSubscribes.delete(key);
+      if (response.result) {
+        // The first upstream id becomes the client's id for the life of the subscription
+        this.subscriptions.set(response.result, { params, upstreamId: response.result });
+        this.upstreamToClient.set(response.result, response.result);
+      }
+    }
+
+    return answered && response.error === undefined;
+  }
+
+  // Count answered calls like HTTP requests - only when served by an upstream we count
+  // Calls that got an error, or were dropped with the upstream connection, aren't counted
+  countCalls(count) {
+    if (count === 0 || this.usingFallback) return;
+    updateIpCountMap(this.trackedIP, this.origin, count);
+    if (this.origin) {
+      updateUrlCountMap(this.origin, count);
+      recordUsage(this.origin, count);
+    }
+  }
+
+  sendToClient(message) {
+    if (this.client.readyState === WebSocket.OPEN) {
+      this.client.send(JSON.stringify(message));
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.context.sessions.delete(this);
+    if (this.upstream) {
+      this.upstream.removeAllListeners('close');
+      this.upstream.on('error', () => {});
+      this.upstream.terminate();
+      this.upstream = null;
+    }
+  }
+}
+
+// Answer an upgrade we won't accept with a plain HTTP response and close the socket
+function refuseUpgrade(socket, status) {
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+// Attach a WebSocket JSON-RPC endpoint to an existing HTTP(S) server
+// servers can be one server or a list - every listener serving the proxy accepts WebSocket upgrades
+function attachWebSocketProxy(servers, options) {
+  const context = {
+    upstreamPool: options.upstreamPool,
+    getClientIP: options.getClientIP,
+    getTrackedIP: options.getTrackedIP,
+    rateLimiter: options.rateLimiter,
+    sessions: new Set()
+  };
+
+  // Frames over the HTTP body limit are refused - ws closes the client with 1009
+  const wss = new WebSocketServer({ noServer: true, maxPayload: batchConfig.maxBodySize });
+  wss.on('headers', (headers, req) => headers.push(`${REQUEST_ID_HEADER}: ${req.requestContext.requestId}`));
+  (Array.isArray(servers) ? servers : [servers]).forEach(server => {
+    server.on('upgrade', (req, socket, head) => {
+      // New sessions during a drain would keep the process alive past the shutdown timeout
+      if (isShuttingDown()) {
+        refuseUpgrade(socket, 503);
+        return;
+      }
+      if ((req.url || '/').split('?')[0] !== WEBSOCKET_PATH) {
+        refuseUpgrade(socket, 404);
+        return;
+      }
+      req.requestContext = createRequestContext(req.headers[REQUEST_ID_HEADER.toLowerCase()]);
+      wss.handleUpgrade(req, socket, head, client => wss.emit('connection', client, req));
+    });
+  });
+
+  wss.on('connection', (client, req) => {
+    client.isAlive = true;
+    client.on('pong', () => { client.isAlive = true; });
+    const session = new WebSocketSession(client, req, context);
+    context.sessions.add(session);
+    session.log.info(`🔌 WebSocket connected: ${session.ip} (origin ${session.origin || 'unknown'}) - ${context.sessions.size} open`, { origin: session.origin || 'unknown', open: context.sessions.size });
+  });
+
+  // Move sessions off an upstream when it becomes unhealthy (circuit opens or it lags behind),
+  // and back to it when it recovers if it outranks the upstream they're on
+  const rebalance = (upstream, healthy) => {
+    setImmediate(() => {
+      for (const session of context.sessions) {
+        const current = session.upstreamEntry;
+        if (!healthy && current === upstream) {
+          session.switchUpstream();
+        } else if (healthy && current && upstream.priority < current.priority && context.upstreamPool.isHealthy(upstream)) {
+          session.switchUpstream(upstream);
+        }
+      }
+    });
+  };
+
+  context.upstreamPool.on('stateChange', ({ upstream, to }) => {
+    if (to === 'OPEN' || to === 'CLOSED') {
+      rebalance(upstream, to === 'CLOSED');
+    }
+  });
+  context.upstreamPool.on('healthChange', ({ upstream, lagging }) => rebalance(upstream, !lagging));
+
+  // Drop clients that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const client of wss.clients) {
+      if (!client.isAlive) {
+        client.terminate();
+        continue;
+      }
+      client.isAlive = false;
+      client.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  log.info(`WebSocket proxy attached - upstreams: ${context.upstreamPool.upstreams.map(entry => `${entry.name} (${redactUrl(getWebSocketUrl(entry))})`).join(', ') || 'NOT SET'}`);
+
+  return {
+    wss,
+    // Close every client connection (1001 going away) so clients reconnect elsewhere
+    close: () => {
+      clearInterval(heartbeat);
+      for (const client of wss.clients) {
+        client.close(1001, 'Server shutting down');
+      }
+      wss.close();
+    },
+    getStats: () => ({
+      connections: context.sessions.size,
+      subscriptions: [...context.sessions].reduce((total, session) => total + session.subscriptions.size, 0),
+      usingFallback: [...context.sessions].filter(session => session.usingFallback).length,
+      byUpstream: [...context.sessions].reduce((counts, session) => {
+        const name = session.upstreamEntry ? session.upstreamEntry.name : 'none';
+        counts[name] = (counts[name] || 0) + 1;
+        return counts;
+      }, {})
+    })
+  };
+}
+
+export { attachWebSocketProxy, toWebSocketUrl };